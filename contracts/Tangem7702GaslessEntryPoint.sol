@@ -12,6 +12,12 @@ contract Tangem7702GaslessEntryPoint is ITangem7702GaslessEntryPoint {
     /// @inheritdoc ITangem7702GaslessEntryPoint
     address public immutable requiredDelegateAddress;
 
+    /// @notice Caller of the `executeTransaction` / `executeBatchTransaction` call in progress.
+    /// @dev Read back by the executor through {currentRelayer} to pay a `feeReceiver` of `address(0)`. A payload
+    ///      calling back into the entry point overwrites it for the nested call, so each call restores the value
+    ///      it found.
+    address private transient _currentRelayer;
+
     /// @notice Deploys the entry point and sets the required EIP-7702 delegate address.
     /// @dev The entry point will only forward calls for `executor` accounts whose current delegate equals `requiredDelegateAddress_`.
     /// @param requiredDelegateAddress_ The delegate address that `executor.fetchDelegate()` must return for calls to be forwarded.
@@ -35,7 +41,10 @@ contract Tangem7702GaslessEntryPoint is ITangem7702GaslessEntryPoint {
             InvalidDelegate(executor, requiredDelegateAddress, actualDelegate)
         );
 
+        address previousRelayer = _currentRelayer;
+        _currentRelayer = msg.sender;
         ITangem7702GaslessExecutor(payable(executor)).executeTransaction(gaslessTx, signature, forced);
+        _currentRelayer = previousRelayer;
     }
 
     /// @inheritdoc ITangem7702GaslessEntryPoint
@@ -54,6 +63,14 @@ contract Tangem7702GaslessEntryPoint is ITangem7702GaslessEntryPoint {
             InvalidDelegate(executor, requiredDelegateAddress, actualDelegate)
         );
 
+        address previousRelayer = _currentRelayer;
+        _currentRelayer = msg.sender;
         ITangem7702GaslessExecutor(payable(executor)).executeBatchTransaction(gaslessTx, signature, forced);
+        _currentRelayer = previousRelayer;
+    }
+
+    /// @inheritdoc ITangem7702GaslessEntryPoint
+    function currentRelayer() external view returns (address relayer) {
+        return _currentRelayer;
     }
-}
\ No newline at end of file
+}
@@ -2,6 +2,8 @@
 pragma solidity 0.8.33;
 
 import {IERC20, SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Errors} from "@openzeppelin/contracts/utils/Errors.sol";
 import {ERC721Holder} from "@openzeppelin/contracts/token/ERC721/utils/ERC721Holder.sol";
 import {IERC721Receiver} from "@openzeppelin/contracts/token/ERC721/IERC721Receiver.sol";
 import {ERC1155Holder} from "@openzeppelin/contracts/token/ERC1155/utils/ERC1155Holder.sol";
@@ -9,6 +11,8 @@ import {EIP712} from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
 import {ITangem7702GaslessExecutor} from "../interfaces/ITangem7702GaslessExecutor.sol";
+import {ITangem7702GaslessEntryPoint} from "../interfaces/ITangem7702GaslessEntryPoint.sol";
+import {IAggregatorV3} from "../interfaces/IAggregatorV3.sol";
 
 // layout should be at keccak256(abi.encode(uint256(keccak256(bytes(tangem.storage.Tangem7702GaslessExecutor))) - 1)) & ~bytes32(uint256(0xff))
 abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Holder, ITangem7702GaslessExecutor {
@@ -19,6 +23,22 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     ///      Using 1e18 keeps the math consistent with ETH-denominated gas costs.
     uint256 private constant PRICE_PRECISION = 1 ether;
 
+    /// @notice `feeToken` value selecting a fee paid in native coin from the executor balance.
+    address private constant NATIVE_FEE_TOKEN = address(0);
+
+    /// @notice `feeReceiver` value paying the fee to the relayer of the transaction.
+    address private constant RELAYER_FEE_RECEIVER = address(0);
+
+    /// @notice Gas forwarded to the caller's `currentRelayer()` when the fee is paid to the relayer.
+    /// @dev The entry point answers from transient storage in a few hundred gas.
+    uint256 private constant RELAYER_LOOKUP_GAS = 10_000;
+
+    /// @notice Gas reserved after the call(s) for the relayer lookup: the forwarded gas plus the call and decoding.
+    uint256 private constant RELAYER_LOOKUP_RESERVE = RELAYER_LOOKUP_GAS + 1_000;
+
+    /// @notice Denominator of `maxPriceDeviationBps`.
+    uint256 private constant BPS_DENOMINATOR = 10_000;
+
     /// @notice Per-iteration loop body overhead for batch execution.
     /// @dev Covers: stack manipulation, counter increment, conditional jumps,
     ///      memory operations, and warm CALL opcode base cost (100 gas).
@@ -38,11 +58,11 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
 
     // EIP-712 types
     string private constant GASLESS_TRANSACTION_TYPE =
-        "GaslessTransaction(Transaction transaction,Fee fee,uint256 nonce)";
+        "GaslessTransaction(Transaction transaction,Fee fee,uint256 nonce,uint256 validAfter,uint256 validUntil)";
     string private constant GASLESS_BATCH_TRANSACTION_TYPE =
-        "GaslessBatchTransaction(Transaction[] transactions,Fee fee,uint256 nonce)";
+        "GaslessBatchTransaction(Transaction[] transactions,Fee fee,uint256 nonce,uint256 validAfter,uint256 validUntil)";
     string private constant FEE_TYPE =
-        "Fee(address feeToken,uint256 maxTokenFee,uint256 coinPriceInToken,uint256 feeTransferGasLimit,uint256 baseGas,address feeReceiver)";
+        "Fee(address feeToken,uint256 maxTokenFee,uint256 coinPriceInToken,address priceFeed,uint256 maxPriceDeviationBps,uint256 maxPriceAge,uint256 feeTransferGasLimit,uint256 baseGas,uint256 maxFeePerGas,uint256 maxPriorityFeePerGas,address feeReceiver)";
     string private constant TRANSACTION_TYPE =
         "Transaction(address to,uint256 value,uint256 gasLimit,bytes data)";
 
@@ -56,14 +76,24 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     bytes32 private constant FEE_TYPEHASH = keccak256(bytes(FEE_TYPE));
     bytes32 private constant TRANSACTION_TYPEHASH = keccak256(bytes(TRANSACTION_TYPE));
 
-    /// @inheritdoc ITangem7702GaslessExecutor
-    uint256 public nonce;
+    /// @notice Replay protection state, at the slot of the original sequential `nonce`.
+    /// @dev `sequence` keeps that slot, so the layout is unchanged for accounts that signed sequential nonces
+    ///      before keyed nonces existed, and `keyed` takes the next one.
+    struct NonceStorage {
+        // Sequence of key 0, returned by {nonce}.
+        uint256 sequence;
+        // Sequences of the non-zero keys.
+        mapping(uint192 key => uint64 sequence) keyed;
+    }
+
+    NonceStorage private _nonces;
 
     /// @notice Initializes the EIP-712 domain used to verify `GaslessTransaction` signatures.
-    /// @dev Sets the EIP-712 domain name to "Tangem7702GaslessExecutor" and version to "1".
+    /// @dev Sets the EIP-712 domain name to "Tangem7702GaslessExecutor" and version to "2".
     ///      These values are part of the signed domain separator, so changing them breaks
-    ///      signature compatibility with existing clients.
-    constructor() EIP712("Tangem7702GaslessExecutor", "1") {}
+    ///      signature compatibility with existing clients. Version "2" covers the payload types
+    ///      extended with the fee caps, the price feed and the validity window, and keyed nonces.
+    constructor() EIP712("Tangem7702GaslessExecutor", "2") {}
 
     /// @inheritdoc ITangem7702GaslessExecutor
     receive() external payable {}
@@ -71,6 +101,17 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     /// @inheritdoc ITangem7702GaslessExecutor
     fallback() external payable {}
 
+    /// @inheritdoc ITangem7702GaslessExecutor
+    function nonce() external view returns (uint256) {
+        return _nonces.sequence;
+    }
+
+    /// @inheritdoc ITangem7702GaslessExecutor
+    function getNonce(uint192 key) public view returns (uint256) {
+        uint256 sequence = key == 0 ? _nonces.sequence : _nonces.keyed[key];
+        return (uint256(key) << 64) | sequence;
+    }
+
     /// @inheritdoc ITangem7702GaslessExecutor
     function executeTransaction(
         GaslessTransaction calldata gaslessTx,
@@ -86,6 +127,7 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
         require(transaction.to != address(0), ZeroTarget());
 
         _verifyGaslessTransaction(gaslessTx, signature);
+        _checkCoinPrice(gaslessTx.fee);
 
         require(
             gasleft() >= transaction.gasLimit + _reservedPostCallGas(gaslessTx.fee),
@@ -161,6 +203,7 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
         }
 
         _verifyGaslessBatchTransaction(gaslessTx, signature);
+        _checkCoinPrice(gaslessTx.fee);
 
         uint256 reservedBase = _reservedPostCallGas(gaslessTx.fee) + totalCallOverhead;
         require(gasleft() >= totalGasLimit + reservedBase, InsufficientGas());
@@ -213,11 +256,15 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     /// @notice Computes and transfers the fee in `fee.feeToken` to `feeReceiver`.
     /// @dev Calculates `totalGas` as:
     ///      `totalGas = (startGas - gasleft()) + fee.feeTransferGasLimit + fee.baseGas`,
-    ///      then converts the native coin cost (`totalGas * tx.gasprice`) into `feeToken`
-    ///      using `fee.coinPriceInToken / PRICE_PRECISION`. Measures the gas spent by the
+    ///      then converts the native coin cost (`totalGas * gasPrice`) into `feeToken`
+    ///      using `fee.coinPriceInToken / PRICE_PRECISION`, where `gasPrice` is
+    ///      `min(tx.gasprice, block.basefee + fee.maxPriorityFeePerGas)`: a relayer tipping more than
+    ///      the signed priority fee pays the excess itself. A `feeReceiver` of
+    ///      `RELAYER_FEE_RECEIVER` pays the relayer (see {_feeReceiver}). Measures the gas spent by the
     ///      fee transfer itself and enforces `feeTransferGasLimit` depending on `forced`.
     ///
     ///      Strict invariants (NEVER softened by `forced`):
+    ///      - `tx.gasprice <= fee.maxFeePerGas`
     ///      - `feeAmount <= fee.maxTokenFee`
     ///      - `balance(feeToken) >= feeAmount`
     ///
@@ -233,9 +280,14 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     )
         private
     {
+        // Resolved first, so its gas is part of the measured gas the fee is charged for.
+        address feeReceiver = _feeReceiver(fee);
+
         uint256 gasAfterUserCall = gasleft();
+        require(tx.gasprice <= fee.maxFeePerGas, MaxFeePerGasExceeded(tx.gasprice, fee.maxFeePerGas));
+
         uint256 totalGas = startGas - gasAfterUserCall + fee.feeTransferGasLimit + fee.baseGas;
-        uint256 weiCost = totalGas * tx.gasprice;
+        uint256 weiCost = totalGas * _chargedGasPrice(fee);
 
         // Add L1 data fee for L2 networks
         uint256 l1Fee = _getL1Fee();
@@ -247,13 +299,25 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
 
         uint256 gasBeforeTransfer = gasleft();
 
-        uint256 balance = IERC20(fee.feeToken).balanceOf(address(this));
-        require(
-            balance >= feeAmount,
-            InsufficientFundsForFee(fee.feeToken, balance, feeAmount)
-        );
+        if (fee.feeToken == NATIVE_FEE_TOKEN) {
+            uint256 balance = address(this).balance;
+            require(
+                balance >= feeAmount,
+                InsufficientFundsForFee(NATIVE_FEE_TOKEN, balance, feeAmount)
+            );
+
+            // Capped at `feeTransferGasLimit` like a token transfer, so the receiver cannot spend the relayer's gas.
+            (bool success, ) = payable(feeReceiver).call{value: feeAmount, gas: fee.feeTransferGasLimit}("");
+            require(success, Errors.FailedCall());
+        } else {
+            uint256 balance = IERC20(fee.feeToken).balanceOf(address(this));
+            require(
+                balance >= feeAmount,
+                InsufficientFundsForFee(fee.feeToken, balance, feeAmount)
+            );
 
-        IERC20(fee.feeToken).safeTransfer(fee.feeReceiver, feeAmount);
+            IERC20(fee.feeToken).safeTransfer(feeReceiver, feeAmount);
+        }
 
         uint256 gasAfterTransfer = gasleft();
         uint256 feeTransferGasUsed = gasBeforeTransfer - gasAfterTransfer;
@@ -270,27 +334,96 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
             );
         }
 
-        emit FeeTransferProcessed(fee.feeReceiver, fee.feeToken, feeAmount, totalGas, l1Fee);
+        emit FeeTransferProcessed(feeReceiver, fee.feeToken, feeAmount, totalGas, l1Fee);
+    }
+
+    /// @notice Returns the address the fee is paid to.
+    /// @dev For `RELAYER_FEE_RECEIVER`, asks `msg.sender` for `currentRelayer()` and falls back to `msg.sender`
+    ///      when it does not implement it within `RELAYER_LOOKUP_GAS`, i.e. when the executor is called directly.
+    ///      The lookup is capped so that {_reservedPostCallGas} covers it. Whoever makes the call pays its
+    ///      gas and the signed fee is the same whoever receives it, so the answer needs no trust. An answer of
+    ///      `address(0)` reverts with {UnknownRelayer} rather than paying the entry point itself.
+    /// @param fee Fee parameters carrying the signed receiver.
+    /// @return receiver The fee recipient.
+    function _feeReceiver(Fee calldata fee) private view returns (address receiver) {
+        if (fee.feeReceiver != RELAYER_FEE_RECEIVER) {
+            return fee.feeReceiver;
+        }
+
+        (bool success, bytes memory returnData) = msg.sender.staticcall{gas: RELAYER_LOOKUP_GAS}(
+            abi.encodeCall(ITangem7702GaslessEntryPoint.currentRelayer, ())
+        );
+        if (success && returnData.length == 32) {
+            address relayer = abi.decode(returnData, (address));
+            require(relayer != address(0), UnknownRelayer());
+            return relayer;
+        }
+        return msg.sender;
+    }
+
+    /// @notice Checks the signed `coinPriceInToken` against `fee.priceFeed`.
+    /// @dev Skipped when the fee is disabled. A native coin fee must be priced at `PRICE_PRECISION` (see the `Fee`
+    ///      struct) and has no feed to check. The feed answer is rescaled from the feed decimals to the `feeToken`
+    ///      decimals. Runs before the call(s), so its gas is part of the measured gas the fee is charged for.
+    /// @param fee Fee parameters carrying the price, the feed and its tolerances.
+    function _checkCoinPrice(Fee calldata fee) private view {
+        if (fee.coinPriceInToken == 0) {
+            return;
+        }
+        if (fee.feeToken == NATIVE_FEE_TOKEN) {
+            require(fee.coinPriceInToken == PRICE_PRECISION, InvalidNativeCoinPrice(fee.coinPriceInToken));
+            return;
+        }
+        if (fee.priceFeed == address(0)) {
+            return;
+        }
+
+        IAggregatorV3 feed = IAggregatorV3(fee.priceFeed);
+        (, int256 answer, , uint256 updatedAt, ) = feed.latestRoundData();
+        require(answer > 0, InvalidFeedPrice(fee.priceFeed, answer));
+        require(
+            updatedAt >= block.timestamp || block.timestamp - updatedAt <= fee.maxPriceAge,
+            StalePrice(fee.priceFeed, updatedAt)
+        );
+
+        uint256 feedPrice = (uint256(answer) * 10 ** IERC20Metadata(fee.feeToken).decimals()) / 10 ** feed.decimals();
+        uint256 deviation = fee.coinPriceInToken > feedPrice
+            ? fee.coinPriceInToken - feedPrice
+            : feedPrice - fee.coinPriceInToken;
+        require(
+            deviation * BPS_DENOMINATOR <= feedPrice * fee.maxPriceDeviationBps,
+            PriceDeviationExceeded(fee.coinPriceInToken, feedPrice, fee.maxPriceDeviationBps)
+        );
+    }
+
+    /// @notice Returns the gas price the fee is charged at.
+    /// @dev `tx.gasprice` capped at `block.basefee + fee.maxPriorityFeePerGas`. The sum is only formed when it is
+    ///      below `tx.gasprice`, so a large signed cap cannot overflow.
+    /// @param fee Fee parameters carrying the signed priority fee cap.
+    /// @return gasPrice The gas price used for fee calculation.
+    function _chargedGasPrice(Fee calldata fee) private view returns (uint256 gasPrice) {
+        gasPrice = tx.gasprice;
+        if (gasPrice > block.basefee && gasPrice - block.basefee > fee.maxPriorityFeePerGas) {
+            gasPrice = block.basefee + fee.maxPriorityFeePerGas;
+        }
     }
 
     /// @notice Verifies a gasless transaction EIP-712 signature and consumes the nonce.
-    /// @dev Requires `gaslessTx.nonce` to equal the current stored `nonce`, computes the EIP-712 digest for `gaslessTx`
-    ///      , recovers the signer from `signature`, and requires it to equal `address(this)` in the EIP-7702 delegated
-    ///      execution context. Increments `nonce` after a successful verification.
+    /// @dev Requires `block.timestamp` to be within `[validAfter, validUntil]` (see `_checkValidityWindow`).
+    ///      Consumes `gaslessTx.nonce` (see `_useNonce`), computes the EIP-712 digest for `gaslessTx`, recovers the
+    ///      signer from `signature`, and requires it to equal `address(this)` in the EIP-7702 delegated execution
+    ///      context. A failed verification reverts, so the nonce is only consumed by a valid payload.
     /// @param gaslessTx The gasless transaction payload being authorized (target call, fee config, and nonce).
     /// @param signature The EIP-712 signature over the typed data digest produced by the executor account.
     function _verifyGaslessTransaction(GaslessTransaction calldata gaslessTx, bytes calldata signature) private {
-        require (gaslessTx.nonce == nonce, InvalidNonce(nonce, gaslessTx.nonce));
+        _checkValidityWindow(gaslessTx.validAfter, gaslessTx.validUntil);
+        _useNonce(gaslessTx.nonce);
 
         bytes32 structHash = _hashGaslessTransaction(gaslessTx);
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
 
         require(signer == address(this), InvalidSigner(signer, address(this)));
-
-        unchecked { 
-            ++nonce; 
-        }
     }
 
     /// @notice Verifies a batch gasless transaction EIP-712 signature and consumes the nonce.
@@ -303,27 +436,57 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
     )
         private
     {
-        require(gaslessTx.nonce == nonce, InvalidNonce(nonce, gaslessTx.nonce));
+        _checkValidityWindow(gaslessTx.validAfter, gaslessTx.validUntil);
+        _useNonce(gaslessTx.nonce);
 
         bytes32 structHash = _hashGaslessBatchTransaction(gaslessTx);
         bytes32 digest = _hashTypedDataV4(structHash);
         address signer = ECDSA.recover(digest, signature);
 
         require(signer == address(this), InvalidSigner(signer, address(this)));
+    }
+
+    /// @notice Consumes a keyed nonce.
+    /// @dev Requires `providedNonce` to equal `getNonce(key)` for its key, then increments the sequence of the key:
+    ///      `_nonces.sequence` for key 0, so legacy sequential nonces keep working, `_nonces.keyed[key]` otherwise.
+    /// @param providedNonce Signed nonce, `key << 64 | sequence`.
+    function _useNonce(uint256 providedNonce) private {
+        uint192 key = uint192(providedNonce >> 64);
+        uint256 expectedNonce = getNonce(key);
+        require(providedNonce == expectedNonce, InvalidNonce(expectedNonce, providedNonce));
 
         unchecked {
-            ++nonce;
+            if (key == 0) {
+                ++_nonces.sequence;
+            } else {
+                ++_nonces.keyed[key];
+            }
         }
+
+        emit NonceUsed(key, uint64(providedNonce));
+    }
+
+    /// @notice Checks that the payload is executed within its signed validity window.
+    /// @dev Both bounds are inclusive.
+    /// @param validAfter Earliest allowed `block.timestamp`.
+    /// @param validUntil Latest allowed `block.timestamp`.
+    function _checkValidityWindow(uint256 validAfter, uint256 validUntil) private view {
+        require(block.timestamp >= validAfter, TransactionNotYetValid(validAfter, block.timestamp));
+        require(block.timestamp <= validUntil, TransactionExpired(validUntil, block.timestamp));
     }
 
     /// @notice Returns the amount of gas to reserve for post-call operations.
     /// @dev Always includes `_baseGasAfterCall()`.
     ///      Includes `feeTransferGasLimit` only when fee is enabled (`coinPriceInToken > 0`),
-    ///      because fee processing is skipped otherwise.
+    ///      because fee processing is skipped otherwise, and `RELAYER_LOOKUP_RESERVE` when the enabled fee
+    ///      is paid to the relayer (see {_feeReceiver}).
     function _reservedPostCallGas(Fee calldata fee) private view returns (uint256 reserved) {
         reserved = _baseGasAfterCall();
         if (fee.coinPriceInToken > 0) {
             reserved += fee.feeTransferGasLimit;
+            if (fee.feeReceiver == RELAYER_FEE_RECEIVER) {
+                reserved += RELAYER_LOOKUP_RESERVE;
+            }
         }
     }
 
@@ -370,8 +533,13 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
                 fee.feeToken,
                 fee.maxTokenFee,
                 fee.coinPriceInToken,
+                fee.priceFeed,
+                fee.maxPriceDeviationBps,
+                fee.maxPriceAge,
                 fee.feeTransferGasLimit,
                 fee.baseGas,
+                fee.maxFeePerGas,
+                fee.maxPriorityFeePerGas,
                 fee.feeReceiver
             )
         );
@@ -387,13 +555,16 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
                 GASLESS_TRANSACTION_TYPEHASH,
                 _hashTransaction(gaslessTx.transaction),
                 _hashFee(gaslessTx.fee),
-                gaslessTx.nonce
+                gaslessTx.nonce,
+                gaslessTx.validAfter,
+                gaslessTx.validUntil
             )
         );
     }
 
     /// @notice Computes the EIP-712 struct hash for a `GaslessBatchTransaction`.
-    /// @dev Encodes `transactions` as an EIP-712 array hash (see `_hashTransactions`) and combines with `Fee` and `nonce`.
+    /// @dev Encodes `transactions` as an EIP-712 array hash (see `_hashTransactions`) and combines with `Fee`, `nonce`
+    ///      and the validity window.
     /// @param gaslessTx The batch payload being signed.
     /// @return hash The EIP-712 struct hash of `GaslessBatchTransaction`.
     function _hashGaslessBatchTransaction(GaslessBatchTransaction calldata gaslessTx) private pure returns (bytes32) {
@@ -402,7 +573,9 @@ abstract contract Tangem7702GaslessExecutor is EIP712, ERC721Holder, ERC1155Hold
                 GASLESS_BATCH_TRANSACTION_TYPEHASH,
                 _hashTransactions(gaslessTx.transactions),
                 _hashFee(gaslessTx.fee),
-                gaslessTx.nonce
+                gaslessTx.nonce,
+                gaslessTx.validAfter,
+                gaslessTx.validUntil
             )
         );
     }
@@ -24,6 +24,6 @@ contract Tangem7702GaslessExecutorArbitrum is
 
     /// @inheritdoc Tangem7702GaslessExecutor
     function _baseGasAfterCall() internal pure override returns (uint256) {
-        return 8000; // Precompile is very cheap (~200 gas)
+        return 14000; // Precompile is very cheap (~200 gas)
     }
 }
\ No newline at end of file
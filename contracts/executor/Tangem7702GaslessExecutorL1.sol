@@ -17,6 +17,6 @@ contract Tangem7702GaslessExecutorL1 is
 
     /// @inheritdoc Tangem7702GaslessExecutor
     function _baseGasAfterCall() internal pure override returns (uint256) {
-        return 8000;
+        return 14000; // Measured ~12.6k for a forced call burning its whole gas limit at a cold target, + ~10% margin
     }
 }
\ No newline at end of file
@@ -37,6 +37,6 @@ contract Tangem7702GaslessExecutorOP is
     // Tangem7702GaslessExecutorOP.sol
     /// @inheritdoc Tangem7702GaslessExecutor
     function _baseGasAfterCall() internal pure override returns (uint256) {
-        return 18000; // GasPriceOracle predeploy can be expensive when cold (~11k gas)
+        return 24000; // L1 base plus the GasPriceOracle predeploy, which can be expensive when cold (~11k gas)
     }
 }
\ No newline at end of file
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+/// @notice Subset of the Chainlink `AggregatorV3Interface` read by the executor's price check.
+interface IAggregatorV3 {
+    /// @notice Number of decimals of `answer`.
+    function decimals() external view returns (uint8);
+
+    /// @notice Latest round of the feed.
+    function latestRoundData()
+        external
+        view
+        returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound);
+}
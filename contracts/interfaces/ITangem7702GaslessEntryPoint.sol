@@ -43,4 +43,9 @@ interface ITangem7702GaslessEntryPoint {
     /// @dev This value is used to validate `executor.fetchDelegate()` before forwarding calls.
     /// @return delegate The required delegate address.
     function requiredDelegateAddress() external view returns (address delegate);
+
+    /// @notice Returns the caller of the `executeTransaction` / `executeBatchTransaction` call in progress.
+    /// @dev The executor pays a fee with `feeReceiver == address(0)` to this address when called through the entry point.
+    /// @return relayer The relaying caller, or `address(0)` outside a forwarded call.
+    function currentRelayer() external view returns (address relayer);
 }
\ No newline at end of file
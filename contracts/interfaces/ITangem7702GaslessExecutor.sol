@@ -17,18 +17,34 @@ interface ITangem7702GaslessExecutor {
 
     /// @notice Fee configuration for a gasless execution.
     /// @dev The fee is paid in `feeToken` and is computed from measured gas usage and `coinPriceInToken`.
+    ///      With `feeToken == address(0)` the fee is paid in native coin from the executor balance, and an enabled fee
+    ///      must be signed with `coinPriceInToken == 1e18`, the price of 1 ether in wei, so it is charged at 1:1.
     struct Fee {
-        /// @notice ERC-20 token used to pay the relayer/service fee.
+        /// @notice ERC-20 token used to pay the relayer/service fee, or `address(0)` for native coin.
         address feeToken;
         /// @notice Maximum fee amount (in `feeToken` smallest units) the signer is willing to pay.
         uint256 maxTokenFee;
         /// @notice Price of 1 native coin (1 ether) expressed in `feeToken` smallest units.
+        /// @dev `0` disables the fee.
         uint256 coinPriceInToken;
+        /// @notice Aggregator quoting 1 native coin in `feeToken`, checked against `coinPriceInToken`.
+        /// @dev `address(0)` disables the check. Ignored for a native coin fee.
+        address priceFeed;
+        /// @notice Maximum deviation of `coinPriceInToken` from the feed price, in basis points.
+        uint256 maxPriceDeviationBps;
+        /// @notice Maximum age of the feed answer, in seconds.
+        uint256 maxPriceAge;
         /// @notice Gas limit budget allocated for the fee token transfer.
         uint256 feeTransferGasLimit;
         /// @notice Fixed gas overhead added to the measured gas for fee calculation.
         uint256 baseGas;
+        /// @notice Maximum `tx.gasprice` of the relaying transaction.
+        uint256 maxFeePerGas;
+        /// @notice Maximum priority fee per gas over `block.basefee` the fee is charged at.
+        uint256 maxPriorityFeePerGas;
         /// @notice The recipient of the fee. Added to signature to discourage front-running
+        /// @dev `address(0)` pays the relayer: the entry point's `currentRelayer()` when called through it,
+        ///      `msg.sender` otherwise.
         address feeReceiver;
     }
 
@@ -39,8 +55,12 @@ interface ITangem7702GaslessExecutor {
         Transaction transaction;
         /// @notice Fee parameters used to compute and transfer the fee.
         Fee fee;
-        /// @notice Sequential nonce used to prevent replay.
+        /// @notice Keyed nonce used to prevent replay: a `uint192` key above a `uint64` sequence (see {getNonce}).
         uint256 nonce;
+        /// @notice Earliest `block.timestamp` the payload may be executed at.
+        uint256 validAfter;
+        /// @notice Latest `block.timestamp` the payload may be executed at.
+        uint256 validUntil;
     }
 
     /// @notice Signed payload authorizing a batch gasless execution and fee payment.
@@ -50,14 +70,18 @@ interface ITangem7702GaslessExecutor {
         Transaction[] transactions;
         /// @notice Fee parameters used to compute and transfer the fee.
         Fee fee;
-        /// @notice Sequential nonce used to prevent replay.
+        /// @notice Keyed nonce used to prevent replay: a `uint192` key above a `uint64` sequence (see {getNonce}).
         uint256 nonce;
+        /// @notice Earliest `block.timestamp` the payload may be executed at.
+        uint256 validAfter;
+        /// @notice Latest `block.timestamp` the payload may be executed at.
+        uint256 validUntil;
     }
 
     /// @notice Thrown when the executor account does not have enough `feeToken` balance for `maxTokenFee`.
     /// @dev Enforced during fee processing (after user call(s)), enabling “top-up then pay fee” flows.
-    /// @param feeToken The ERC-20 fee token address.
-    /// @param balance Current `feeToken` balance of the executor account.
+    /// @param feeToken The ERC-20 fee token address, or `address(0)` for native coin.
+    /// @param balance Current `feeToken` (or native coin) balance of the executor account.
     /// @param fee Calculated token fee.
     error InsufficientFundsForFee(address feeToken, uint256 balance, uint256 fee);
 
@@ -77,15 +101,57 @@ interface ITangem7702GaslessExecutor {
     /// @param maxTokenFee Maximum fee allowed by the signed payload.
     error MaxFeeExceeded(uint256 feeAmount, uint256 maxTokenFee);
 
+    /// @notice Thrown when the `priceFeed` answer is not a positive price.
+    /// @param priceFeed The aggregator signed in the fee.
+    /// @param answer The latest answer of the aggregator.
+    error InvalidFeedPrice(address priceFeed, int256 answer);
+
+    /// @notice Thrown when the `priceFeed` answer is older than `maxPriceAge`.
+    /// @param priceFeed The aggregator signed in the fee.
+    /// @param updatedAt Timestamp of the latest answer.
+    error StalePrice(address priceFeed, uint256 updatedAt);
+
+    /// @notice Thrown when `coinPriceInToken` deviates from the feed price by more than `maxPriceDeviationBps`.
+    /// @dev Checked before the call(s), only when the fee is enabled and `priceFeed` is set.
+    /// @param coinPriceInToken The signed price.
+    /// @param feedPrice The feed price rescaled to `feeToken` smallest units.
+    /// @param maxPriceDeviationBps The signed tolerance.
+    error PriceDeviationExceeded(uint256 coinPriceInToken, uint256 feedPrice, uint256 maxPriceDeviationBps);
+
+    /// @notice Thrown when a native coin fee is signed with a `coinPriceInToken` other than `0` or `1e18`.
+    /// @param coinPriceInToken The signed price.
+    error InvalidNativeCoinPrice(uint256 coinPriceInToken);
+
+    /// @notice Thrown when the relaying transaction pays a gas price above `maxFeePerGas`.
+    /// @dev Checked only when the fee is enabled (`coinPriceInToken > 0`).
+    /// @param gasPrice Gas price of the relaying transaction (`tx.gasprice`).
+    /// @param maxFeePerGas Maximum gas price allowed by the signed payload.
+    error MaxFeePerGasExceeded(uint256 gasPrice, uint256 maxFeePerGas);
+
     /// @notice Thrown when fee transfer gas usage exceeds `feeTransferGasLimit` and `forced` is false.
     /// @dev When `forced` is true, the executor emits {FeeTransferGasLimitExceeded} instead of reverting.
     /// @param gasLimit The signed gas limit budget for the fee transfer.
     /// @param gasUsed The measured gas used by the fee transfer.
     error FeeTransferGasLimitExceededNotForced(uint256 gasLimit, uint256 gasUsed);
 
-    /// @notice Thrown when the provided nonce does not match the current executor nonce.
-    /// @dev Prevents replay and enforces ordering of signed executions.
-    /// @param expectedNonce Current nonce stored by the executor.
+    /// @notice Thrown when `feeReceiver` is `address(0)` and the caller answers `currentRelayer()` with `address(0)`.
+    /// @dev The caller is an entry point outside a forwarded call, so the fee would be paid to the entry point itself.
+    error UnknownRelayer();
+
+    /// @notice Thrown when the payload is executed before its `validAfter`.
+    /// @param validAfter Signed earliest execution timestamp.
+    /// @param timestamp Current `block.timestamp`.
+    error TransactionNotYetValid(uint256 validAfter, uint256 timestamp);
+
+    /// @notice Thrown when the payload is executed after its `validUntil`.
+    /// @dev Bounds how long a signed `coinPriceInToken` can be relayed at.
+    /// @param validUntil Signed latest execution timestamp.
+    /// @param timestamp Current `block.timestamp`.
+    error TransactionExpired(uint256 validUntil, uint256 timestamp);
+
+    /// @notice Thrown when the provided nonce does not match the current executor nonce of its key.
+    /// @dev Prevents replay and enforces ordering of signed executions within a key.
+    /// @param expectedNonce Current nonce of the key, as returned by {getNonce}.
     /// @param providedNonce Nonce provided in the signed payload.
     error InvalidNonce(uint256 expectedNonce, uint256 providedNonce);
 
@@ -144,11 +210,16 @@ interface ITangem7702GaslessExecutor {
     /// @param executedCalls Number of calls that were executed successfully before completion/stop.
     event BatchTransactionExecuted(address executor, uint256 nonce, uint256 totalCalls, uint256 executedCalls);
 
+    /// @notice Emitted when a payload consumes a nonce.
+    /// @param key Nonce key, the high 192 bits of the signed nonce.
+    /// @param sequence Consumed sequence of `key`, the low 64 bits of the signed nonce.
+    event NonceUsed(uint192 indexed key, uint64 sequence);
+
     /// @notice Emitted after the fee token transfer is processed.
     /// @dev `totalGas` is the gas amount used for fee calculation (measured + overheads).
     /// @param feeReceiver Address receiving the fee.
-    /// @param feeToken ERC-20 token used for the fee payment.
-    /// @param feeAmount Actual fee amount transferred in `feeToken` smallest units.
+    /// @param feeToken ERC-20 token used for the fee payment, or `address(0)` for native coin.
+    /// @param feeAmount Actual fee amount transferred in `feeToken` smallest units (wei for native coin).
     /// @param totalGas Total gas amount used to compute the fee.
     /// @param l1Fee L1 data fee added to `weiCost` (0 on L1 chains).
     event FeeTransferProcessed(
@@ -185,7 +256,8 @@ interface ITangem7702GaslessExecutor {
     /// @dev Must be called in the context of an EIP-7702 delegating account; the recovered signer is required
     ///      to equal `address(this)` in the delegated execution context.
     ///      Verifies `gaslessTx.nonce` and the EIP-712 signature before executing the target call and increments
-    ///      the stored `nonce` on successful verification (state changes roll back if the transaction reverts later).
+    ///      the sequence of the nonce key on successful verification (state changes roll back if the transaction
+    ///      reverts later).
     ///      If the target call reverts with non-empty revert data (custom error / Error(string) / Panic(uint256)),
     ///      this function bubbles the revert data. If the target call reverts with empty data, it reverts with
     ///      {ExecutionFailed} for diagnostics.
@@ -220,7 +292,16 @@ interface ITangem7702GaslessExecutor {
         external;
 
     /// @notice Returns the current nonce used for replay protection.
-    /// @dev Each successful signature verification increments this value by 1 (reverted if the outer call reverts).
+    /// @dev The sequence of nonce key 0, kept at its original storage slot so accounts signing sequential nonces
+    ///      before keyed nonces existed continue where they were. Each successful signature verification with key 0
+    ///      increments this value by 1 (reverted if the outer call reverts).
     /// @return currentNonce The current stored nonce.
     function nonce() external view returns (uint256 currentNonce);
+
+    /// @notice Returns the next nonce to sign for `key`.
+    /// @dev ERC-4337 style: `key << 64 | sequence`. Keys are independent, so a stuck payload only blocks later
+    ///      payloads of its own key. `getNonce(0)` equals {nonce}.
+    /// @param key Nonce key.
+    /// @return keyedNonce The nonce the executor expects next for `key`.
+    function getNonce(uint192 key) external view returns (uint256 keyedNonce);
 }
\ No newline at end of file
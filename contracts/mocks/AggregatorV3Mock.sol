@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+contract AggregatorV3Mock {
+    uint8 public decimals;
+
+    uint80 public roundId;
+
+    int256 public answer;
+
+    uint256 public updatedAt;
+
+    constructor(uint8 decimals_) {
+        decimals = decimals_;
+    }
+
+    function setRoundData(int256 answer_, uint256 updatedAt_) external {
+        unchecked {
+            ++roundId;
+        }
+        answer = answer_;
+        updatedAt = updatedAt_;
+    }
+
+    function latestRoundData() external view returns (uint80, int256, uint256, uint256, uint80) {
+        return (roundId, answer, updatedAt, updatedAt, roundId);
+    }
+}
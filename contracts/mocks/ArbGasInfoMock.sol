@@ -0,0 +1,15 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+/// @notice Arbitrum ArbGasInfo precompile stand-in, installed at 0x000000000000000000000000000000000000006C.
+contract ArbGasInfoMock {
+    uint256 public currentTxL1GasFees;
+
+    function setCurrentTxL1GasFees(uint256 currentTxL1GasFees_) external {
+        currentTxL1GasFees = currentTxL1GasFees_;
+    }
+
+    function getCurrentTxL1GasFees() external view returns (uint256) {
+        return currentTxL1GasFees;
+    }
+}
@@ -0,0 +1,9 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+/// @dev Native coin receiver that burns all the gas it is given.
+contract GasBurnerMock {
+    receive() external payable {
+        while (true) {}
+    }
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+/// @notice OP Stack GasPriceOracle predeploy stand-in, installed at 0x420000000000000000000000000000000000000F.
+/// @dev Charges a flat fee per byte, with the 68 bytes of signature the real oracle adds to unsigned sizes, so
+///      tests can recover the size an executor quoted from the returned fee.
+contract GasPriceOracleMock {
+    uint256 public l1FeePerByte;
+
+    function setL1FeePerByte(uint256 l1FeePerByte_) external {
+        l1FeePerByte = l1FeePerByte_;
+    }
+
+    function getL1FeeUpperBound(uint256 _unsignedTxSize) external view returns (uint256) {
+        return (_unsignedTxSize + 68) * l1FeePerByte;
+    }
+
+    function getL1Fee(bytes calldata _data) external view returns (uint256) {
+        return (_data.length + 68) * l1FeePerByte;
+    }
+}
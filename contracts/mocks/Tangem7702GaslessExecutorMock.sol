@@ -1,6 +1,8 @@
 // SPDX-License-Identifier: MIT
 pragma solidity 0.8.33;
 
+import {ITangem7702GaslessEntryPoint} from "../interfaces/ITangem7702GaslessEntryPoint.sol";
+
 contract Tangem7702GaslessExecutorMock {
     struct Transaction {
         address to;
@@ -13,8 +15,13 @@ contract Tangem7702GaslessExecutorMock {
         address feeToken;
         uint256 maxTokenFee;
         uint256 coinPriceInToken;
+        address priceFeed;
+        uint256 maxPriceDeviationBps;
+        uint256 maxPriceAge;
         uint256 feeTransferGasLimit;
         uint256 baseGas;
+        uint256 maxFeePerGas;
+        uint256 maxPriorityFeePerGas;
         address feeReceiver;
     }
 
@@ -22,6 +29,8 @@ contract Tangem7702GaslessExecutorMock {
         Transaction transaction;
         Fee fee;
         uint256 nonce;
+        uint256 validAfter;
+        uint256 validUntil;
     }
 
     uint256 public calls;
@@ -30,6 +39,8 @@ contract Tangem7702GaslessExecutorMock {
 
     address public lastFeeReceiver;
 
+    address public lastRelayer;
+
     bool public lastForced;
 
     address public lastTo;
@@ -60,6 +71,7 @@ contract Tangem7702GaslessExecutorMock {
         }
         lastMsgSender = msg.sender;
         lastFeeReceiver = gaslessTx.fee.feeReceiver;
+        lastRelayer = ITangem7702GaslessEntryPoint(msg.sender).currentRelayer();
         lastForced = forced;
         lastTo = gaslessTx.transaction.to;
         lastValue = gaslessTx.transaction.value;
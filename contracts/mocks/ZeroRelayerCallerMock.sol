@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.33;
+
+/// @dev Caller answering `currentRelayer()` with `address(0)`, like an entry point outside a forwarded call.
+contract ZeroRelayerCallerMock {
+    function currentRelayer() external pure returns (address) {
+        return address(0);
+    }
+
+    function forward(address executor, bytes calldata data) external {
+        (bool success, bytes memory returnData) = executor.call(data);
+        if (!success) {
+            assembly {
+                revert(add(returnData, 32), mload(returnData))
+            }
+        }
+    }
+}
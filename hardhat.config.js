@@ -1,8 +1,8 @@
 import hardhatToolboxMochaEthers from "@nomicfoundation/hardhat-toolbox-mocha-ethers";
-import { task } from "hardhat/config";
+import { configVariable, task } from "hardhat/config";
 import "dotenv/config";
 
-const { MNEMONIC, ETHEREUM_RPC_URL, POLYGON_RPC_URL, BSC_RPC_URL, ARBITRUM_RPC_URL, BASE_RPC_URL, API_KEY } = process.env;
+const { MNEMONIC, ETHEREUM_RPC_URL, POLYGON_RPC_URL, BSC_RPC_URL, ARBITRUM_RPC_URL, BASE_RPC_URL, FEE_TOKENS } = process.env;
 const ACCOUNTS = MNEMONIC ? { mnemonic: MNEMONIC, "initialIndex": 0 } : "remote";
 
 const deploy = task(
@@ -10,12 +10,111 @@ const deploy = task(
   "Deploys all the contracts"
 ).addOption({
     name: "type",
-    description: "The type of Exector to deploy, depending on the network type",
+    description: "The type of Executor to deploy (L1, OP or arbitrum); inferred from the chain ID or network chainType when omitted",
+    defaultValue: "",
+  })
+  .addOption({
+    name: "salt",
+    description: "CREATE2 salt (32-byte hex or a label); deploys deterministically through the CREATE2 factory when set",
+    defaultValue: "",
+  })
+  .addOption({
+    name: "factory",
+    description: "CREATE2 factory address, defaults to the keyless deterministic deployment proxy",
     defaultValue: "",
   })
   .setAction(() => import("./tasks/deploy.js"))
   .build();
 
+const checkDeployments = task(
+  "check-deployments",
+  "Compares the runtime code of the recorded deployments with the compiled artifacts"
+).addOption({
+    name: "chainId",
+    description: "Chain ID of the deployment to check, for a local node serving a snapshot under another chain ID",
+    defaultValue: "",
+  })
+  .addFlag({
+    name: "verify",
+    description: "Submit the sources for verification when the code matches",
+  })
+  .setAction(() => import("./tasks/checkDeployments.js"))
+  .build();
+
+const gaslessSign = task(
+  "gasless:sign",
+  "Signs the gasless payload described by a JSON spec with the executor account"
+).addPositionalArgument({
+    name: "spec",
+    description: "Path to the JSON spec: calls, fee parameters and an optional nonce",
+  })
+  .addOption({
+    name: "out",
+    description: "File to write the signed payload to, defaults to stdout",
+    defaultValue: "",
+  })
+  .addOption({
+    name: "account",
+    description: "Signing executor account: an index into the network accounts or an address",
+    defaultValue: "0",
+  })
+  .setAction(() => import("./tasks/gaslessSign.js"))
+  .build();
+
+const gaslessSubmit = task(
+  "gasless:submit",
+  "Simulates and relays a signed gasless payload through the entry point"
+).addPositionalArgument({
+    name: "payload",
+    description: "Path to the signed payload, as written by gasless:sign",
+  })
+  .addOption({
+    name: "executor",
+    description: "Executor address, defaults to the one in the payload",
+    defaultValue: "",
+  })
+  .addOption({
+    name: "entryPoint",
+    description: "Entry point address, defaults to the one recorded in deployments/<chainId>.json",
+    defaultValue: "",
+  })
+  .addFlag({
+    name: "forced",
+    description: "Execute in forced mode: failed calls do not revert and the fee is still charged",
+  })
+  .addOption({
+    name: "account",
+    description: "Relayer account paying the gas: an index into the network accounts or an address",
+    defaultValue: "0",
+  })
+  .addOption({
+    name: "gasLimit",
+    description: "Gas limit of the relaying transaction, estimated when omitted",
+    defaultValue: "",
+  })
+  .setAction(() => import("./tasks/gaslessSubmit.js"))
+  .build();
+
+const gaslessStatus = task(
+  "gasless:status",
+  "Reports the delegation, executor nonce and balances of accounts"
+).addVariadicArgument({
+    name: "accounts",
+    description: "Executor accounts (EOAs) to inspect",
+  })
+  .addOption({
+    name: "entryPoint",
+    description: "Entry point address, defaults to the one recorded in deployments/<chainId>.json",
+    defaultValue: "",
+  })
+  .addOption({
+    name: "feeTokens",
+    description: "Comma-separated fee token addresses to report balances of, defaults to FEE_TOKENS",
+    defaultValue: FEE_TOKENS ?? "",
+  })
+  .setAction(() => import("./tasks/gaslessStatus.js"))
+  .build();
+
 export default {
   plugins: [hardhatToolboxMochaEthers],
   solidity: {
@@ -64,8 +163,10 @@ export default {
       accounts: ACCOUNTS
     },
   },
-  etherscan: {
-    apiKey: API_KEY,
+  verify: {
+    etherscan: {
+      apiKey: configVariable("API_KEY"),
+    },
   },
-  tasks: [deploy]
+  tasks: [deploy, checkDeployments, gaslessSign, gaslessSubmit, gaslessStatus]
 };
\ No newline at end of file
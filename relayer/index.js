@@ -0,0 +1,24 @@
+import "dotenv/config";
+import { JsonRpcProvider, Wallet } from "ethers";
+
+import { Relayer } from "./relayer.js";
+import { createRelayerServer } from "./server.js";
+
+// Starts the reference relayer, e.g. against a local node: `npx hardhat node` then `npm run relayer`.
+const { RELAYER_RPC_URL = "http://127.0.0.1:8545", RELAYER_PRIVATE_KEY, RELAYER_ENTRY_POINT, RELAYER_PORT = "3000" } =
+  process.env;
+
+if (!RELAYER_PRIVATE_KEY || !RELAYER_ENTRY_POINT) {
+  console.error("RELAYER_PRIVATE_KEY and RELAYER_ENTRY_POINT must be set");
+  process.exit(1);
+}
+
+const provider = new JsonRpcProvider(RELAYER_RPC_URL);
+const relayer = new Relayer({
+  signer: new Wallet(RELAYER_PRIVATE_KEY, provider),
+  entryPointAddress: RELAYER_ENTRY_POINT,
+});
+
+createRelayerServer(relayer).listen(Number(RELAYER_PORT), async () => {
+  console.log(`Relayer ${await relayer.getAddress()} listening on port ${RELAYER_PORT}`);
+});
@@ -0,0 +1,176 @@
+import { Contract, getAddress, getBigInt } from "ethers";
+
+import { EXECUTOR_ABI, decodeNonce } from "../sdk/index.js";
+
+/**
+ * Per-executor, per-nonce-key queue releasing signed payloads in nonce order.
+ *
+ * @dev The executor accepts only `gaslessTx.nonce == getNonce(key)`, so a payload must not be sent before every
+ *      lower nonce of its key has been sent; payloads of other keys do not wait for it. The queue tracks, per
+ *      executor and key, the next nonce it expects to release: the on-chain `getNonce(key)` after a {sync}, then
+ *      one past every payload handed out by {take}. `key` defaults to 0, the legacy `nonce()` sequence.
+ */
+
+/** Outcome of {NonceQueue.add}. */
+export const QueueResult = Object.freeze({
+  /** Stored; no payload was queued for this nonce. */
+  QUEUED: "queued",
+  /** Stored in place of a not yet released payload with the same nonce. */
+  REPLACED: "replaced",
+  /** Ignored; the same signed payload is already queued. */
+  DUPLICATE: "duplicate",
+  /** Ignored; the nonce was already consumed on-chain or released for submission. */
+  STALE: "stale",
+  /** Ignored; the nonce is more than `maxNonceAhead` above the next expected nonce. */
+  FUTURE: "future",
+});
+
+/** How far above the next expected nonce a payload may be queued by default. */
+const DEFAULT_MAX_NONCE_AHEAD = 64n;
+
+export class NonceQueue {
+  #provider;
+  #maxNonceAhead;
+  #executors = new Map();
+
+  /**
+   * @param {object} params
+   * @param {object} params.provider ethers v6 provider used to read the executors' nonces.
+   * @param {bigint} [params.maxNonceAhead] How far above the next expected nonce of a key a payload may be queued.
+   */
+  constructor({ provider, maxNonceAhead = DEFAULT_MAX_NONCE_AHEAD }) {
+    this.#provider = provider;
+    this.#maxNonceAhead = getBigInt(maxNonceAhead);
+  }
+
+  /**
+   * Queues a normalized signed payload (see {parseSignedPayload}).
+   *
+   * @notice A payload re-signed for a queued nonce (e.g. with different fee terms) replaces the queued one.
+   *         Nonces below the next expected nonce are reported as stale, including released ones, and nonces more
+   *         than `maxNonceAhead` above it as future.
+   * @return {Promise<{result: string, replaced?: object}>} The {QueueResult} and the replaced payload, if any.
+   */
+  async add(payload) {
+    const nonce = payload.gaslessTx.nonce;
+    const state = await this.#state(payload.executor, decodeNonce(nonce).key);
+
+    if (nonce < state.expected) {
+      return { result: QueueResult.STALE };
+    }
+    if (nonce - state.expected > this.#maxNonceAhead) {
+      return { result: QueueResult.FUTURE };
+    }
+
+    const queued = state.payloads.get(nonce);
+    state.payloads.set(nonce, payload);
+
+    if (queued === undefined) {
+      return { result: QueueResult.QUEUED };
+    }
+    if (queued.signature === payload.signature) {
+      return { result: QueueResult.DUPLICATE };
+    }
+    return { result: QueueResult.REPLACED, replaced: queued };
+  }
+
+  /**
+   * Re-reads the executor's on-chain nonce of `key` and drops the payloads it makes stale.
+   *
+   * @dev Also rewinds the expected nonce when released payloads were not mined (e.g. they were dropped
+   *      or reverted); re-{add} those that should still be relayed.
+   * @return {Promise<{nonce: bigint, dropped: object[]}>} The on-chain nonce and the dropped payloads.
+   */
+  async sync(executor, key = 0n) {
+    const address = getAddress(executor);
+    const nonce = await this.#readNonce(address, key);
+    const id = _stateId(address, key);
+    const state = this.#executors.get(id) ?? { expected: nonce, payloads: new Map() };
+    this.#executors.set(id, state);
+
+    const dropped = [];
+    for (const [queuedNonce, payload] of state.payloads) {
+      if (queuedNonce < nonce) {
+        dropped.push(payload);
+        state.payloads.delete(queuedNonce);
+      }
+    }
+    state.expected = nonce;
+
+    return { nonce, dropped };
+  }
+
+  /**
+   * Removes and returns the payload carrying the next expected nonce of an executor key.
+   *
+   * @return {Promise<object|undefined>} The payload, or `undefined` if the next nonce is not queued.
+   */
+  async take(executor, key = 0n) {
+    const state = await this.#state(executor, key);
+    const payload = state.payloads.get(state.expected);
+    if (payload === undefined) {
+      return undefined;
+    }
+
+    state.payloads.delete(state.expected);
+    state.expected += 1n;
+    return payload;
+  }
+
+  /**
+   * Removes and returns every payload that can be released now, in nonce order.
+   */
+  async takeReady(executor, key = 0n) {
+    const ready = [];
+    let payload;
+    while ((payload = await this.take(executor, key)) !== undefined) {
+      ready.push(payload);
+    }
+    return ready;
+  }
+
+  /**
+   * Lists the nonce ranges missing between the next expected nonce and the highest queued nonce.
+   *
+   * @return {Promise<Array<{from: bigint, to: bigint}>>} Inclusive ranges of missing nonces in ascending order; empty
+   *         when the queue is contiguous.
+   */
+  async gaps(executor, key = 0n) {
+    const state = await this.#state(executor, key);
+    const queued = [...state.payloads.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const missing = [];
+    let next = state.expected;
+    for (const nonce of queued) {
+      if (nonce > next) {
+        missing.push({ from: next, to: nonce - 1n });
+      }
+      next = nonce + 1n;
+    }
+    return missing;
+  }
+
+  /**
+   * Number of queued (not yet released) payloads of an executor key.
+   */
+  size(executor, key = 0n) {
+    return this.#executors.get(_stateId(getAddress(executor), key))?.payloads.size ?? 0;
+  }
+
+  async #state(executor, key) {
+    const address = getAddress(executor);
+    const id = _stateId(address, key);
+    if (!this.#executors.has(id)) {
+      await this.sync(address, key);
+    }
+    return this.#executors.get(id);
+  }
+
+  async #readNonce(executor, key) {
+    const contract = new Contract(executor, EXECUTOR_ABI, this.#provider);
+    return getBigInt(key) === 0n ? contract.nonce() : contract.getNonce(key);
+  }
+}
+
+function _stateId(address, key) {
+  return `${address}:${getBigInt(key)}`;
+}
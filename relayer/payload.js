@@ -0,0 +1,86 @@
+import { getAddress, isAddress, isHexString } from "ethers";
+
+import {
+  makeGaslessTx,
+  makeGaslessBatchTx,
+  validateGaslessTx,
+  validateGaslessBatchTx,
+} from "../sdk/index.js";
+
+/**
+ * Parsing of signed gasless payloads received as JSON (numbers may be decimal strings).
+ */
+
+/**
+ * Normalizes a signed payload received by the relayer.
+ *
+ * @notice Exactly one of `gaslessTx` / `gaslessBatchTx` must be present.
+ * @param {object} body Raw payload: `{ executor, gaslessTx | gaslessBatchTx, signature, forced? }`.
+ * @return {{payload: object|null, problems: string[]}} The normalized payload, or the list of problems.
+ */
+export function parseSignedPayload(body) {
+  const problems = [];
+
+  if (body === null || typeof body !== "object") {
+    return { payload: null, problems: ["payload must be a JSON object"] };
+  }
+
+  const { executor, gaslessTx, gaslessBatchTx, signature, forced = false } = body;
+
+  if (typeof executor !== "string" || !isAddress(executor)) {
+    problems.push("executor must be an address");
+  }
+  if (typeof signature !== "string" || !isHexString(signature)) {
+    problems.push("signature must be a 0x-prefixed hex string");
+  }
+  if (typeof forced !== "boolean") {
+    problems.push("forced must be a boolean");
+  }
+  if ((gaslessTx === undefined) === (gaslessBatchTx === undefined)) {
+    problems.push("exactly one of gaslessTx or gaslessBatchTx must be provided");
+  }
+  if (problems.length > 0) {
+    return { payload: null, problems };
+  }
+
+  const batch = gaslessBatchTx !== undefined;
+  let normalized;
+  try {
+    normalized = batch ? _normalizeBatch(gaslessBatchTx) : _normalizeSingle(gaslessTx);
+  } catch (e) {
+    return { payload: null, problems: [`${batch ? "gaslessBatchTx" : "gaslessTx"} is malformed: ${e.shortMessage ?? e.message}`] };
+  }
+
+  problems.push(...(batch ? validateGaslessBatchTx(normalized) : validateGaslessTx(normalized)));
+  if (problems.length > 0) {
+    return { payload: null, problems };
+  }
+
+  return {
+    payload: { batch, executor: getAddress(executor), gaslessTx: normalized, signature, forced },
+    problems,
+  };
+}
+
+/**
+ * Converts bigints to decimal strings so a value can be sent with `JSON.stringify`.
+ */
+export function toJsonSafe(value) {
+  return JSON.parse(JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+function _normalizeSingle({ transaction, fee, nonce, validAfter, validUntil }) {
+  return makeGaslessTx({ ...transaction, ...fee, nonce, ..._signedValidityWindow(validAfter, validUntil) });
+}
+
+function _normalizeBatch({ transactions, fee, nonce, validAfter, validUntil }) {
+  return makeGaslessBatchTx({ transactions, ...fee, nonce, ..._signedValidityWindow(validAfter, validUntil) });
+}
+
+// The builders default a missing window, which would not match the signed one.
+function _signedValidityWindow(validAfter, validUntil) {
+  if (validAfter === undefined || validUntil === undefined) {
+    throw new Error("validAfter and validUntil must be provided");
+  }
+  return { validAfter, validUntil };
+}
@@ -0,0 +1,209 @@
+import { Contract, Transaction, getAddress, getBigInt, toQuantity } from "ethers";
+
+import { PRICE_PRECISION, decodeGaslessError, isNativeFeeToken, parseExecutionReceipt } from "../sdk/index.js";
+
+/**
+ * Profitability guard: simulates a gasless execution at the intended gas price and checks that the
+ * token fee it pays the relayer covers the cost of the relaying transaction.
+ *
+ * The fee is read from the simulated `FeeTransferProcessed` event (so it reflects the executor's own
+ * `_processFeeTransfer` math) and converted to native coin with a pluggable price source:
+ *   feeWei = feeAmount * PRICE_PRECISION / priceSource(feeToken)
+ * A fee paid in native coin is taken as `feeWei` directly.
+ *   cost   = gasUsed * gasPrice + l1Fee
+ * A payload passes when `feeWei >= cost * (1 + minMarginBps / 10_000)`.
+ */
+
+/** Default minimum margin of the fee over the relaying cost, in basis points. */
+export const DEFAULT_MIN_MARGIN_BPS = 1000n;
+
+/** OP Stack `GasPriceOracle` predeploy. */
+export const OP_GAS_PRICE_ORACLE = "0x420000000000000000000000000000000000000F";
+
+const BPS_DENOMINATOR = 10_000n;
+
+const GAS_PRICE_ORACLE_ABI = ["function getL1Fee(bytes _data) view returns (uint256)"];
+
+/**
+ * Simulator backed by `eth_simulateV1` (geth, reth, Nethermind, Erigon, Besu).
+ *
+ * @dev A simulator takes a transaction request (`from`, `to`, `data`, `maxFeePerGas` and `maxPriorityFeePerGas` or
+ *      `gasPrice`, `gasLimit`) and the base fee of the block to simulate in, and resolves to
+ *      `{success, gasUsed, logs, revertData}` without changing state.
+ *      The call is simulated with `validation`, at the given base fee: without it `tx.gasprice` is 0 and the
+ *      simulated fee would be nothing like the one charged on-chain.
+ * @param {object} provider ethers v6 JSON-RPC provider.
+ * @return {function(object, {baseFee?: bigint}): Promise<object>}
+ */
+export function ethSimulateV1Simulator(provider) {
+  return async (txRequest, { baseFee } = {}) => {
+    const call = { from: txRequest.from, to: txRequest.to, input: txRequest.data };
+    for (const key of ["gasPrice", "maxFeePerGas", "maxPriorityFeePerGas", "gasLimit", "value"]) {
+      if (txRequest[key] != null) {
+        call[key === "gasLimit" ? "gas" : key] = toQuantity(txRequest[key]);
+      }
+    }
+
+    const blockStateCall = { calls: [call] };
+    if (baseFee !== undefined) {
+      blockStateCall.blockOverrides = { baseFeePerGas: toQuantity(baseFee) };
+    }
+    const [block] = await provider.send("eth_simulateV1", [
+      { blockStateCalls: [blockStateCall], validation: true },
+      "latest",
+    ]);
+    const result = block.calls[0];
+
+    return {
+      success: getBigInt(result.status) === 1n,
+      gasUsed: getBigInt(result.gasUsed),
+      logs: result.logs ?? [],
+      revertData: result.error?.data ?? result.returnData ?? null,
+    };
+  };
+}
+
+/**
+ * Price source returning fixed prices, keyed by fee token address.
+ *
+ * @dev A price source takes a fee token address and resolves to the price of 1 ether in that token's smallest
+ *      units (the `coinPriceInToken` convention), or `0n` / `undefined` when the token is not priced.
+ * @param {Object<string, bigint>} prices Prices keyed by token address.
+ * @return {function(string): Promise<bigint|undefined>}
+ */
+export function fixedPriceSource(prices) {
+  const normalized = new Map(Object.entries(prices).map(([token, price]) => [getAddress(token), getBigInt(price)]));
+  return async (token) => normalized.get(getAddress(token));
+}
+
+/**
+ * L1 data fee source for OP Stack chains, quoting the serialized relaying transaction with `GasPriceOracle`.
+ *
+ * @dev An L1 fee source takes the transaction request and resolves to the L1 data fee in wei. Chains without a
+ *      separate L1 fee (L1, Arbitrum, whose L1 component is part of `gasUsed`) use the default zero source.
+ */
+export function opStackL1FeeSource(provider) {
+  const oracle = new Contract(OP_GAS_PRICE_ORACLE, GAS_PRICE_ORACLE_ABI, provider);
+  return async (txRequest) => {
+    const { chainId } = await provider.getNetwork();
+    const unsigned = Transaction.from({
+      type: 2,
+      chainId,
+      to: txRequest.to,
+      data: txRequest.data,
+      gasLimit: txRequest.gasLimit ?? 0n,
+      maxFeePerGas: txRequest.maxFeePerGas ?? txRequest.gasPrice ?? 0n,
+      maxPriorityFeePerGas: txRequest.maxPriorityFeePerGas ?? txRequest.gasPrice ?? 0n,
+      nonce: 0,
+    });
+    return oracle.getL1Fee(unsigned.unsignedSerialized);
+  };
+}
+
+export class ProfitabilityGuard {
+  #simulator;
+  #priceSource;
+  #l1FeeSource;
+  #feeReceiver;
+  #minMarginBps;
+
+  /**
+   * @param {object} params
+   * @param {function} params.priceSource Fee token price source (see {fixedPriceSource}).
+   * @param {string} params.feeReceiver Address the relayer collects fees at.
+   * @param {object} [params.provider] Provider for the default `eth_simulateV1` simulator.
+   * @param {function} [params.simulator] Custom simulator (see {ethSimulateV1Simulator}).
+   * @param {function} [params.l1FeeSource] L1 data fee source (see {opStackL1FeeSource}); defaults to zero.
+   * @param {bigint} [params.minMarginBps] Minimum fee margin over the cost, in basis points.
+   */
+  constructor({
+    priceSource,
+    feeReceiver,
+    provider,
+    simulator = ethSimulateV1Simulator(provider),
+    l1FeeSource = async () => 0n,
+    minMarginBps = DEFAULT_MIN_MARGIN_BPS,
+  }) {
+    this.#simulator = simulator;
+    this.#priceSource = priceSource;
+    this.#l1FeeSource = l1FeeSource;
+    this.#feeReceiver = getAddress(feeReceiver);
+    this.#minMarginBps = getBigInt(minMarginBps);
+  }
+
+  /**
+   * Simulates a relaying transaction and evaluates the fee it pays against its cost.
+   *
+   * @param {object} params
+   * @param {object} params.txRequest The relaying transaction (`from`, `to`, `data`, optional `gasLimit`,
+   *        `maxFeePerGas` and `maxPriorityFeePerGas`). Without EIP-1559 fees it is simulated at `gasPrice`.
+   * @param {string} params.executor Executor EOA of the payload.
+   * @param {bigint} params.gasPrice Effective gas price the transaction will pay.
+   * @param {bigint} [params.baseFee] Base fee to simulate at; the simulator's default block otherwise.
+   * @return {Promise<object>} `{profitable, reason, feeToken, feeAmount, feeWei, gasUsed, gasPrice, l1Fee, costWei,
+   *         marginBps, revert}`; `reason` is `null` when profitable.
+   */
+  async check({ txRequest, executor, gasPrice, baseFee }) {
+    const report = {
+      profitable: false,
+      reason: null,
+      feeToken: null,
+      feeAmount: 0n,
+      feeWei: 0n,
+      gasUsed: 0n,
+      gasPrice: getBigInt(gasPrice),
+      l1Fee: 0n,
+      costWei: 0n,
+      marginBps: null,
+      revert: null,
+    };
+    const request = txRequest.maxFeePerGas == null ? { ...txRequest, gasPrice: report.gasPrice } : txRequest;
+
+    const simulation = await this.#simulator(request, { baseFee });
+    if (!simulation.success) {
+      report.revert = decodeGaslessError(simulation.revertData ?? "0x");
+      return _reject(report, `simulation reverted: ${report.revert.reason}`);
+    }
+
+    report.gasUsed = simulation.gasUsed;
+    report.l1Fee = getBigInt(await this.#l1FeeSource(request));
+    report.costWei = report.gasUsed * report.gasPrice + report.l1Fee;
+
+    const { fee } = parseExecutionReceipt({ hash: null, logs: simulation.logs }, { executorAddress: executor });
+    if (fee === null) {
+      return _reject(report, "payload pays no fee");
+    }
+    if (fee.receiver !== this.#feeReceiver) {
+      return _reject(report, `fee is paid to ${fee.receiver}, expected ${this.#feeReceiver}`);
+    }
+
+    report.feeToken = fee.token;
+    report.feeAmount = fee.amount;
+
+    const price = isNativeFeeToken(fee.token) ? PRICE_PRECISION : await this.#priceSource(fee.token);
+    if (!price) {
+      return _reject(report, `no price for fee token ${fee.token}`);
+    }
+
+    report.feeWei = (fee.amount * PRICE_PRECISION) / getBigInt(price);
+    if (report.costWei > 0n) {
+      report.marginBps = ((report.feeWei - report.costWei) * BPS_DENOMINATOR) / report.costWei;
+    }
+
+    if (report.feeWei * BPS_DENOMINATOR < report.costWei * (BPS_DENOMINATOR + this.#minMarginBps)) {
+      return _reject(
+        report,
+        `fee of ${report.feeWei} wei does not cover the cost of ${report.costWei} wei with a ` +
+          `${this.#minMarginBps} bps margin`
+      );
+    }
+
+    report.profitable = true;
+    return report;
+  }
+}
+
+function _reject(report, reason) {
+  report.reason = reason;
+  return report;
+}
@@ -0,0 +1,341 @@
+import { randomUUID } from "node:crypto";
+import { Contract, getAddress, getBigInt } from "ethers";
+
+import {
+  ENTRY_POINT_ABI,
+  ErrorSource,
+  decodeGaslessError,
+  extractRevertData,
+  getDelegate,
+  getGaslessDomain,
+  parseExecutionReceipt,
+  recoverGaslessTxSigner,
+  recoverGaslessBatchTxSigner,
+} from "../sdk/index.js";
+import { parseSignedPayload } from "./payload.js";
+
+/**
+ * Reference relayer: validates, simulates and submits signed gasless payloads through
+ * `Tangem7702GaslessEntryPoint`, and tracks their status.
+ */
+
+/** Lifecycle of a relayed payload. */
+export const RelayStatus = Object.freeze({
+  /** Sent to the network, waiting for the receipt. */
+  SUBMITTED: "submitted",
+  /** Mined successfully; `report` holds the execution report. */
+  CONFIRMED: "confirmed",
+  /** Mined but reverted, or the submission itself failed; `error` holds the reason. */
+  FAILED: "failed",
+});
+
+/** How long a confirmed or failed record stays queryable, in milliseconds. */
+const DEFAULT_RECORD_TTL_MS = 60 * 60 * 1000;
+
+/** Headroom applied to `eth_estimateGas`, in basis points. */
+const GAS_LIMIT_HEADROOM_BPS = 12_000n;
+
+/**
+ * Thrown when the relayer refuses a payload before submitting it.
+ */
+export class RelayerError extends Error {
+  /**
+   * @param {string} message Human-readable reason.
+   * @param {object} [options]
+   * @param {number} [options.status] HTTP status code to surface the rejection with.
+   * @param {object} [options.details] Structured details (validation problems, decoded revert).
+   */
+  constructor(message, { status = 400, details } = {}) {
+    super(message);
+    this.name = "RelayerError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export class Relayer {
+  #signer;
+  #entryPoint;
+  #requiredDelegate;
+  #profitabilityGuard;
+  #records = new Map();
+  // IDs of the records in a final state, in the order they expire.
+  #expiries = new Map();
+  #recordTtlMs;
+  #pending = new Set();
+
+  /**
+   * @param {object} params
+   * @param {object} params.signer Relayer key (ethers v6 signer connected to a provider); pays the gas.
+   * @param {string} params.entryPointAddress Deployed `Tangem7702GaslessEntryPoint` address.
+   * @param {import("./profitability.js").ProfitabilityGuard} [params.profitabilityGuard] When set, payloads whose
+   *        fee does not cover the relaying cost are rejected before broadcasting.
+   * @param {number} [params.recordTtlMs] How long a confirmed or failed record stays queryable (default one hour);
+   *        submitted records are kept until they settle.
+   */
+  constructor({ signer, entryPointAddress, profitabilityGuard, recordTtlMs = DEFAULT_RECORD_TTL_MS }) {
+    this.#signer = signer;
+    this.#profitabilityGuard = profitabilityGuard;
+    this.#recordTtlMs = recordTtlMs;
+    this.#entryPoint = new Contract(getAddress(entryPointAddress), ENTRY_POINT_ABI, signer);
+  }
+
+  /** The relayer account address. */
+  async getAddress() {
+    return this.#signer.getAddress();
+  }
+
+  /**
+   * Validates a signed payload without simulating it.
+   *
+   * @dev Checks the payload shape, the EIP-712 signature against the executor and the executor's
+   *      EIP-7702 delegate against the entry point's `requiredDelegateAddress`.
+   * @param {object} body Raw signed payload (see {parseSignedPayload}).
+   * @return {Promise<object>} The normalized payload.
+   * @throws {RelayerError} When the payload is invalid.
+   */
+  async validate(body) {
+    const { payload, problems } = parseSignedPayload(body);
+    if (!payload) {
+      throw new RelayerError("Invalid payload", { details: { problems } });
+    }
+
+    const provider = this.#signer.provider;
+    const domain = await getGaslessDomain(provider, payload.executor);
+    let signer;
+    try {
+      signer = payload.batch
+        ? recoverGaslessBatchTxSigner(domain, payload.gaslessTx, payload.signature)
+        : recoverGaslessTxSigner(domain, payload.gaslessTx, payload.signature);
+    } catch (e) {
+      throw new RelayerError("Invalid signature", { details: { problems: [e.shortMessage ?? e.message] } });
+    }
+    if (signer !== payload.executor) {
+      throw new RelayerError("Invalid signature", {
+        details: { problems: [`signature recovers to ${signer}, expected ${payload.executor}`] },
+      });
+    }
+
+    const requiredDelegate = await this.#getRequiredDelegate();
+    const actualDelegate = await getDelegate(provider, payload.executor);
+    if (actualDelegate !== requiredDelegate) {
+      throw new RelayerError("Executor is not delegated to the required executor implementation", {
+        details: { problems: [`executor delegates to ${actualDelegate}, expected ${requiredDelegate}`] },
+      });
+    }
+
+    return payload;
+  }
+
+  /**
+   * Returns the EIP-1559 fees to relay a normalized payload with.
+   *
+   * @dev The network fees (or `overrides.maxFeePerGas` / `overrides.maxPriorityFeePerGas`) are capped at the signed
+   *      `maxFeePerGas` and `maxPriorityFeePerGas`: the executor reverts above the first and does not charge a tip
+   *      above the second.
+   * @param {object} payload Normalized payload.
+   * @param {object} [overrides] Transaction overrides.
+   * @return {Promise<{baseFee: bigint, maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}>} The fees, with the
+   *         latest base fee they were quoted against.
+   * @throws {RelayerError} (status 422) When the base fee is above the signed `maxFeePerGas`.
+   */
+  async fees(payload, overrides = {}) {
+    const provider = this.#signer.provider;
+    const [block, feeData] = await Promise.all([provider.getBlock("latest"), provider.getFeeData()]);
+    const baseFee = block.baseFeePerGas ?? 0n;
+    const signedMaxFee = getBigInt(payload.gaslessTx.fee.maxFeePerGas);
+    const signedMaxPriorityFee = getBigInt(payload.gaslessTx.fee.maxPriorityFeePerGas);
+
+    if (baseFee > signedMaxFee) {
+      throw new RelayerError(`Base fee ${baseFee} is above the signed maxFeePerGas ${signedMaxFee}`, {
+        status: 422,
+        details: { baseFee, maxFeePerGas: signedMaxFee },
+      });
+    }
+
+    const maxFeePerGas = _min(overrides.maxFeePerGas ?? feeData.maxFeePerGas ?? feeData.gasPrice, signedMaxFee);
+    const maxPriorityFeePerGas = _min(
+      _min(overrides.maxPriorityFeePerGas ?? feeData.maxPriorityFeePerGas ?? 0n, signedMaxPriorityFee),
+      maxFeePerGas
+    );
+    return { baseFee, maxFeePerGas, maxPriorityFeePerGas };
+  }
+
+  /**
+   * Simulates a normalized payload with `eth_call` from the relayer account.
+   *
+   * @param {object} payload Normalized payload.
+   * @param {object} [fees] `maxFeePerGas` and `maxPriorityFeePerGas` of the relaying transaction (see {fees}), so the
+   *        simulated `tx.gasprice` is the one the fee is charged at.
+   * @throws {RelayerError} With the decoded revert (status 422) when the call would revert.
+   */
+  async simulate(payload, { maxFeePerGas, maxPriorityFeePerGas } = {}) {
+    try {
+      await this.#method(payload).staticCall(...this.#args(payload), { maxFeePerGas, maxPriorityFeePerGas });
+    } catch (e) {
+      const decoded = decodeGaslessError(e);
+      throw new RelayerError(decoded.reason, { status: 422, details: decoded });
+    }
+  }
+
+  /**
+   * Checks the payload against the profitability guard with the fees it will be sent with.
+   *
+   * @param {object} payload Normalized payload.
+   * @param {object} fees `baseFee`, `maxFeePerGas` and `maxPriorityFeePerGas` (see {fees}), and the `gasLimit`.
+   * @throws {RelayerError} With the guard report (status 422) when the payload is not profitable.
+   */
+  async checkProfitability(payload, { baseFee, maxFeePerGas, maxPriorityFeePerGas, gasLimit }) {
+    const txRequest = await this.#method(payload).populateTransaction(...this.#args(payload), {
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      gasLimit,
+    });
+    const report = await this.#profitabilityGuard.check({
+      txRequest: { ...txRequest, from: await this.getAddress() },
+      executor: payload.executor,
+      // The relayer pays the base fee plus its tip, up to `maxFeePerGas`.
+      gasPrice: _min(maxFeePerGas, baseFee + maxPriorityFeePerGas),
+      baseFee,
+    });
+    if (!report.profitable) {
+      throw new RelayerError(`Unprofitable payload: ${report.reason}`, { status: 422, details: report });
+    }
+    return report;
+  }
+
+  /**
+   * Validates, simulates and submits a signed payload.
+   *
+   * @dev The transaction is sent with EIP-1559 fees capped at the signed ones (see {fees}), which the simulation and
+   *      the profitability guard use too.
+   *      When the node refuses the transaction (nonce too low, underpriced, ...), the returned record is already
+   *      `failed` with the decoded error and no `transactionHash`.
+   * @param {object} body Raw signed payload.
+   * @param {object} [overrides] Transaction overrides (gas price, gas limit, ...).
+   * @return {Promise<object>} The tracking record (`id`, `status`, `transactionHash`, ...).
+   * @throws {RelayerError} When the payload is rejected before submission.
+   */
+  async submit(body, overrides = {}) {
+    this.#evictExpired();
+    const payload = await this.validate(body);
+    const { baseFee, ...fees } = await this.fees(payload, overrides);
+    await this.simulate(payload, fees);
+
+    const method = this.#method(payload);
+    const args = this.#args(payload);
+    const gasLimit =
+      overrides.gasLimit ?? (await method.estimateGas(...args, fees)) * GAS_LIMIT_HEADROOM_BPS / 10_000n;
+
+    if (this.#profitabilityGuard) {
+      await this.checkProfitability(payload, { baseFee, ...fees, gasLimit });
+    }
+
+    const record = {
+      id: randomUUID(),
+      status: RelayStatus.SUBMITTED,
+      executor: payload.executor,
+      nonce: payload.gaslessTx.nonce,
+      batch: payload.batch,
+      transactionHash: null,
+      report: null,
+      error: null,
+    };
+    this.#records.set(record.id, record);
+
+    let tx;
+    try {
+      tx = await method(...args, { ...overrides, ...fees, gasLimit });
+    } catch (e) {
+      record.error = _submissionError(e);
+      this.#finalize(record, RelayStatus.FAILED);
+      return { ...record };
+    }
+    record.transactionHash = tx.hash;
+
+    const tracking = this.#track(record, tx).finally(() => this.#pending.delete(tracking));
+    this.#pending.add(tracking);
+
+    return { ...record };
+  }
+
+  /**
+   * Returns the tracking record of a submitted payload, or `undefined` if the ID is unknown or its record expired.
+   */
+  getStatus(id) {
+    this.#evictExpired();
+    const record = this.#records.get(id);
+    return record && { ...record };
+  }
+
+  /**
+   * Resolves once every submitted transaction has been mined (or failed).
+   */
+  async settled() {
+    await Promise.all([...this.#pending]);
+  }
+
+  async #track(record, tx) {
+    try {
+      const receipt = await tx.wait();
+      record.report = parseExecutionReceipt(receipt, { executorAddress: record.executor });
+      this.#finalize(record, RelayStatus.CONFIRMED);
+    } catch (e) {
+      record.error = decodeGaslessError(e);
+      this.#finalize(record, RelayStatus.FAILED);
+    }
+  }
+
+  #finalize(record, status) {
+    record.status = status;
+    this.#expiries.set(record.id, Date.now() + this.#recordTtlMs);
+  }
+
+  #evictExpired() {
+    const now = Date.now();
+    for (const [id, expiry] of this.#expiries) {
+      if (expiry > now) {
+        break;
+      }
+      this.#expiries.delete(id);
+      this.#records.delete(id);
+    }
+  }
+
+  async #getRequiredDelegate() {
+    this.#requiredDelegate ??= getAddress(await this.#entryPoint.requiredDelegateAddress());
+    return this.#requiredDelegate;
+  }
+
+  #method(payload) {
+    return payload.batch ? this.#entryPoint.executeBatchTransaction : this.#entryPoint.executeTransaction;
+  }
+
+  #args(payload) {
+    return [payload.gaslessTx, payload.signature, payload.forced, payload.executor];
+  }
+}
+
+function _min(a, b) {
+  return getBigInt(a) < getBigInt(b) ? getBigInt(a) : getBigInt(b);
+}
+
+/**
+ * Decodes why sending a transaction failed.
+ *
+ * @dev Node rejections (nonce too low, underpriced, ...) carry no revert data, so they are reported with the
+ *      node's message rather than as an empty revert.
+ */
+function _submissionError(e) {
+  if (extractRevertData(e) !== null) {
+    return decodeGaslessError(e);
+  }
+  return {
+    source: ErrorSource.UNKNOWN,
+    name: e.code ?? "SubmissionFailed",
+    args: {},
+    reason: e.shortMessage ?? e.message,
+    retryable: true,
+    data: null,
+  };
+}
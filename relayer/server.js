@@ -0,0 +1,83 @@
+import { createServer } from "node:http";
+
+import { RelayerError } from "./relayer.js";
+import { toJsonSafe } from "./payload.js";
+
+/**
+ * HTTP API of the reference relayer.
+ *
+ *   POST /v1/transactions      Submit a signed payload; responds 202 with the tracking record, already `failed`
+ *                              when the node refused the transaction.
+ *   GET  /v1/transactions/:id  Tracking record of a submitted payload.
+ *   GET  /health               Relayer address and liveness.
+ */
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Creates (but does not start) the relayer HTTP server.
+ *
+ * @param {import("./relayer.js").Relayer} relayer The relayer handling submissions.
+ * @return {import("node:http").Server}
+ */
+export function createRelayerServer(relayer) {
+  return createServer((req, res) => {
+    _route(relayer, req).then(
+      ({ status, body }) => _send(res, status, body),
+      (e) => {
+        if (e instanceof RelayerError) {
+          _send(res, e.status, { error: { message: e.message, details: e.details ?? null } });
+        } else {
+          _send(res, 500, { error: { message: e.message } });
+        }
+      }
+    );
+  });
+}
+
+async function _route(relayer, req) {
+  const { pathname } = new URL(req.url, "http://localhost");
+
+  if (req.method === "GET" && pathname === "/health") {
+    return { status: 200, body: { ok: true, relayer: await relayer.getAddress() } };
+  }
+
+  if (req.method === "POST" && pathname === "/v1/transactions") {
+    const record = await relayer.submit(await _readJson(req));
+    return { status: 202, body: record };
+  }
+
+  const match = pathname.match(/^\/v1\/transactions\/([\w-]+)$/);
+  if (req.method === "GET" && match) {
+    const record = relayer.getStatus(match[1]);
+    if (!record) {
+      throw new RelayerError(`Unknown transaction ${match[1]}`, { status: 404 });
+    }
+    return { status: 200, body: record };
+  }
+
+  throw new RelayerError(`Cannot ${req.method} ${pathname}`, { status: 404 });
+}
+
+async function _readJson(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw new RelayerError("Request body too large", { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+  } catch {
+    throw new RelayerError("Request body must be valid JSON");
+  }
+}
+
+function _send(res, status, body) {
+  res.writeHead(status, { "content-type": "application/json" });
+  res.end(JSON.stringify(toJsonSafe(body)));
+}
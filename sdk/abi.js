@@ -0,0 +1,90 @@
+/**
+ * Human-readable ABIs of the gasless contracts, so the SDK does not depend on compiled artifacts.
+ *
+ * IMPORTANT:
+ * These fragments MUST be kept in sync with `ITangem7702GaslessExecutor` and `ITangem7702GaslessEntryPoint`.
+ */
+
+const TRANSACTION_TUPLE = "tuple(address to, uint256 value, uint256 gasLimit, bytes data)";
+
+const FEE_TUPLE =
+  "tuple(address feeToken, uint256 maxTokenFee, uint256 coinPriceInToken, address priceFeed, uint256 maxPriceDeviationBps, uint256 maxPriceAge, uint256 feeTransferGasLimit, uint256 baseGas, uint256 maxFeePerGas, uint256 maxPriorityFeePerGas, address feeReceiver)";
+
+const GASLESS_TRANSACTION_TUPLE = `tuple(${TRANSACTION_TUPLE} transaction, ${FEE_TUPLE} fee, uint256 nonce, uint256 validAfter, uint256 validUntil)`;
+
+const GASLESS_BATCH_TRANSACTION_TUPLE = `tuple(${TRANSACTION_TUPLE}[] transactions, ${FEE_TUPLE} fee, uint256 nonce, uint256 validAfter, uint256 validUntil)`;
+
+export const EXECUTOR_ABI = [
+  "error InsufficientFundsForFee(address feeToken, uint256 balance, uint256 fee)",
+  "error ExecutionFailedNotForced(address to, uint256 value, bytes4 selector)",
+  "error MaxFeeExceeded(uint256 feeAmount, uint256 maxTokenFee)",
+  "error MaxFeePerGasExceeded(uint256 gasPrice, uint256 maxFeePerGas)",
+  "error InvalidNativeCoinPrice(uint256 coinPriceInToken)",
+  "error InvalidFeedPrice(address priceFeed, int256 answer)",
+  "error StalePrice(address priceFeed, uint256 updatedAt)",
+  "error PriceDeviationExceeded(uint256 coinPriceInToken, uint256 feedPrice, uint256 maxPriceDeviationBps)",
+  "error FeeTransferGasLimitExceededNotForced(uint256 gasLimit, uint256 gasUsed)",
+  "error UnknownRelayer()",
+  "error TransactionNotYetValid(uint256 validAfter, uint256 timestamp)",
+  "error TransactionExpired(uint256 validUntil, uint256 timestamp)",
+  "error InvalidNonce(uint256 expectedNonce, uint256 providedNonce)",
+  "error InvalidSigner(address recoveredSigner, address expectedSigner)",
+  "error ZeroTarget()",
+  "error InvalidCallsLength()",
+  "error InsufficientGas()",
+  "error BatchExecutionFailedNotForced(uint256 index, address to, uint256 value, bytes4 selector)",
+  "event TransactionExecuted(address indexed executor, uint256 indexed nonce, address indexed to, uint256 value, bytes4 selector)",
+  "event BatchCallFailed(uint256 index, address to, uint256 value, bytes4 selector)",
+  "event BatchTransactionExecuted(address executor, uint256 nonce, uint256 totalCalls, uint256 executedCalls)",
+  "event NonceUsed(uint192 indexed key, uint64 sequence)",
+  "event FeeTransferProcessed(address indexed feeReceiver, address indexed feeToken, uint256 feeAmount, uint256 totalGas, uint256 l1Fee)",
+  "event FeeTransferGasLimitExceeded(uint256 gasLimit, uint256 gasUsed)",
+  "event ExecutionFailed(address indexed to, uint256 value, bytes4 selector)",
+  `function executeTransaction(${GASLESS_TRANSACTION_TUPLE} gaslessTx, bytes signature, bool forced)`,
+  `function executeBatchTransaction(${GASLESS_BATCH_TRANSACTION_TUPLE} gaslessTx, bytes signature, bool forced)`,
+  "function nonce() view returns (uint256 currentNonce)",
+  "function getNonce(uint192 key) view returns (uint256 keyedNonce)",
+];
+
+export const ENTRY_POINT_ABI = [
+  "error InvalidDelegate(address executor, address expectedDelegate, address actualDelegate)",
+  `function executeTransaction(${GASLESS_TRANSACTION_TUPLE} gaslessTx, bytes signature, bool forced, address executor)`,
+  `function executeBatchTransaction(${GASLESS_BATCH_TRANSACTION_TUPLE} gaslessTx, bytes signature, bool forced, address executor)`,
+  "function requiredDelegateAddress() view returns (address delegate)",
+  "function currentRelayer() view returns (address relayer)",
+];
+
+/** Subset of the Chainlink `AggregatorV3Interface` read by the executor price check. */
+export const PRICE_FEED_ABI = [
+  "function decimals() view returns (uint8)",
+  "function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)",
+];
+
+/** OpenZeppelin `ECDSA` errors the executor raises while recovering the payload signer. */
+export const SIGNATURE_ERRORS_ABI = [
+  "error ECDSAInvalidSignature()",
+  "error ECDSAInvalidSignatureLength(uint256 length)",
+  "error ECDSAInvalidSignatureS(bytes32 s)",
+];
+
+/** OpenZeppelin errors the executor raises while transferring the fee (token or native coin). */
+export const FEE_TRANSFER_ERRORS_ABI = [
+  "error FailedCall()",
+  "error InsufficientBalance(uint256 balance, uint256 needed)",
+  "error SafeERC20FailedOperation(address token)",
+];
+
+/** OpenZeppelin errors that can surface from common token targets. */
+export const TOKEN_ERRORS_ABI = [
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+  "error ERC20InvalidSender(address sender)",
+  "error ERC20InvalidReceiver(address receiver)",
+  "error ERC721NonexistentToken(uint256 tokenId)",
+  "error ERC721IncorrectOwner(address sender, uint256 tokenId, address owner)",
+  "error ERC721InsufficientApproval(address operator, uint256 tokenId)",
+  "error ERC721InvalidReceiver(address receiver)",
+  "error ERC1155InsufficientBalance(address sender, uint256 balance, uint256 needed, uint256 tokenId)",
+  "error ERC1155MissingApprovalForAll(address operator, address owner)",
+  "error ERC1155InvalidReceiver(address receiver)",
+];
@@ -0,0 +1,163 @@
+import { Interface, getAddress, getBigInt } from "ethers";
+
+import { makeTransaction } from "./eip712.js";
+
+/**
+ * Builders of ready `Transaction` entries for native coin and ERC-20 / ERC-721 / ERC-1155 token actions.
+ *
+ * The result plugs directly into the payload builders:
+ *   makeGaslessTx({ ...erc20Transfer({ token, to, amount }), ...fee, nonce })
+ *   makeGaslessBatchTx({ transactions: [erc20Approve(...), erc721SafeTransfer(...)], ...fee, nonce })
+ *
+ * The executor account is the sender of every call, so `from` of NFT transfers is the executor EOA. It implements
+ * `ERC721Holder` / `ERC1155Holder` and can therefore also receive NFTs through safe transfers.
+ */
+
+/**
+ * Default per-call gas limits, sized for standard token implementations sending to a fresh recipient.
+ *
+ * @dev Tokens with hooks, proxies or fee-on-transfer logic may need more; pass `gasLimit` or size the calls
+ *      with {estimateGasLimits}.
+ */
+export const CALL_GAS_LIMITS = Object.freeze({
+  NATIVE_TRANSFER: 35_000n,
+  ERC20_TRANSFER: 65_000n,
+  ERC20_APPROVE: 60_000n,
+  ERC721_SAFE_TRANSFER: 150_000n,
+  ERC1155_SAFE_TRANSFER: 150_000n,
+  ERC1155_SAFE_BATCH_TRANSFER_BASE: 100_000n,
+  ERC1155_SAFE_BATCH_TRANSFER_PER_ID: 50_000n,
+});
+
+const erc20Interface = new Interface([
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+]);
+
+const erc721Interface = new Interface([
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+]);
+
+const erc1155Interface = new Interface([
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 value, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] values, bytes data)",
+]);
+
+/**
+ * Native coin transfer from the executor.
+ *
+ * @param {object} params
+ * @param {string} params.to Recipient.
+ * @param {bigint} params.amount Amount in wei.
+ * @param {bigint} [params.gasLimit] Gas forwarded to the recipient (its `receive` / `fallback`).
+ * @return {object} Normalized `Transaction`.
+ */
+export function nativeTransfer({ to, amount, gasLimit = CALL_GAS_LIMITS.NATIVE_TRANSFER }) {
+  return makeTransaction({ to, value: amount, gasLimit, data: "0x" });
+}
+
+/**
+ * ERC-20 `transfer(to, amount)` from the executor.
+ */
+export function erc20Transfer({ token, to, amount, gasLimit = CALL_GAS_LIMITS.ERC20_TRANSFER }) {
+  return makeTransaction({
+    to: token,
+    gasLimit,
+    data: erc20Interface.encodeFunctionData("transfer", [getAddress(to), getBigInt(amount)]),
+  });
+}
+
+/**
+ * ERC-20 `approve(spender, amount)` by the executor.
+ */
+export function erc20Approve({ token, spender, amount, gasLimit = CALL_GAS_LIMITS.ERC20_APPROVE }) {
+  return makeTransaction({
+    to: token,
+    gasLimit,
+    data: erc20Interface.encodeFunctionData("approve", [getAddress(spender), getBigInt(amount)]),
+  });
+}
+
+/**
+ * ERC-721 `safeTransferFrom(from, to, tokenId, data)`.
+ *
+ * @param {object} params
+ * @param {string} params.token ERC-721 contract.
+ * @param {string} params.from Current owner; the executor EOA, or an owner that approved it.
+ * @param {string} params.to Recipient; contracts must implement `IERC721Receiver`.
+ * @param {bigint} params.tokenId Token to transfer.
+ * @param {string} [params.data] Data forwarded to `onERC721Received`.
+ * @param {bigint} [params.gasLimit] Call gas limit.
+ * @return {object} Normalized `Transaction`.
+ */
+export function erc721SafeTransfer({
+  token,
+  from,
+  to,
+  tokenId,
+  data = "0x",
+  gasLimit = CALL_GAS_LIMITS.ERC721_SAFE_TRANSFER,
+}) {
+  return makeTransaction({
+    to: token,
+    gasLimit,
+    data: erc721Interface.encodeFunctionData("safeTransferFrom", [
+      getAddress(from),
+      getAddress(to),
+      getBigInt(tokenId),
+      data,
+    ]),
+  });
+}
+
+/**
+ * ERC-1155 `safeTransferFrom(from, to, id, amount, data)`.
+ */
+export function erc1155SafeTransfer({
+  token,
+  from,
+  to,
+  id,
+  amount,
+  data = "0x",
+  gasLimit = CALL_GAS_LIMITS.ERC1155_SAFE_TRANSFER,
+}) {
+  return makeTransaction({
+    to: token,
+    gasLimit,
+    data: erc1155Interface.encodeFunctionData("safeTransferFrom", [
+      getAddress(from),
+      getAddress(to),
+      getBigInt(id),
+      getBigInt(amount),
+      data,
+    ]),
+  });
+}
+
+/**
+ * ERC-1155 `safeBatchTransferFrom(from, to, ids, amounts, data)`.
+ *
+ * @dev The default gas limit grows with the number of ids.
+ * @throws When `ids` and `amounts` differ in length.
+ */
+export function erc1155SafeBatchTransfer({ token, from, to, ids, amounts, data = "0x", gasLimit }) {
+  if (ids.length !== amounts.length) {
+    throw new Error(`ids and amounts length mismatch: ${ids.length} != ${amounts.length}`);
+  }
+
+  return makeTransaction({
+    to: token,
+    gasLimit:
+      gasLimit ??
+      CALL_GAS_LIMITS.ERC1155_SAFE_BATCH_TRANSFER_BASE +
+        CALL_GAS_LIMITS.ERC1155_SAFE_BATCH_TRANSFER_PER_ID * BigInt(ids.length),
+    data: erc1155Interface.encodeFunctionData("safeBatchTransferFrom", [
+      getAddress(from),
+      getAddress(to),
+      ids.map((id) => getBigInt(id)),
+      amounts.map((amount) => getBigInt(amount)),
+      data,
+    ]),
+  });
+}
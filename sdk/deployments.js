@@ -0,0 +1,34 @@
+// Generated by the deploy task from deployments/<chainId>.json; do not edit by hand.
+
+export const DEPLOYMENTS = {
+  "1": {
+    "executorType": "L1",
+    "executorVersion": "1",
+    "executor": "0xe3014E9AB2739aDeF234B3829C79128746160178",
+    "entryPoint": "0x9A74442aD2D0c8c2ca035a6F9b6122A085e72F0F"
+  },
+  "56": {
+    "executorType": "L1",
+    "executorVersion": "1",
+    "executor": "0xe1d0BF13C427C4B2e25Df0CA29E1Faa2d10458f3",
+    "entryPoint": "0x06c561600016398430cC48be17292B87b1C0DB5F"
+  },
+  "137": {
+    "executorType": "L1",
+    "executorVersion": "1",
+    "executor": "0x2C2397c7605dc6d5493518260BDdeebE743B3faD",
+    "entryPoint": "0x20e7016ff14Dd10f04028fE52aBBca34F44b6965"
+  },
+  "8453": {
+    "executorType": "OP",
+    "executorVersion": "1",
+    "executor": "0x61dD8620410a2372CbE4946f9148671F38F93fC7",
+    "entryPoint": "0x032E129855EbAF646B37211B58dd88c9425fd492"
+  },
+  "42161": {
+    "executorType": "arbitrum",
+    "executorVersion": "1",
+    "executor": "0x20e7016ff14Dd10f04028fE52aBBca34F44b6965",
+    "entryPoint": "0x96922f4b701F0138064bCcB1549B4B7B6b3447CC"
+  }
+};
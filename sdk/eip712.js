@@ -0,0 +1,497 @@
+import {
+  TypedDataEncoder,
+  getAddress,
+  getBigInt,
+  hexlify,
+  isAddress,
+  isHexString,
+  verifyTypedData,
+  ZeroAddress,
+} from "ethers";
+
+/**
+ * EIP-712 typed data definitions and signing helpers for Tangem7702GaslessExecutor gasless transactions.
+ *
+ * IMPORTANT:
+ * The struct definitions below MUST match the Solidity type strings in `Tangem7702GaslessExecutor`
+ * field-by-field and in the same order, otherwise recovered signers will not match onchain.
+ */
+
+/** EIP-712 domain name set by the `Tangem7702GaslessExecutor` constructor. */
+export const EIP712_DOMAIN_NAME = "Tangem7702GaslessExecutor";
+
+/** EIP-712 domain version set by the `Tangem7702GaslessExecutor` constructor. */
+export const EIP712_DOMAIN_VERSION = "2";
+
+/** `feeReceiver` paying the fee to whichever relayer submits the payload (see `Tangem7702GaslessEntryPoint.currentRelayer`). */
+export const RELAYER_FEE_RECEIVER = ZeroAddress;
+
+/** Per-call gas limit used when a `Transaction` entry does not specify one. */
+export const DEFAULT_CALL_GAS_LIMIT = 200_000n;
+
+/** Seconds a payload built without `validUntil` stays valid for, from the time it is built. */
+export const DEFAULT_VALIDITY_PERIOD = 30n * 60n;
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const TRANSACTION_TYPE = [
+  { name: "to", type: "address" },
+  { name: "value", type: "uint256" },
+  { name: "gasLimit", type: "uint256" },
+  { name: "data", type: "bytes" },
+];
+
+const FEE_TYPE = [
+  { name: "feeToken", type: "address" },
+  { name: "maxTokenFee", type: "uint256" },
+  { name: "coinPriceInToken", type: "uint256" },
+  { name: "priceFeed", type: "address" },
+  { name: "maxPriceDeviationBps", type: "uint256" },
+  { name: "maxPriceAge", type: "uint256" },
+  { name: "feeTransferGasLimit", type: "uint256" },
+  { name: "baseGas", type: "uint256" },
+  { name: "maxFeePerGas", type: "uint256" },
+  { name: "maxPriorityFeePerGas", type: "uint256" },
+  { name: "feeReceiver", type: "address" },
+];
+
+export const GASLESS_TYPES = {
+  Transaction: TRANSACTION_TYPE,
+  Fee: FEE_TYPE,
+  GaslessTransaction: [
+    { name: "transaction", type: "Transaction" },
+    { name: "fee", type: "Fee" },
+    { name: "nonce", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validUntil", type: "uint256" },
+  ],
+};
+
+export const GASLESS_BATCH_TYPES = {
+  Transaction: TRANSACTION_TYPE,
+  Fee: FEE_TYPE,
+  GaslessBatchTransaction: [
+    { name: "transactions", type: "Transaction[]" },
+    { name: "fee", type: "Fee" },
+    { name: "nonce", type: "uint256" },
+    { name: "validAfter", type: "uint256" },
+    { name: "validUntil", type: "uint256" },
+  ],
+};
+
+/**
+ * Builds a `Transaction` entry in the exact shape expected by the onchain ABI and EIP-712 types.
+ *
+ * @dev `gasLimit` defaults to `DEFAULT_CALL_GAS_LIMIT`, which fits neither every call nor the user's fee
+ *      budget; size it with {estimateGasLimits} instead.
+ * @param {object} transaction Target call parameters (`to`, `value`, optional `gasLimit`, `data`).
+ * @return {object} Normalized `Transaction` with checksummed `to`, bigint numbers and hex `data`.
+ */
+export function makeTransaction({ to, value = 0n, gasLimit = DEFAULT_CALL_GAS_LIMIT, data = "0x" }) {
+  return {
+    to: getAddress(to),
+    value: getBigInt(value),
+    gasLimit: getBigInt(gasLimit),
+    data: hexlify(data),
+  };
+}
+
+/**
+ * Builds a `Fee` struct in the exact shape expected by the onchain ABI and EIP-712 types.
+ *
+ * @dev `feeToken` may be the zero address (`NATIVE_FEE_TOKEN`) to pay the fee in native coin, with a
+ *      `coinPriceInToken` of `PRICE_PRECISION`.
+ *      `priceFeed` defaults to the zero address, which disables the onchain price check; see
+ *      {makePriceCheckedFee} to sign one.
+ *      `maxFeePerGas` caps the gas price the relayer may send with, `maxPriorityFeePerGas` the tip over the base fee
+ *      the user is charged for; both are only enforced when the fee is enabled.
+ *      `feeReceiver` may be `RELAYER_FEE_RECEIVER` to pay whichever relayer submits the payload instead of one
+ *      chosen at signing time.
+ * @param {object} fee Fee parameters.
+ * @return {object} Normalized `Fee` with checksummed addresses and bigint numbers.
+ */
+export function makeFee({
+  feeToken,
+  maxTokenFee,
+  coinPriceInToken,
+  priceFeed = ZeroAddress,
+  maxPriceDeviationBps = 0n,
+  maxPriceAge = 0n,
+  feeTransferGasLimit,
+  baseGas,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  feeReceiver,
+}) {
+  return {
+    feeToken: getAddress(feeToken),
+    maxTokenFee: getBigInt(maxTokenFee),
+    coinPriceInToken: getBigInt(coinPriceInToken),
+    priceFeed: getAddress(priceFeed),
+    maxPriceDeviationBps: getBigInt(maxPriceDeviationBps),
+    maxPriceAge: getBigInt(maxPriceAge),
+    feeTransferGasLimit: getBigInt(feeTransferGasLimit),
+    baseGas: getBigInt(baseGas),
+    maxFeePerGas: getBigInt(maxFeePerGas),
+    maxPriorityFeePerGas: getBigInt(maxPriorityFeePerGas),
+    feeReceiver: getAddress(feeReceiver),
+  };
+}
+
+/**
+ * Builds the `validAfter` / `validUntil` window of a payload.
+ *
+ * @dev `validAfter` defaults to 0 (valid immediately) and `validUntil` to `DEFAULT_VALIDITY_PERIOD` seconds after
+ *      `now`, so a payload signed with a stale `coinPriceInToken` cannot be relayed much later.
+ * @param {object} window
+ * @param {bigint} [window.validAfter] Earliest execution timestamp, inclusive.
+ * @param {bigint} [window.validUntil] Latest execution timestamp, inclusive.
+ * @param {bigint} [window.now] Current timestamp in seconds; defaults to the local clock.
+ * @return {{validAfter: bigint, validUntil: bigint}}
+ */
+export function makeValidityWindow({ validAfter = 0n, validUntil, now = BigInt(Math.floor(Date.now() / 1000)) } = {}) {
+  return {
+    validAfter: getBigInt(validAfter),
+    validUntil: validUntil === undefined ? getBigInt(now) + DEFAULT_VALIDITY_PERIOD : getBigInt(validUntil),
+  };
+}
+
+/**
+ * Builds a `GaslessTransaction` in the exact shape expected by the onchain ABI and EIP-712 types.
+ *
+ * @dev Builders only normalize field types; they do not reject payloads the executor would revert on,
+ *      see {validateGaslessTx} for that. The validity window defaults as in {makeValidityWindow}.
+ */
+export function makeGaslessTx({
+  to,
+  value,
+  gasLimit,
+  data,
+  feeToken,
+  maxTokenFee,
+  coinPriceInToken,
+  priceFeed,
+  maxPriceDeviationBps,
+  maxPriceAge,
+  feeTransferGasLimit,
+  baseGas,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  feeReceiver,
+  nonce,
+  validAfter,
+  validUntil,
+}) {
+  return {
+    transaction: makeTransaction({ to, value, gasLimit, data }),
+    fee: makeFee({
+      feeToken,
+      maxTokenFee,
+      coinPriceInToken,
+      priceFeed,
+      maxPriceDeviationBps,
+      maxPriceAge,
+      feeTransferGasLimit,
+      baseGas,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      feeReceiver,
+    }),
+    nonce: getBigInt(nonce),
+    ...makeValidityWindow({ validAfter, validUntil }),
+  };
+}
+
+/**
+ * Builds a `GaslessBatchTransaction` in the exact shape expected by the onchain ABI and EIP-712 types.
+ *
+ * @dev Each batch item gets `DEFAULT_CALL_GAS_LIMIT` when `gasLimit` is omitted. The validity window defaults as
+ *      in {makeValidityWindow}.
+ */
+export function makeGaslessBatchTx({
+  transactions,
+  feeToken,
+  maxTokenFee,
+  coinPriceInToken,
+  priceFeed,
+  maxPriceDeviationBps,
+  maxPriceAge,
+  feeTransferGasLimit,
+  baseGas,
+  maxFeePerGas,
+  maxPriorityFeePerGas,
+  feeReceiver,
+  nonce,
+  validAfter,
+  validUntil,
+}) {
+  return {
+    transactions: transactions.map((tx) => makeTransaction(tx)),
+    fee: makeFee({
+      feeToken,
+      maxTokenFee,
+      coinPriceInToken,
+      priceFeed,
+      maxPriceDeviationBps,
+      maxPriceAge,
+      feeTransferGasLimit,
+      baseGas,
+      maxFeePerGas,
+      maxPriorityFeePerGas,
+      feeReceiver,
+    }),
+    nonce: getBigInt(nonce),
+    ...makeValidityWindow({ validAfter, validUntil }),
+  };
+}
+
+/**
+ * Returns the list of problems that make `gaslessTx` malformed or certain to revert in the executor.
+ *
+ * @dev Checks field types and ranges as well as the executor's static requirements
+ *      (`ZeroTarget`). An empty array means the payload is well-formed.
+ * @param {object} gaslessTx The `GaslessTransaction` to validate.
+ * @return {string[]} Human-readable problems, empty if none.
+ */
+export function validateGaslessTx(gaslessTx) {
+  const problems = [];
+
+  if (gaslessTx === null || typeof gaslessTx !== "object") {
+    return ["gaslessTx must be an object"];
+  }
+
+  _validateTransaction(gaslessTx.transaction, "transaction", problems);
+  _validateFee(gaslessTx.fee, problems);
+  _validateUint256(gaslessTx.nonce, "nonce", problems);
+  _validateValidityWindow(gaslessTx, problems);
+
+  return problems;
+}
+
+/**
+ * Returns the list of problems that make `gaslessBatchTx` malformed or certain to revert in the executor.
+ *
+ * @dev Same checks as {validateGaslessTx} for every call, plus the `InvalidCallsLength` requirement.
+ * @param {object} gaslessBatchTx The `GaslessBatchTransaction` to validate.
+ * @return {string[]} Human-readable problems, empty if none.
+ */
+export function validateGaslessBatchTx(gaslessBatchTx) {
+  const problems = [];
+
+  if (gaslessBatchTx === null || typeof gaslessBatchTx !== "object") {
+    return ["gaslessBatchTx must be an object"];
+  }
+
+  const { transactions } = gaslessBatchTx;
+  if (!Array.isArray(transactions)) {
+    problems.push("transactions must be an array");
+  } else {
+    if (transactions.length < 2) {
+      problems.push("transactions must contain at least 2 calls");
+    }
+    transactions.forEach((tx, i) => _validateTransaction(tx, `transactions[${i}]`, problems));
+  }
+
+  _validateFee(gaslessBatchTx.fee, problems);
+  _validateUint256(gaslessBatchTx.nonce, "nonce", problems);
+  _validateValidityWindow(gaslessBatchTx, problems);
+
+  return problems;
+}
+
+/**
+ * Throws if `gaslessTx` fails {validateGaslessTx}.
+ */
+export function assertValidGaslessTx(gaslessTx) {
+  const problems = validateGaslessTx(gaslessTx);
+  if (problems.length > 0) {
+    throw new Error(`Invalid GaslessTransaction: ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Throws if `gaslessBatchTx` fails {validateGaslessBatchTx}.
+ */
+export function assertValidGaslessBatchTx(gaslessBatchTx) {
+  const problems = validateGaslessBatchTx(gaslessBatchTx);
+  if (problems.length > 0) {
+    throw new Error(`Invalid GaslessBatchTransaction: ${problems.join("; ")}`);
+  }
+}
+
+/**
+ * Builds the EIP-712 domain of an executor account.
+ *
+ * @notice In EIP-7702 delegated execution `verifyingContract` is the executor EOA itself,
+ *         not the delegate implementation address.
+ * @param {object} params
+ * @param {bigint|number} params.chainId Chain ID the signature is valid on.
+ * @param {string} params.executorAddress The executor EOA address.
+ * @return {object} EIP-712 domain.
+ */
+export function buildGaslessDomain({ chainId, executorAddress }) {
+  return {
+    name: EIP712_DOMAIN_NAME,
+    version: EIP712_DOMAIN_VERSION,
+    chainId: getBigInt(chainId),
+    verifyingContract: getAddress(executorAddress),
+  };
+}
+
+/**
+ * Builds the EIP-712 domain of an executor account using the chain ID reported by `provider`.
+ *
+ * @param {object} provider Any ethers v6 provider.
+ * @param {string} executorAddress The executor EOA address.
+ * @return {Promise<object>} EIP-712 domain.
+ */
+export async function getGaslessDomain(provider, executorAddress) {
+  const { chainId } = await provider.getNetwork();
+  return buildGaslessDomain({ chainId, executorAddress });
+}
+
+/**
+ * Computes the EIP-712 digest the executor recovers the signer from for a `GaslessTransaction`.
+ */
+export function hashGaslessTx(domain, gaslessTx) {
+  return TypedDataEncoder.hash(domain, GASLESS_TYPES, gaslessTx);
+}
+
+/**
+ * Computes the EIP-712 digest the executor recovers the signer from for a `GaslessBatchTransaction`.
+ */
+export function hashGaslessBatchTx(domain, gaslessBatchTx) {
+  return TypedDataEncoder.hash(domain, GASLESS_BATCH_TYPES, gaslessBatchTx);
+}
+
+/**
+ * Recovers the signer of a `GaslessTransaction` signature.
+ *
+ * @return {string} Recovered address; the executor accepts the signature only if it equals the executor address.
+ */
+export function recoverGaslessTxSigner(domain, gaslessTx, signature) {
+  return verifyTypedData(domain, GASLESS_TYPES, gaslessTx, signature);
+}
+
+/**
+ * Recovers the signer of a `GaslessBatchTransaction` signature.
+ *
+ * @return {string} Recovered address; the executor accepts the signature only if it equals the executor address.
+ */
+export function recoverGaslessBatchTxSigner(domain, gaslessBatchTx, signature) {
+  return verifyTypedData(domain, GASLESS_BATCH_TYPES, gaslessBatchTx, signature);
+}
+
+/**
+ * Signs a `GaslessTransaction` using EIP-712 and returns signature + digest.
+ *
+ * @param {object} params
+ * @param {object} params.signer Any ethers v6 signer controlling the executor EOA.
+ * @param {string} params.executorAddress The executor EOA address (EIP-712 `verifyingContract`).
+ * @param {object} params.gaslessTx The payload to sign.
+ * @param {bigint|number} [params.chainId] Chain ID; read from `signer.provider` when omitted.
+ * @return {Promise<{signature: string, digest: string}>}
+ */
+export async function signGaslessTx({ signer, executorAddress, gaslessTx, chainId }) {
+  const domain = await _resolveDomain(signer, executorAddress, chainId);
+
+  const signature = await signer.signTypedData(domain, GASLESS_TYPES, gaslessTx);
+  const digest = hashGaslessTx(domain, gaslessTx);
+
+  return { signature, digest };
+}
+
+/**
+ * Signs a `GaslessBatchTransaction` using EIP-712 and returns signature + digest.
+ *
+ * @param {object} params
+ * @param {object} params.signer Any ethers v6 signer controlling the executor EOA.
+ * @param {string} params.executorAddress The executor EOA address (EIP-712 `verifyingContract`).
+ * @param {object} params.gaslessBatchTx The payload to sign.
+ * @param {bigint|number} [params.chainId] Chain ID; read from `signer.provider` when omitted.
+ * @return {Promise<{signature: string, digest: string}>}
+ */
+export async function signGaslessBatchTx({ signer, executorAddress, gaslessBatchTx, chainId }) {
+  const domain = await _resolveDomain(signer, executorAddress, chainId);
+
+  const signature = await signer.signTypedData(domain, GASLESS_BATCH_TYPES, gaslessBatchTx);
+  const digest = hashGaslessBatchTx(domain, gaslessBatchTx);
+
+  return { signature, digest };
+}
+
+async function _resolveDomain(signer, executorAddress, chainId) {
+  if (chainId !== undefined) {
+    return buildGaslessDomain({ chainId, executorAddress });
+  }
+  if (!signer.provider) {
+    throw new Error("chainId is required when the signer is not connected to a provider");
+  }
+  return getGaslessDomain(signer.provider, executorAddress);
+}
+
+function _validateTransaction(transaction, path, problems) {
+  if (transaction === null || typeof transaction !== "object") {
+    problems.push(`${path} must be an object`);
+    return;
+  }
+
+  _validateAddress(transaction.to, `${path}.to`, problems);
+  if (isAddress(transaction.to) && getAddress(transaction.to) === ZeroAddress) {
+    problems.push(`${path}.to must not be the zero address`);
+  }
+  _validateUint256(transaction.value, `${path}.value`, problems);
+  _validateUint256(transaction.gasLimit, `${path}.gasLimit`, problems);
+  if (!isHexString(transaction.data)) {
+    problems.push(`${path}.data must be a 0x-prefixed hex string`);
+  } else if (transaction.data.length % 2 !== 0) {
+    problems.push(`${path}.data must contain whole bytes`);
+  }
+}
+
+function _validateFee(fee, problems) {
+  if (fee === null || typeof fee !== "object") {
+    problems.push("fee must be an object");
+    return;
+  }
+
+  _validateAddress(fee.feeToken, "fee.feeToken", problems);
+  _validateUint256(fee.maxTokenFee, "fee.maxTokenFee", problems);
+  _validateUint256(fee.coinPriceInToken, "fee.coinPriceInToken", problems);
+  _validateAddress(fee.priceFeed, "fee.priceFeed", problems);
+  _validateUint256(fee.maxPriceDeviationBps, "fee.maxPriceDeviationBps", problems);
+  _validateUint256(fee.maxPriceAge, "fee.maxPriceAge", problems);
+  _validateUint256(fee.feeTransferGasLimit, "fee.feeTransferGasLimit", problems);
+  _validateUint256(fee.baseGas, "fee.baseGas", problems);
+  _validateUint256(fee.maxFeePerGas, "fee.maxFeePerGas", problems);
+  _validateUint256(fee.maxPriorityFeePerGas, "fee.maxPriorityFeePerGas", problems);
+  _validateAddress(fee.feeReceiver, "fee.feeReceiver", problems);
+}
+
+function _validateValidityWindow({ validAfter, validUntil }, problems) {
+  const count = problems.length;
+  _validateUint256(validAfter, "validAfter", problems);
+  _validateUint256(validUntil, "validUntil", problems);
+  if (problems.length === count && getBigInt(validUntil) < getBigInt(validAfter)) {
+    problems.push("validUntil must not be before validAfter");
+  }
+}
+
+function _validateAddress(value, path, problems) {
+  if (typeof value !== "string" || !isAddress(value)) {
+    problems.push(`${path} must be an address`);
+  }
+}
+
+function _validateUint256(value, path, problems) {
+  let n;
+  try {
+    n = getBigInt(value);
+  } catch {
+    problems.push(`${path} must be an integer`);
+    return;
+  }
+  if (n < 0n || n > MAX_UINT256) {
+    problems.push(`${path} must fit in uint256`);
+  }
+}
@@ -0,0 +1,137 @@
+import { getAddress, getBigInt, ZeroAddress } from "ethers";
+
+/**
+ * EIP-7702 helpers: authorization signing, type-4 set-code transactions and delegation lookup.
+ *
+ * @notice An EIP-7702 delegated account carries the "delegation designator" as its code:
+ *         `0xef0100 || <20-byte delegate address>`.
+ */
+
+/** Prefix of the EIP-7702 delegation designator. */
+export const DELEGATION_DESIGNATOR_PREFIX = "0xef0100";
+
+/** EIP-2718 transaction type of EIP-7702 set-code transactions. */
+export const SET_CODE_TX_TYPE = 4;
+
+const DELEGATION_DESIGNATOR_LENGTH = 2 + 2 * 23;
+
+/**
+ * Builds the EIP-7702 delegation designator code for `delegate`.
+ *
+ * @param {string} delegate The delegate (implementation) contract address.
+ * @return {string} Hex string `0xef0100 || delegate`.
+ */
+export function delegationDesignatorCode(delegate) {
+  return `${DELEGATION_DESIGNATOR_PREFIX}${getAddress(delegate).slice(2)}`;
+}
+
+/**
+ * Extracts the delegate address from account code.
+ *
+ * @dev Mirrors `EIP7702Utils.fetchDelegate`: returns the zero address unless `code` is exactly a
+ *      delegation designator.
+ * @param {string} code Account code as returned by `eth_getCode`.
+ * @return {string} The checksummed delegate address, or the zero address.
+ */
+export function parseDelegationDesignator(code) {
+  const normalized = (code ?? "0x").toLowerCase();
+  if (normalized.length !== DELEGATION_DESIGNATOR_LENGTH || !normalized.startsWith(DELEGATION_DESIGNATOR_PREFIX)) {
+    return ZeroAddress;
+  }
+  return getAddress(`0x${normalized.slice(DELEGATION_DESIGNATOR_PREFIX.length)}`);
+}
+
+/**
+ * Reads the current EIP-7702 delegate of `account`.
+ *
+ * @param {object} provider Any ethers v6 provider.
+ * @param {string} account The account to inspect.
+ * @param {string} [blockTag] Block to read the code at.
+ * @return {Promise<string>} The delegate address, or the zero address if the account is not delegated.
+ */
+export async function getDelegate(provider, account, blockTag) {
+  return parseDelegationDesignator(await provider.getCode(account, blockTag));
+}
+
+/**
+ * Signs an EIP-7702 authorization tuple `(chainId, delegate, nonce)` with the account's key.
+ *
+ * @notice When the authority also sends the set-code transaction, its account nonce is incremented
+ *         before the authorization list is processed, so the authorization must carry `nonce + 1`.
+ *         Pass `selfSponsored: true` to account for that.
+ * @dev `chainId` defaults to the signer's network; use `0n` to sign an authorization valid on every chain.
+ * @param {object} params
+ * @param {object} params.signer Signer of the authority account; must support `authorize()`.
+ * @param {string} params.delegateAddress Delegate contract address, or the zero address to clear delegation.
+ * @param {bigint} [params.chainId] Chain ID the authorization is valid on.
+ * @param {bigint} [params.nonce] Account nonce the authorization is valid for.
+ * @param {boolean} [params.selfSponsored] Whether the authority sends the set-code transaction itself.
+ * @return {Promise<object>} The signed authorization, ready for a type-4 `authorizationList`.
+ */
+export async function signAuthorization({ signer, delegateAddress, chainId, nonce, selfSponsored = false }) {
+  if (chainId === undefined) {
+    ({ chainId } = await signer.provider.getNetwork());
+  }
+  if (nonce === undefined) {
+    nonce = getBigInt(await signer.getNonce("pending")) + (selfSponsored ? 1n : 0n);
+  }
+
+  return signer.authorize({
+    address: getAddress(delegateAddress),
+    chainId: getBigInt(chainId),
+    nonce: getBigInt(nonce),
+  });
+}
+
+/**
+ * Sends a type-4 set-code transaction carrying `authorizations`.
+ *
+ * @param {object} params
+ * @param {object} params.sender Signer paying for the transaction.
+ * @param {object[]} params.authorizations Signed authorizations (see {signAuthorization}).
+ * @param {string} [params.to] Call target; defaults to the sender (set-code transactions cannot create contracts).
+ * @param {string} [params.data] Calldata of the call.
+ * @param {bigint} [params.value] Native coin value of the call.
+ * @param {object} [params.overrides] Extra transaction fields (gas limit, fees, ...).
+ * @return {Promise<object>} The sent transaction response.
+ */
+export async function sendSetCodeTransaction({ sender, authorizations, to, data = "0x", value = 0n, overrides = {} }) {
+  if (authorizations.length === 0) {
+    throw new Error("A set-code transaction requires at least one authorization");
+  }
+
+  return sender.sendTransaction({
+    ...overrides,
+    type: SET_CODE_TX_TYPE,
+    to: to ?? (await sender.getAddress()),
+    data,
+    value,
+    authorizationList: authorizations,
+  });
+}
+
+/**
+ * Delegates `authority` to `delegateAddress` with a real EIP-7702 transaction and waits for it.
+ *
+ * @param {object} params
+ * @param {object} params.authority Signer of the account being delegated.
+ * @param {string} params.delegateAddress Delegate contract address, or the zero address to clear delegation.
+ * @param {object} [params.sponsor] Signer paying for the transaction; defaults to `authority`.
+ * @return {Promise<object>} The mined transaction receipt.
+ */
+export async function delegateAccount({ authority, delegateAddress, sponsor }) {
+  const sender = sponsor ?? authority;
+  const selfSponsored = getAddress(await sender.getAddress()) === getAddress(await authority.getAddress());
+
+  const authorization = await signAuthorization({ signer: authority, delegateAddress, selfSponsored });
+  const tx = await sendSetCodeTransaction({ sender, authorizations: [authorization] });
+  const receipt = await tx.wait();
+
+  const actual = await getDelegate(sender.provider, await authority.getAddress());
+  const expected = getAddress(delegateAddress);
+  if (actual !== expected) {
+    throw new Error(`Delegation was not applied: expected ${expected}, found ${actual}`);
+  }
+
+  return receipt;
+}
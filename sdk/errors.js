@@ -0,0 +1,363 @@
+import { AbiCoder, Interface, dataLength, dataSlice, isHexString, ZeroHash } from "ethers";
+
+import {
+  ENTRY_POINT_ABI,
+  EXECUTOR_ABI,
+  FEE_TRANSFER_ERRORS_ABI,
+  SIGNATURE_ERRORS_ABI,
+  TOKEN_ERRORS_ABI,
+} from "./abi.js";
+
+/**
+ * Structured decoding of executor / entry point reverts and revert data bubbled up from target calls.
+ */
+
+/** Where a decoded revert originated. */
+export const ErrorSource = Object.freeze({
+  EXECUTOR: "executor",
+  ENTRY_POINT: "entryPoint",
+  /** The fee transfer of the executor (fee token or native coin). */
+  FEE: "fee",
+  TARGET: "target",
+  UNKNOWN: "unknown",
+});
+
+const ERROR_STRING_SELECTOR = "0x08c379a0";
+const PANIC_SELECTOR = "0x4e487b71";
+
+const PANIC_REASONS = {
+  0x00: "generic compiler panic",
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division or modulo by zero",
+  0x21: "invalid enum value",
+  0x22: "invalid storage byte array encoding",
+  0x31: "pop on empty array",
+  0x32: "array index out of bounds",
+  0x41: "out of memory",
+  0x51: "call to uninitialized internal function",
+};
+
+const executorInterface = new Interface(EXECUTOR_ABI);
+const entryPointInterface = new Interface(ENTRY_POINT_ABI);
+// Library errors raised by the executor itself, with the source they are reported under.
+const LIBRARY_ERRORS = [
+  { iface: new Interface(SIGNATURE_ERRORS_ABI), source: ErrorSource.EXECUTOR },
+  { iface: new Interface(FEE_TRANSFER_ERRORS_ABI), source: ErrorSource.FEE },
+];
+
+/**
+ * A pluggable registry of ABIs used to decode custom errors and call selectors.
+ */
+export class AbiRegistry {
+  #interfaces = [];
+
+  /**
+   * @param {Array<Interface|string[]|object[]>} [abis] ABIs to register up front.
+   */
+  constructor(abis = []) {
+    abis.forEach((abi) => this.register(abi));
+  }
+
+  /**
+   * Registers an ABI (ethers `Interface`, human-readable or JSON fragments).
+   *
+   * @return {AbiRegistry} This registry, for chaining.
+   */
+  register(abi) {
+    this.#interfaces.push(abi instanceof Interface ? abi : new Interface(abi));
+    return this;
+  }
+
+  /**
+   * Decodes custom error revert data.
+   *
+   * @return {{name: string, signature: string, args: object}|null} `null` when no registered error matches.
+   */
+  parseError(data) {
+    for (const iface of this.#interfaces) {
+      const parsed = _tryParse(() => iface.parseError(data));
+      if (parsed) {
+        return { name: parsed.name, signature: parsed.signature, args: _namedArgs(parsed) };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Resolves a 4-byte function selector.
+   *
+   * @return {{name: string, signature: string}|null} `null` when no registered function matches.
+   */
+  getFunction(selector) {
+    for (const iface of this.#interfaces) {
+      const fragment = _tryParse(() => iface.getFunction(selector));
+      if (fragment) {
+        return { name: fragment.name, signature: fragment.format("sighash") };
+      }
+    }
+    return null;
+  }
+}
+
+/**
+ * Creates a registry preloaded with the executor, entry point and common token ABIs.
+ *
+ * @param {Array} [extraAbis] Additional target ABIs (DEX routers, tokens, ...).
+ * @return {AbiRegistry}
+ */
+export function createDefaultAbiRegistry(extraAbis = []) {
+  return new AbiRegistry([
+    executorInterface,
+    entryPointInterface,
+    SIGNATURE_ERRORS_ABI,
+    FEE_TRANSFER_ERRORS_ABI,
+    TOKEN_ERRORS_ABI,
+    ...extraAbis,
+  ]);
+}
+
+const DEFAULT_REGISTRY = createDefaultAbiRegistry();
+
+/**
+ * Extracts revert data from an ethers / JSON-RPC error, or returns hex input unchanged.
+ *
+ * @param {Error|object|string} errorOrData An error thrown by a call or transaction, or raw revert data.
+ * @return {string|null} Revert data, or `null` when none can be found.
+ */
+export function extractRevertData(errorOrData) {
+  if (typeof errorOrData === "string") {
+    return isHexString(errorOrData) ? errorOrData : null;
+  }
+
+  const seen = new Set();
+  const queue = [errorOrData];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (current === null || typeof current !== "object" || seen.has(current)) {
+      continue;
+    }
+    seen.add(current);
+
+    if (isHexString(current.data)) {
+      return current.data;
+    }
+    queue.push(current.data, current.error, current.info, current.cause);
+  }
+  return null;
+}
+
+/**
+ * Decodes a gasless execution failure into a typed object.
+ *
+ * @notice `retryable` tells whether submitting the same signed payload again may succeed once
+ *         external conditions change (gas price, balances, an earlier nonce being executed, ...).
+ *         Reverts that can only be fixed by signing a new payload are non-retryable.
+ * @param {Error|object|string} errorOrData An error thrown by a call or transaction, or raw revert data.
+ * @param {object} [options]
+ * @param {AbiRegistry} [options.registry] Registry used for custom errors and call selectors.
+ * @return {{source: string, name: string, args: object, reason: string, retryable: boolean,
+ *           data: string|null, call: object|undefined}}
+ */
+export function decodeGaslessError(errorOrData, { registry = DEFAULT_REGISTRY } = {}) {
+  const data = extractRevertData(errorOrData);
+
+  if (data === null || dataLength(data) === 0) {
+    return {
+      source: ErrorSource.UNKNOWN,
+      name: "EmptyRevert",
+      args: {},
+      reason: "Reverted without data (possibly out of gas)",
+      retryable: true,
+      data,
+    };
+  }
+
+  if (dataLength(data) < 4) {
+    return _unknown(data);
+  }
+
+  const selector = dataSlice(data, 0, 4);
+
+  if (selector === ERROR_STRING_SELECTOR) {
+    const [message] = _tryParse(() => AbiCoder.defaultAbiCoder().decode(["string"], dataSlice(data, 4))) ?? [];
+    if (message === undefined) {
+      return _unknown(data);
+    }
+    return _target(data, "Error", { message }, `Target call reverted: ${message}`);
+  }
+
+  if (selector === PANIC_SELECTOR) {
+    const [code] = _tryParse(() => AbiCoder.defaultAbiCoder().decode(["uint256"], dataSlice(data, 4))) ?? [];
+    if (code === undefined) {
+      return _unknown(data);
+    }
+    const description = PANIC_REASONS[Number(code)] ?? "unknown panic code";
+    return _target(data, "Panic", { code }, `Target call panicked: ${description} (0x${code.toString(16)})`);
+  }
+
+  const own = _decodeOwnError(data, registry);
+  if (own) {
+    return own;
+  }
+
+  const custom = registry.parseError(data);
+  if (custom) {
+    return _target(data, custom.name, custom.args, `Target call reverted with ${custom.signature}`);
+  }
+
+  return _unknown(data);
+}
+
+function _decodeOwnError(data, registry) {
+  const candidates = [
+    { iface: executorInterface, source: ErrorSource.EXECUTOR },
+    { iface: entryPointInterface, source: ErrorSource.ENTRY_POINT },
+    ...LIBRARY_ERRORS,
+  ];
+  let parsed = null;
+  let source;
+  for (const candidate of candidates) {
+    parsed = _tryParse(() => candidate.iface.parseError(data));
+    if (parsed) {
+      source = candidate.source;
+      break;
+    }
+  }
+  if (!parsed) {
+    return null;
+  }
+
+  const args = _namedArgs(parsed);
+  const { reason, retryable } = _describe(parsed.name, args);
+  const decoded = { source, name: parsed.name, args, reason, retryable, data };
+
+  if (args.selector !== undefined) {
+    decoded.call = { selector: args.selector, function: _resolveSelector(args.selector, registry) };
+  }
+
+  return decoded;
+}
+
+function _describe(name, args) {
+  switch (name) {
+    case "ExecutionFailedNotForced":
+      return { reason: `Call to ${args.to} reverted without data`, retryable: false };
+    case "BatchExecutionFailedNotForced":
+      return { reason: `Batch call #${args.index} to ${args.to} reverted without data`, retryable: false };
+    case "MaxFeeExceeded":
+      return {
+        reason: `Computed fee ${args.feeAmount} exceeds signed maxTokenFee ${args.maxTokenFee}`,
+        retryable: true,
+      };
+    case "MaxFeePerGasExceeded":
+      return {
+        reason: `Gas price ${args.gasPrice} exceeds signed maxFeePerGas ${args.maxFeePerGas}`,
+        retryable: true,
+      };
+    case "InvalidNativeCoinPrice":
+      return {
+        reason: `Native coin fee is signed with coinPriceInToken ${args.coinPriceInToken}, expected 10^18`,
+        retryable: false,
+      };
+    case "InvalidFeedPrice":
+      return { reason: `Price feed ${args.priceFeed} answers ${args.answer}`, retryable: true };
+    case "StalePrice":
+      return { reason: `Price feed ${args.priceFeed} was last updated at ${args.updatedAt}`, retryable: true };
+    case "PriceDeviationExceeded":
+      return {
+        reason: `Signed coinPriceInToken ${args.coinPriceInToken} deviates from the feed price ${args.feedPrice} ` +
+          `by more than ${args.maxPriceDeviationBps} bps`,
+        retryable: true,
+      };
+    case "InsufficientFundsForFee":
+      return {
+        reason: `Fee token ${args.feeToken} balance ${args.balance} is below the fee ${args.fee}`,
+        retryable: true,
+      };
+    case "FeeTransferGasLimitExceededNotForced":
+      return {
+        reason: `Fee transfer used ${args.gasUsed} gas, above the signed limit ${args.gasLimit}`,
+        retryable: true,
+      };
+    case "UnknownRelayer":
+      return { reason: "The entry point reports no relayer to pay the fee to", retryable: false };
+    case "TransactionNotYetValid":
+      return { reason: `Payload is not valid before ${args.validAfter} (block timestamp ${args.timestamp})`, retryable: true };
+    case "TransactionExpired":
+      return { reason: `Payload expired at ${args.validUntil} (block timestamp ${args.timestamp})`, retryable: false };
+    case "InvalidNonce":
+      // A future nonce becomes valid once the earlier payloads are executed; a past one never does.
+      return args.providedNonce > args.expectedNonce
+        ? { reason: `Nonce ${args.providedNonce} is ahead of the executor nonce ${args.expectedNonce}`, retryable: true }
+        : { reason: `Nonce ${args.providedNonce} was already used (executor nonce ${args.expectedNonce})`, retryable: false };
+    case "InvalidSigner":
+      return {
+        reason: `Signature recovers to ${args.recoveredSigner}, expected ${args.expectedSigner}`,
+        retryable: false,
+      };
+    case "InvalidDelegate":
+      return {
+        reason: `Executor ${args.executor} delegates to ${args.actualDelegate}, expected ${args.expectedDelegate}`,
+        retryable: false,
+      };
+    case "ECDSAInvalidSignature":
+      return { reason: "Signature does not recover to a signer", retryable: false };
+    case "ECDSAInvalidSignatureLength":
+      return { reason: `Signature is ${args.length} bytes long, expected 65`, retryable: false };
+    case "ECDSAInvalidSignatureS":
+      return { reason: "Signature s value is in the upper half of the curve order", retryable: false };
+    case "SafeERC20FailedOperation":
+      return { reason: `Fee token ${args.token} refused the fee transfer`, retryable: true };
+    case "FailedCall":
+      return { reason: "The fee receiver rejected the native fee", retryable: false };
+    case "InsufficientBalance":
+      return { reason: `Native balance ${args.balance} is below the fee ${args.needed}`, retryable: true };
+    case "ZeroTarget":
+      return { reason: "A call targets the zero address", retryable: false };
+    case "InvalidCallsLength":
+      return { reason: "A batch must contain at least 2 calls", retryable: false };
+    case "InsufficientGas":
+      return { reason: "Not enough gas for the signed call gas limits and post-call reserve", retryable: true };
+    default:
+      return { reason: name, retryable: false };
+  }
+}
+
+function _resolveSelector(selector, registry) {
+  if (selector === ZeroHash.slice(0, 10)) {
+    return null;
+  }
+  return registry.getFunction(selector);
+}
+
+function _target(data, name, args, reason) {
+  return { source: ErrorSource.TARGET, name, args, reason, retryable: false, data };
+}
+
+function _unknown(data) {
+  return {
+    source: ErrorSource.UNKNOWN,
+    name: "UnknownError",
+    args: {},
+    reason: `Unrecognized revert data ${dataSlice(data, 0, Math.min(4, dataLength(data)))}`,
+    retryable: false,
+    data,
+  };
+}
+
+function _namedArgs(parsed) {
+  const args = {};
+  parsed.fragment.inputs.forEach((input, i) => {
+    args[input.name || String(i)] = parsed.args[i];
+  });
+  return args;
+}
+
+function _tryParse(fn) {
+  try {
+    return fn();
+  } catch {
+    return null;
+  }
+}
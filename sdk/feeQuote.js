@@ -0,0 +1,226 @@
+import { ZeroAddress, getAddress, getBigInt } from "ethers";
+
+import { RELAYER_FEE_RECEIVER } from "./eip712.js";
+
+/**
+ * Offline fee quoting that mirrors `Tangem7702GaslessExecutor._processFeeTransfer`.
+ *
+ * The onchain formula is:
+ *   totalGas  = (startGas - gasleft()) + fee.feeTransferGasLimit + fee.baseGas
+ *   gasPrice  = min(tx.gasprice, block.basefee + fee.maxPriorityFeePerGas)
+ *   weiCost   = totalGas * gasPrice + l1Fee
+ *   feeAmount = weiCost * fee.coinPriceInToken / PRICE_PRECISION   (rounded down)
+ *
+ * A fee in native coin (`feeToken == NATIVE_FEE_TOKEN`) is signed at `coinPriceInToken == PRICE_PRECISION` (see the
+ * executor's `Fee` struct), so it is `weiCost` itself.
+ *
+ * IMPORTANT:
+ * The constants below MUST be kept in sync with the executor contracts.
+ */
+
+/** Fixed-point precision of `coinPriceInToken` (price of 1 ether in `feeToken` smallest units). */
+export const PRICE_PRECISION = 10n ** 18n;
+
+/** `feeToken` selecting a fee paid in native coin from the executor balance. */
+export const NATIVE_FEE_TOKEN = ZeroAddress;
+
+/** Per-call loop overhead reserved by `executeBatchTransaction`. */
+export const BATCH_LOOP_OVERHEAD = 1200n;
+
+/** Cold-address CALL surcharge reserved per batch call (EIP-2929). */
+export const COLD_ADDRESS_SURCHARGE = 2500n;
+
+/** Non-zero value CALL cost reserved per batch call that sends value. */
+export const POSITIVE_VALUE_COST = 9000n;
+
+/** `_baseGasAfterCall()` of every executor variant. */
+export const BASE_GAS_AFTER_CALL = {
+  L1: 14000n,
+  OP: 24000n,
+  arbitrum: 14000n,
+};
+
+/** Gas reserved for the `currentRelayer()` lookup when the fee is paid to the relayer (`RELAYER_LOOKUP_RESERVE`). */
+export const RELAYER_LOOKUP_RESERVE = 11000n;
+
+/** Default margin applied on top of the expected fee when recommending `maxTokenFee`, in basis points. */
+export const DEFAULT_SAFETY_MARGIN_BPS = 2000n;
+
+const BPS_DENOMINATOR = 10_000n;
+
+/**
+ * Returns the gas price the executor charges the fee at (`_chargedGasPrice`).
+ *
+ * @dev The relayer pays any tip above `maxPriorityFeePerGas` itself. Sending with a gas price above
+ *      `maxFeePerGas` reverts with `MaxFeePerGasExceeded` instead.
+ * @param {object} params
+ * @param {bigint} params.gasPrice Effective gas price of the relaying transaction (`tx.gasprice`).
+ * @param {bigint} params.baseFee Base fee of the block the transaction is included in.
+ * @param {bigint} params.maxPriorityFeePerGas Signed `fee.maxPriorityFeePerGas`.
+ * @return {bigint}
+ */
+export function chargedGasPrice({ gasPrice, baseFee, maxPriorityFeePerGas }) {
+  const price = getBigInt(gasPrice);
+  const cap = getBigInt(baseFee) + getBigInt(maxPriorityFeePerGas);
+  return price < cap ? price : cap;
+}
+
+/**
+ * Returns whether `feeToken` selects a fee paid in native coin.
+ */
+export function isNativeFeeToken(feeToken) {
+  return getAddress(feeToken) === NATIVE_FEE_TOKEN;
+}
+
+/**
+ * Converts a native coin cost into `feeToken` units exactly as the executor does.
+ *
+ * @param {object} params
+ * @param {bigint} params.totalGas Gas amount the fee is charged for.
+ * @param {bigint} params.gasPrice Gas price the fee is charged at, see {chargedGasPrice}.
+ * @param {bigint} [params.l1Fee] L1 data fee in wei (0 on L1 chains).
+ * @param {bigint} params.coinPriceInToken Price of 1 ether in `feeToken` smallest units.
+ * @return {{weiCost: bigint, feeAmount: bigint}}
+ */
+export function computeTokenFee({ totalGas, gasPrice, l1Fee = 0n, coinPriceInToken }) {
+  const weiCost = getBigInt(totalGas) * getBigInt(gasPrice) + getBigInt(l1Fee);
+  const feeAmount = (weiCost * getBigInt(coinPriceInToken)) / PRICE_PRECISION;
+
+  return { weiCost, feeAmount };
+}
+
+/**
+ * Increases `amount` by `marginBps` basis points, rounding up.
+ */
+export function applySafetyMargin(amount, marginBps = DEFAULT_SAFETY_MARGIN_BPS) {
+  const margin = getBigInt(marginBps);
+  if (margin < 0n) {
+    throw new Error("Safety margin must not be negative");
+  }
+  const scaled = getBigInt(amount) * (BPS_DENOMINATOR + margin);
+  return (scaled + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+}
+
+/**
+ * Returns the gas the executor reserves for post-call operations (`_reservedPostCallGas`).
+ *
+ * @param {object} fee Fee parameters (`coinPriceInToken`, `feeTransferGasLimit`, `feeReceiver`). An omitted
+ *        `feeReceiver` is reserved for as `RELAYER_FEE_RECEIVER`, the larger reservation.
+ * @param {string} [variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @return {bigint}
+ */
+export function reservedPostCallGas(fee, variant = "L1") {
+  const base = BASE_GAS_AFTER_CALL[variant];
+  if (base === undefined) {
+    throw new Error(`Unknown executor variant: ${variant}`);
+  }
+  if (getBigInt(fee.coinPriceInToken) === 0n) {
+    return base;
+  }
+  const paysRelayer = fee.feeReceiver === undefined || getAddress(fee.feeReceiver) === RELAYER_FEE_RECEIVER;
+  return base + getBigInt(fee.feeTransferGasLimit) + (paysRelayer ? RELAYER_LOOKUP_RESERVE : 0n);
+}
+
+/**
+ * Returns the per-call gas `executeBatchTransaction` reserves on top of the signed call gas limits.
+ *
+ * @dev Every call is reserved `BATCH_LOOP_OVERHEAD + COLD_ADDRESS_SURCHARGE`, plus
+ *      `POSITIVE_VALUE_COST` when it sends a non-zero value.
+ * @param {object[]} transactions Batch `Transaction` entries.
+ * @return {bigint}
+ */
+export function batchCallOverhead(transactions) {
+  const perCallBase = BATCH_LOOP_OVERHEAD + COLD_ADDRESS_SURCHARGE;
+  return transactions.reduce(
+    (total, tx) => total + perCallBase + (getBigInt(tx.value) > 0n ? POSITIVE_VALUE_COST : 0n),
+    0n
+  );
+}
+
+/**
+ * Quotes the fee of a single `GaslessTransaction`.
+ *
+ * @param {object} params
+ * @param {bigint} params.callGas Estimated gas measured by the executor between its `startGas` snapshot and
+ *                                fee processing (signature verification plus the user call).
+ * @param {bigint} params.feeTransferGasLimit Signed `fee.feeTransferGasLimit`.
+ * @param {bigint} params.baseGas Signed `fee.baseGas`.
+ * @param {bigint} params.gasPrice Expected gas price the fee is charged at, see {chargedGasPrice}.
+ * @param {bigint} [params.l1Fee] Expected L1 data fee in wei (0 on L1 chains).
+ * @param {bigint} params.coinPriceInToken Signed `fee.coinPriceInToken`; 0 disables the fee.
+ * @param {bigint} [params.safetyMarginBps] Margin applied to the expected fee for `maxTokenFee`.
+ * @return {{totalGas: bigint, weiCost: bigint, feeAmount: bigint, maxTokenFee: bigint}}
+ */
+export function quoteFee({
+  callGas,
+  feeTransferGasLimit,
+  baseGas,
+  gasPrice,
+  l1Fee = 0n,
+  coinPriceInToken,
+  safetyMarginBps = DEFAULT_SAFETY_MARGIN_BPS,
+}) {
+  const totalGas = getBigInt(callGas) + getBigInt(feeTransferGasLimit) + getBigInt(baseGas);
+
+  if (getBigInt(coinPriceInToken) === 0n) {
+    return { totalGas, weiCost: 0n, feeAmount: 0n, maxTokenFee: 0n };
+  }
+
+  const { weiCost, feeAmount } = computeTokenFee({ totalGas, gasPrice, l1Fee, coinPriceInToken });
+
+  return {
+    totalGas,
+    weiCost,
+    feeAmount,
+    maxTokenFee: applySafetyMargin(feeAmount, safetyMarginBps),
+  };
+}
+
+/**
+ * Quotes the fee of a `GaslessBatchTransaction` and the gas the relayer must make available.
+ *
+ * @dev When `callGas` is omitted the quote is a worst case: every call is assumed to consume its full
+ *      `gasLimit` plus the batch per-call reservations.
+ *      `requiredGas` is the minimum `gasleft()` the executor demands before the first call
+ *      (otherwise it reverts with `InsufficientGas`).
+ * @param {object} params Same as {quoteFee}, plus:
+ * @param {object[]} params.transactions Batch `Transaction` entries.
+ * @param {string} [params.feeReceiver] Signed `fee.feeReceiver`; see {reservedPostCallGas}.
+ * @param {string} [params.variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @return {{totalGas: bigint, weiCost: bigint, feeAmount: bigint, maxTokenFee: bigint,
+ *           callOverhead: bigint, reservedGas: bigint, requiredGas: bigint}}
+ */
+export function quoteBatchFee({
+  transactions,
+  callGas,
+  feeTransferGasLimit,
+  baseGas,
+  gasPrice,
+  l1Fee = 0n,
+  coinPriceInToken,
+  feeReceiver,
+  safetyMarginBps = DEFAULT_SAFETY_MARGIN_BPS,
+  variant = "L1",
+}) {
+  const totalGasLimit = transactions.reduce((total, tx) => total + getBigInt(tx.gasLimit), 0n);
+  const callOverhead = batchCallOverhead(transactions);
+  const reservedGas =
+    reservedPostCallGas({ coinPriceInToken, feeTransferGasLimit, feeReceiver }, variant) + callOverhead;
+
+  const quote = quoteFee({
+    callGas: callGas ?? totalGasLimit + callOverhead,
+    feeTransferGasLimit,
+    baseGas,
+    gasPrice,
+    l1Fee,
+    coinPriceInToken,
+    safetyMarginBps,
+  });
+
+  return {
+    ...quote,
+    callOverhead,
+    reservedGas,
+    requiredGas: totalGasLimit + reservedGas,
+  };
+}
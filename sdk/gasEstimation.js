@@ -0,0 +1,255 @@
+import { Interface, MaxUint256, getAddress, getBigInt, getBytes, hexlify, toQuantity } from "ethers";
+
+import { ENTRY_POINT_ABI } from "./abi.js";
+import { delegationDesignatorCode } from "./eip7702.js";
+import { decodeGaslessError } from "./errors.js";
+import { batchCallOverhead, reservedPostCallGas } from "./feeQuote.js";
+import { hasPriceCheck } from "./priceFeed.js";
+
+/**
+ * Per-call `gasLimit` estimation for `Transaction` entries.
+ *
+ * Every call is simulated as a transaction sent from the executor EOA to the target, which is how the executor
+ * performs it (`to.call{value, gas: gasLimit}(data)`), with the executor's code overridden by the delegation
+ * designator so callbacks into the executor behave as after delegation.
+ *
+ * The minimal gas is found by binary search over `eth_call` rather than with `eth_estimateGas`: state overrides
+ * in `eth_call` are supported by every major node, in `eth_estimateGas` they are not. The intrinsic cost of the
+ * simulated transaction is then subtracted, since the executor only forwards execution gas to the target.
+ *
+ * The relaying transaction needs more than the signed call gas limits: see {relayGasLimit}.
+ */
+
+/** Default headroom added on top of the estimated call gas, in basis points. */
+export const DEFAULT_GAS_LIMIT_HEADROOM_BPS = 2000n;
+
+/** Per-transaction gas limit cap (EIP-7825). */
+export const MAX_TRANSACTION_GAS = 16_777_216n;
+
+/**
+ * Gas spent before the executor's `InsufficientGas` check outside the signed call gas limits: the entry point's
+ * delegate check and relayer bookkeeping, calldata decoding, EIP-712 hashing, signature recovery and a fresh nonce
+ * slot. About 42k gas are measured for a single call relayed through the entry point.
+ */
+export const RELAY_VERIFICATION_GAS = 50_000n;
+
+/** Additional verification gas per batch call (hashing and copying its entry); about 2.8k gas are measured. */
+export const RELAY_PER_CALL_GAS = 3_500n;
+
+/** Gas of the onchain price check: cold calls to the feed and to the fee token `decimals()`. */
+export const PRICE_CHECK_GAS = 15_000n;
+
+const BPS_DENOMINATOR = 10_000n;
+
+// Worst-case stand-ins (no zero bytes) for the fields of a payload that are not known before signing.
+const PLACEHOLDER_EXECUTOR = getAddress("0x" + "ff".repeat(20));
+const PLACEHOLDER_SIGNATURE = "0x" + "ff".repeat(65);
+
+const entryPointInterface = new Interface(ENTRY_POINT_ABI);
+
+const TX_BASE_GAS = 21_000n;
+const ZERO_BYTE_GAS = 4n;
+const NONZERO_BYTE_GAS = 16n;
+const FLOOR_TOKEN_GAS = 10n;
+
+/**
+ * Intrinsic gas of a call transaction carrying `data`.
+ *
+ * @dev `floor` is the EIP-7623 calldata floor: a transaction with less gas is invalid even if its
+ *      execution would need less.
+ * @param {string} data Calldata.
+ * @return {{standard: bigint, floor: bigint}}
+ */
+export function intrinsicGas(data) {
+  let zeroBytes = 0n;
+  let nonzeroBytes = 0n;
+  for (const byte of getBytes(data)) {
+    if (byte === 0) {
+      zeroBytes++;
+    } else {
+      nonzeroBytes++;
+    }
+  }
+
+  return {
+    standard: TX_BASE_GAS + zeroBytes * ZERO_BYTE_GAS + nonzeroBytes * NONZERO_BYTE_GAS,
+    floor: TX_BASE_GAS + (zeroBytes + nonzeroBytes * 4n) * FLOOR_TOKEN_GAS,
+  };
+}
+
+/**
+ * Estimates the execution gas a single `Transaction` entry consumes when called by the executor.
+ *
+ * @param {object} params
+ * @param {object} params.provider ethers v6 JSON-RPC provider (must support `send`).
+ * @param {string} params.executorAddress Executor EOA performing the call.
+ * @param {object} params.transaction `Transaction` entry (`to`, `value`, `data`; `gasLimit` is ignored).
+ * @param {string} [params.delegateAddress] Executor implementation; when set, the executor's code is overridden
+ *        with its delegation designator. Omit to simulate against the executor's current code.
+ * @param {bigint} [params.maxGas] Upper bound of the search; defaults to {MAX_TRANSACTION_GAS}.
+ * @return {Promise<bigint>} The minimal execution gas, without headroom.
+ * @throws When the call reverts even with `maxGas`; the error carries the decoded revert as `revert`.
+ */
+export async function estimateCallGas({
+  provider,
+  executorAddress,
+  transaction,
+  delegateAddress,
+  maxGas = MAX_TRANSACTION_GAS,
+}) {
+  const data = hexlify(transaction.data ?? "0x");
+  const call = {
+    from: getAddress(executorAddress),
+    to: getAddress(transaction.to),
+    value: toQuantity(getBigInt(transaction.value ?? 0n)),
+    data,
+  };
+  const overrides =
+    delegateAddress === undefined ? {} : { [call.from]: { code: delegationDesignatorCode(delegateAddress) } };
+
+  const attempt = async (gas) => {
+    try {
+      await provider.send("eth_call", [{ ...call, gas: toQuantity(gas) }, "latest", overrides]);
+      return null;
+    } catch (e) {
+      return e;
+    }
+  };
+
+  let hi = getBigInt(maxGas);
+  const failure = await attempt(hi);
+  if (failure) {
+    const revert = decodeGaslessError(failure);
+    const error = new Error(`Call to ${call.to} reverts: ${revert.reason}`);
+    error.revert = revert;
+    throw error;
+  }
+
+  // When the calldata floor dominates, the estimate over-approximates by `floor - standard`.
+  const { standard, floor } = intrinsicGas(data);
+  let lo = (standard > floor ? standard : floor) - 1n;
+  while (hi - lo > 1n) {
+    const mid = (lo + hi) / 2n;
+    if (await attempt(mid)) {
+      lo = mid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return hi - standard;
+}
+
+/**
+ * Returns the `gasleft()` the executor requires before executing the calls (its `InsufficientGas` check).
+ *
+ * @param {object} params
+ * @param {object[]} params.transactions `Transaction` entries with their `gasLimit`; one entry for a single call.
+ * @param {object} params.fee Fee parameters (`coinPriceInToken`, `feeTransferGasLimit`).
+ * @param {boolean} [params.batch] Whether the entries form a batch (adds the per-call batch reservations).
+ * @param {string} [params.variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @return {bigint}
+ */
+export function requiredExecutionGas({ transactions, fee, batch = transactions.length > 1, variant = "L1" }) {
+  const totalGasLimit = transactions.reduce((total, tx) => total + getBigInt(tx.gasLimit), 0n);
+  const reserved = reservedPostCallGas(fee, variant) + (batch ? batchCallOverhead(transactions) : 0n);
+  return totalGasLimit + reserved;
+}
+
+/**
+ * Returns the gas limit of the entry point transaction relaying a payload.
+ *
+ * @dev The executor requires {requiredExecutionGas} to be left at its `InsufficientGas` check, after the intrinsic
+ *      gas, the verification overhead ({RELAY_VERIFICATION_GAS}, {RELAY_PER_CALL_GAS}, {PRICE_CHECK_GAS}) and the
+ *      1/64 of the remaining gas the entry point keeps back when calling the executor (EIP-150).
+ * @param {object} gaslessTx `GaslessTransaction` or `GaslessBatchTransaction`; a batch is recognized by its
+ *        `transactions` array.
+ * @param {object} [options]
+ * @param {string} [options.executorAddress] Executor EOA; a worst-case stand-in when omitted.
+ * @param {string} [options.variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @return {bigint}
+ */
+export function relayGasLimit(gaslessTx, { executorAddress = PLACEHOLDER_EXECUTOR, variant = "L1" } = {}) {
+  const batch = Array.isArray(gaslessTx.transactions);
+  const transactions = batch ? gaslessTx.transactions : [gaslessTx.transaction];
+  const { fee } = gaslessTx;
+
+  const data = entryPointInterface.encodeFunctionData(
+    batch ? "executeBatchTransaction" : "executeTransaction",
+    [gaslessTx, PLACEHOLDER_SIGNATURE, false, executorAddress]
+  );
+  const verificationGas =
+    RELAY_VERIFICATION_GAS +
+    (batch ? RELAY_PER_CALL_GAS * BigInt(transactions.length) : 0n) +
+    (hasPriceCheck(fee) ? PRICE_CHECK_GAS : 0n);
+  const executorGas = requiredExecutionGas({ transactions, fee, batch, variant }) + verificationGas;
+
+  const { standard, floor } = intrinsicGas(data);
+  const gasLimit = standard + (executorGas * 64n + 62n) / 63n;
+  return gasLimit > floor ? gasLimit : floor;
+}
+
+/**
+ * Estimates the `gasLimit` of every `Transaction` entry and checks that they fit in a relaying transaction.
+ *
+ * @notice Each estimate gets `headroomBps` on top; entries whose call reverts make the whole estimation throw.
+ * @param {object} params Same as {estimateCallGas}, plus:
+ * @param {object[]} params.transactions `Transaction` entries; one entry for a single call.
+ * @param {object} params.fee Fee parameters of the payload.
+ * @param {boolean} [params.batch] Whether the entries form a batch; defaults to `transactions.length > 1`.
+ * @param {string} [params.variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @param {bigint} [params.headroomBps] Headroom applied to every estimate.
+ * @param {bigint} [params.maxGas] Gas available to a relaying transaction; defaults to the lower of the latest
+ *        block gas limit and {MAX_TRANSACTION_GAS}.
+ * @return {Promise<{transactions: object[], gasUsed: bigint[], requiredGas: bigint, relayGasLimit: bigint}>}
+ *         The entries with their estimated `gasLimit`, the raw estimates, the executor's `InsufficientGas`
+ *         requirement and the gas limit of the relaying entry point transaction (see {relayGasLimit}).
+ * @throws When a call reverts or `relayGasLimit` exceeds `maxGas`.
+ */
+export async function estimateGasLimits({
+  provider,
+  executorAddress,
+  delegateAddress,
+  transactions,
+  fee,
+  batch = transactions.length > 1,
+  variant = "L1",
+  headroomBps = DEFAULT_GAS_LIMIT_HEADROOM_BPS,
+  maxGas,
+}) {
+  if (maxGas === undefined) {
+    const block = await provider.getBlock("latest");
+    maxGas = block.gasLimit < MAX_TRANSACTION_GAS ? block.gasLimit : MAX_TRANSACTION_GAS;
+  }
+
+  const gasUsed = [];
+  for (const transaction of transactions) {
+    gasUsed.push(await estimateCallGas({ provider, executorAddress, transaction, delegateAddress, maxGas }));
+  }
+
+  const estimated = transactions.map((transaction, i) => ({
+    ...transaction,
+    gasLimit: _withHeadroom(gasUsed[i], headroomBps),
+  }));
+
+  const requiredGas = requiredExecutionGas({ transactions: estimated, fee, batch, variant });
+  // The nonce and the validity window are signed later: sized as worst cases.
+  const payload = { fee, nonce: MaxUint256, validAfter: MaxUint256, validUntil: MaxUint256 };
+  const relayGas = relayGasLimit(
+    batch ? { ...payload, transactions: estimated } : { ...payload, transaction: estimated[0] },
+    { executorAddress, variant }
+  );
+  if (relayGas > maxGas) {
+    throw new Error(`Estimated gas limits require ${relayGas} gas to relay, above the ${maxGas} gas of a transaction`);
+  }
+
+  return { transactions: estimated, gasUsed, requiredGas, relayGasLimit: relayGas };
+}
+
+function _withHeadroom(gas, headroomBps) {
+  const headroom = getBigInt(headroomBps);
+  if (headroom < 0n) {
+    throw new Error("Gas limit headroom must not be negative");
+  }
+  return (gas * (BPS_DENOMINATOR + headroom) + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+}
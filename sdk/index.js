@@ -0,0 +1,12 @@
+export * from "./eip712.js";
+export * from "./feeQuote.js";
+export * from "./priceFeed.js";
+export * from "./eip7702.js";
+export * from "./abi.js";
+export * from "./errors.js";
+export * from "./receipt.js";
+export * from "./gasEstimation.js";
+export * from "./nonces.js";
+export * from "./preflight.js";
+export * from "./calls.js";
+export * from "./registry.js";
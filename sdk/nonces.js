@@ -0,0 +1,94 @@
+import { Interface, getBigInt, keccak256, toUtf8Bytes } from "ethers";
+
+import { EXECUTOR_ABI } from "./abi.js";
+import { delegationDesignatorCode } from "./eip7702.js";
+
+/**
+ * Keyed nonces of `Tangem7702GaslessExecutor`, in the style of ERC-4337.
+ *
+ * A signed nonce is `key << 64 | sequence`: the executor keeps one sequence per `uint192` key, so payloads of
+ * different keys never wait for each other. Key 0 is the legacy sequential `nonce()`, which accounts signing plain
+ * sequential nonces keep using unchanged.
+ */
+
+const SEQUENCE_BITS = 64n;
+const MAX_SEQUENCE = (1n << SEQUENCE_BITS) - 1n;
+const MAX_KEY = (1n << 192n) - 1n;
+
+const executorInterface = new Interface(EXECUTOR_ABI);
+
+/**
+ * Derives the nonce key of a use case from its name.
+ *
+ * @dev The key is the high 192 bits of `keccak256(useCase)`, so wallets allocate the same keys without a registry.
+ * @param {string} useCase Name of the flow, e.g. "payments".
+ * @return {bigint} A non-zero `uint192` key.
+ */
+export function nonceKeyFor(useCase) {
+  return getBigInt(keccak256(toUtf8Bytes(useCase))) >> SEQUENCE_BITS;
+}
+
+/**
+ * Nonce keys of the flows the wallet keeps independent from each other.
+ *
+ * @dev `DEFAULT` is key 0, the legacy `nonce()` sequence.
+ */
+export const NonceKey = Object.freeze({
+  DEFAULT: 0n,
+  PAYMENTS: nonceKeyFor("payments"),
+  NFT: nonceKeyFor("nft"),
+});
+
+/**
+ * Builds the signed nonce of `sequence` in `key`.
+ *
+ * @param {object} params
+ * @param {bigint} params.key Nonce key (`uint192`).
+ * @param {bigint} params.sequence Sequence within the key (`uint64`).
+ * @return {bigint}
+ */
+export function encodeNonce({ key, sequence }) {
+  const k = getBigInt(key);
+  const seq = getBigInt(sequence);
+  if (k < 0n || k > MAX_KEY) {
+    throw new Error(`Nonce key ${k} does not fit in uint192`);
+  }
+  if (seq < 0n || seq > MAX_SEQUENCE) {
+    throw new Error(`Nonce sequence ${seq} does not fit in uint64`);
+  }
+  return (k << SEQUENCE_BITS) | seq;
+}
+
+/**
+ * Splits a signed nonce into its key and sequence.
+ *
+ * @param {bigint} nonce Signed nonce.
+ * @return {{key: bigint, sequence: bigint}}
+ */
+export function decodeNonce(nonce) {
+  const n = getBigInt(nonce);
+  return { key: n >> SEQUENCE_BITS, sequence: n & MAX_SEQUENCE };
+}
+
+/**
+ * Reads the nonce the executor expects next for `key`, as if the account delegated to `delegate`.
+ *
+ * @dev The delegation is injected by state override, so the nonces kept in the account storage can be read
+ *      before the account is delegated, or while it delegates elsewhere. Key 0 is read through `nonce()`, which
+ *      executors predating keyed nonces also implement.
+ * @param {object} provider ethers v6 JSON-RPC provider.
+ * @param {string} executor The executor EOA.
+ * @param {string} delegate Executor implementation to read the nonce through.
+ * @param {bigint} [key] Nonce key; defaults to the legacy key 0.
+ * @return {Promise<bigint>} The full nonce (`key << 64 | sequence`) the executor expects next.
+ */
+export async function readExecutorNonce(provider, executor, delegate, key = 0n) {
+  const keyed = getBigInt(key) !== 0n;
+  const [name, args] = keyed ? ["getNonce", [key]] : ["nonce", []];
+  const result = await provider.send("eth_call", [
+    { to: executor, data: executorInterface.encodeFunctionData(name, args) },
+    "latest",
+    { [executor]: { code: delegationDesignatorCode(delegate) } },
+  ]);
+  return executorInterface.decodeFunctionResult(name, result)[0];
+}
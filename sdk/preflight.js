@@ -0,0 +1,207 @@
+import { Contract, ZeroAddress, getAddress, getBigInt } from "ethers";
+
+import { ENTRY_POINT_ABI } from "./abi.js";
+import {
+  getGaslessDomain,
+  recoverGaslessBatchTxSigner,
+  recoverGaslessTxSigner,
+  validateGaslessBatchTx,
+  validateGaslessTx,
+} from "./eip712.js";
+import { getDelegate } from "./eip7702.js";
+import { chargedGasPrice, isNativeFeeToken, quoteBatchFee, quoteFee } from "./feeQuote.js";
+import { MAX_TRANSACTION_GAS, relayGasLimit } from "./gasEstimation.js";
+import { decodeNonce, readExecutorNonce } from "./nonces.js";
+import { coinPriceViolations, hasPriceCheck, readFeedCoinPrice } from "./priceFeed.js";
+
+/**
+ * Client-side preflight of a gasless payload against every condition the entry point and executor enforce,
+ * so wallets can explain a rejection before anything is signed or sent.
+ */
+
+/** Violation codes; those named after a contract error predict that revert. */
+export const PreflightCode = Object.freeze({
+  /** The payload has malformed fields (types, ranges). */
+  MALFORMED: "Malformed",
+  ZERO_TARGET: "ZeroTarget",
+  INVALID_CALLS_LENGTH: "InvalidCallsLength",
+  INVALID_DELEGATE: "InvalidDelegate",
+  TRANSACTION_NOT_YET_VALID: "TransactionNotYetValid",
+  TRANSACTION_EXPIRED: "TransactionExpired",
+  INVALID_NONCE: "InvalidNonce",
+  INVALID_SIGNER: "InvalidSigner",
+  MAX_FEE_EXCEEDED: "MaxFeeExceeded",
+  MAX_FEE_PER_GAS_EXCEEDED: "MaxFeePerGasExceeded",
+  INVALID_FEED_PRICE: "InvalidFeedPrice",
+  STALE_PRICE: "StalePrice",
+  PRICE_DEVIATION_EXCEEDED: "PriceDeviationExceeded",
+  INSUFFICIENT_FUNDS_FOR_FEE: "InsufficientFundsForFee",
+  INSUFFICIENT_GAS: "InsufficientGas",
+});
+
+const ERC20_BALANCE_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+/**
+ * Checks a `GaslessTransaction` or `GaslessBatchTransaction` against the chain state.
+ *
+ * @notice Returns every violation at once rather than stopping at the first one. Only a malformed payload
+ *         short-circuits the on-chain checks.
+ * @dev The predicted fee assumes every call consumes its full `gasLimit` (see {quoteFee} / {quoteBatchFee}), at
+ *      the price the executor charges for `options.gasPrice` or the provider's current gas price: capped at the
+ *      latest base fee plus the signed `maxPriorityFeePerGas` (see {chargedGasPrice}).
+ *      Before the executor is delegated, its nonce is read with the required delegate injected by state
+ *      override, so a payload signed together with the delegation can still be checked.
+ * @param {object} gaslessTx The payload; a batch is recognized by its `transactions` array.
+ * @param {string} executorAddress The executor EOA.
+ * @param {object} provider ethers v6 JSON-RPC provider.
+ * @param {object} [options]
+ * @param {string} [options.entryPointAddress] Entry point whose `requiredDelegateAddress` the executor must match.
+ * @param {string} [options.requiredDelegateAddress] Required delegate, when known without an entry point.
+ * @param {string} [options.signature] Signature to check against the executor.
+ * @param {bigint} [options.gasPrice] Gas price for the fee prediction.
+ * @param {bigint} [options.l1Fee] L1 data fee in wei for the fee prediction.
+ * @param {string} [options.variant] Executor variant: "L1", "OP" or "arbitrum".
+ * @return {Promise<{code: string, message: string}[]>} Violations, empty when the payload should execute.
+ */
+export async function preflight(gaslessTx, executorAddress, provider, options = {}) {
+  const { entryPointAddress, signature, l1Fee = 0n, variant = "L1" } = options;
+  const executor = getAddress(executorAddress);
+  const batch = Array.isArray(gaslessTx?.transactions);
+  const violations = [];
+
+  for (const problem of batch ? validateGaslessBatchTx(gaslessTx) : validateGaslessTx(gaslessTx)) {
+    violations.push({ code: _problemCode(problem), message: problem });
+  }
+  if (violations.some((v) => v.code === PreflightCode.MALFORMED)) {
+    return violations;
+  }
+
+  const transactions = batch ? gaslessTx.transactions : [gaslessTx.transaction];
+  const { fee } = gaslessTx;
+
+  let requiredDelegate = options.requiredDelegateAddress;
+  if (requiredDelegate === undefined && entryPointAddress !== undefined) {
+    requiredDelegate = await new Contract(entryPointAddress, ENTRY_POINT_ABI, provider).requiredDelegateAddress();
+  }
+  requiredDelegate = requiredDelegate === undefined ? undefined : getAddress(requiredDelegate);
+
+  const actualDelegate = await getDelegate(provider, executor);
+  if (requiredDelegate !== undefined ? actualDelegate !== requiredDelegate : actualDelegate === ZeroAddress) {
+    violations.push({
+      code: PreflightCode.INVALID_DELEGATE,
+      message:
+        requiredDelegate === undefined
+          ? `executor ${executor} is not delegated`
+          : `executor ${executor} delegates to ${actualDelegate}, expected ${requiredDelegate}`,
+    });
+  }
+
+  // The validity window is checked at the latest block timestamp, the payload is expected in a block soon after.
+  const block = await provider.getBlock("latest");
+  const timestamp = getBigInt(block.timestamp);
+  if (timestamp < getBigInt(gaslessTx.validAfter)) {
+    violations.push({
+      code: PreflightCode.TRANSACTION_NOT_YET_VALID,
+      message: `payload is valid after ${gaslessTx.validAfter}, block timestamp is ${timestamp}`,
+    });
+  }
+  if (timestamp > getBigInt(gaslessTx.validUntil)) {
+    violations.push({
+      code: PreflightCode.TRANSACTION_EXPIRED,
+      message: `payload expired at ${gaslessTx.validUntil}, block timestamp is ${timestamp}`,
+    });
+  }
+
+  const nonceDelegate = requiredDelegate ?? (actualDelegate === ZeroAddress ? undefined : actualDelegate);
+  if (nonceDelegate !== undefined) {
+    const nonce = await readExecutorNonce(provider, executor, nonceDelegate, decodeNonce(gaslessTx.nonce).key);
+    if (getBigInt(gaslessTx.nonce) !== nonce) {
+      violations.push({
+        code: PreflightCode.INVALID_NONCE,
+        message: `nonce is ${gaslessTx.nonce}, executor expects ${nonce}`,
+      });
+    }
+  }
+
+  if (signature !== undefined) {
+    const domain = await getGaslessDomain(provider, executor);
+    let signer;
+    try {
+      signer = batch
+        ? recoverGaslessBatchTxSigner(domain, gaslessTx, signature)
+        : recoverGaslessTxSigner(domain, gaslessTx, signature);
+    } catch {
+      signer = ZeroAddress;
+    }
+    if (signer !== executor) {
+      violations.push({
+        code: PreflightCode.INVALID_SIGNER,
+        message: `signature recovers to ${signer}, expected ${executor}`,
+      });
+    }
+  }
+
+  if (hasPriceCheck(fee)) {
+    const feed = await readFeedCoinPrice(provider, fee);
+    violations.push(...coinPriceViolations(fee, feed, timestamp));
+  }
+
+  if (getBigInt(fee.coinPriceInToken) > 0n) {
+    const gasPrice = options.gasPrice ?? (await provider.getFeeData()).gasPrice;
+    if (gasPrice > getBigInt(fee.maxFeePerGas)) {
+      violations.push({
+        code: PreflightCode.MAX_FEE_PER_GAS_EXCEEDED,
+        message: `gas price ${gasPrice} exceeds maxFeePerGas ${fee.maxFeePerGas}`,
+      });
+    }
+
+    const charged = chargedGasPrice({
+      gasPrice,
+      baseFee: block.baseFeePerGas ?? gasPrice,
+      maxPriorityFeePerGas: fee.maxPriorityFeePerGas,
+    });
+    const params = { ...fee, gasPrice: charged, l1Fee };
+    const { feeAmount } = batch
+      ? quoteBatchFee({ ...params, transactions, variant })
+      : quoteFee({ ...params, callGas: transactions[0].gasLimit });
+
+    if (feeAmount > getBigInt(fee.maxTokenFee)) {
+      violations.push({
+        code: PreflightCode.MAX_FEE_EXCEEDED,
+        message: `predicted fee ${feeAmount} exceeds maxTokenFee ${fee.maxTokenFee}`,
+      });
+    }
+
+    const balance = isNativeFeeToken(fee.feeToken)
+      ? await provider.getBalance(executor)
+      : await new Contract(fee.feeToken, ERC20_BALANCE_ABI, provider).balanceOf(executor);
+    if (balance < feeAmount) {
+      violations.push({
+        code: PreflightCode.INSUFFICIENT_FUNDS_FOR_FEE,
+        message: `fee token balance ${balance} is below the predicted fee ${feeAmount}`,
+      });
+    }
+  }
+
+  const maxGas = block.gasLimit < MAX_TRANSACTION_GAS ? block.gasLimit : MAX_TRANSACTION_GAS;
+  const relayGas = relayGasLimit(gaslessTx, { executorAddress: executor, variant });
+  if (relayGas > maxGas) {
+    violations.push({
+      code: PreflightCode.INSUFFICIENT_GAS,
+      message: `relaying the payload requires ${relayGas} gas, above the ${maxGas} gas of a transaction`,
+    });
+  }
+
+  return violations;
+}
+
+function _problemCode(problem) {
+  if (problem.endsWith(".to must not be the zero address")) {
+    return PreflightCode.ZERO_TARGET;
+  }
+  if (problem === "transactions must contain at least 2 calls") {
+    return PreflightCode.INVALID_CALLS_LENGTH;
+  }
+  return PreflightCode.MALFORMED;
+}
+
@@ -0,0 +1,120 @@
+import { Contract, ZeroAddress, getAddress, getBigInt } from "ethers";
+
+import { PRICE_FEED_ABI } from "./abi.js";
+import { makeFee } from "./eip712.js";
+import { isNativeFeeToken } from "./feeQuote.js";
+
+/**
+ * Onchain price check of `coinPriceInToken` against a Chainlink-style aggregator, mirroring
+ * `Tangem7702GaslessExecutor._checkCoinPrice`.
+ *
+ * The feed quotes 1 native coin in the fee token. Its answer is rescaled to the fee token decimals:
+ *   feedPrice = answer * 10^tokenDecimals / 10^feedDecimals   (rounded down)
+ * and the signed price passes when `|coinPriceInToken - feedPrice| * 10_000 <= feedPrice * maxPriceDeviationBps`
+ * and the answer is at most `maxPriceAge` seconds old.
+ */
+
+const BPS_DENOMINATOR = 10_000n;
+
+const ERC20_DECIMALS_ABI = ["function decimals() view returns (uint8)"];
+
+/**
+ * Rescales a feed answer to the `coinPriceInToken` convention exactly as the executor does.
+ *
+ * @param {object} params
+ * @param {bigint} params.answer Feed answer, the price of 1 native coin with `feedDecimals` decimals.
+ * @param {number|bigint} params.feedDecimals Decimals of the feed.
+ * @param {number|bigint} params.tokenDecimals Decimals of the fee token.
+ * @return {bigint} Price of 1 native coin in fee token smallest units.
+ */
+export function feedCoinPrice({ answer, feedDecimals, tokenDecimals }) {
+  return (getBigInt(answer) * 10n ** getBigInt(tokenDecimals)) / 10n ** getBigInt(feedDecimals);
+}
+
+/**
+ * Reads the latest feed answer and rescales it for `feeToken`.
+ *
+ * @param {object} provider Any ethers v6 provider.
+ * @param {object} params
+ * @param {string} params.priceFeed Aggregator quoting 1 native coin in `feeToken`.
+ * @param {string} params.feeToken ERC-20 fee token.
+ * @return {Promise<{answer: bigint, updatedAt: bigint, feedPrice: bigint}>} `feedPrice` is 0 for a non-positive
+ *         answer.
+ */
+export async function readFeedCoinPrice(provider, { priceFeed, feeToken }) {
+  const feed = new Contract(priceFeed, PRICE_FEED_ABI, provider);
+  const [[, answer, , updatedAt], feedDecimals, tokenDecimals] = await Promise.all([
+    feed.latestRoundData(),
+    feed.decimals(),
+    new Contract(feeToken, ERC20_DECIMALS_ABI, provider).decimals(),
+  ]);
+
+  const feedPrice = answer > 0n ? feedCoinPrice({ answer, feedDecimals, tokenDecimals }) : 0n;
+  return { answer, updatedAt, feedPrice };
+}
+
+/**
+ * Returns the price check violations of a fee, named after the executor errors they predict.
+ *
+ * @param {object} fee Fee parameters (`coinPriceInToken`, `maxPriceDeviationBps`, `maxPriceAge`, `priceFeed`).
+ * @param {object} feed Result of {readFeedCoinPrice}.
+ * @param {bigint} timestamp Timestamp of the block the payload is expected in.
+ * @return {{code: string, message: string}[]} Empty when the price passes.
+ */
+export function coinPriceViolations(fee, { answer, updatedAt, feedPrice }, timestamp) {
+  if (answer <= 0n) {
+    return [{ code: "InvalidFeedPrice", message: `price feed ${fee.priceFeed} answers ${answer}` }];
+  }
+
+  const violations = [];
+  const age = getBigInt(timestamp) - updatedAt;
+  if (age > getBigInt(fee.maxPriceAge)) {
+    violations.push({
+      code: "StalePrice",
+      message: `price feed answer is ${age}s old, above maxPriceAge ${fee.maxPriceAge}`,
+    });
+  }
+
+  const coinPriceInToken = getBigInt(fee.coinPriceInToken);
+  const deviation = coinPriceInToken > feedPrice ? coinPriceInToken - feedPrice : feedPrice - coinPriceInToken;
+  if (deviation * BPS_DENOMINATOR > feedPrice * getBigInt(fee.maxPriceDeviationBps)) {
+    violations.push({
+      code: "PriceDeviationExceeded",
+      message: `coinPriceInToken ${coinPriceInToken} deviates from the feed price ${feedPrice} by more than ` +
+        `${fee.maxPriceDeviationBps} bps`,
+    });
+  }
+  return violations;
+}
+
+/**
+ * Returns whether the executor checks the price of `fee` against its feed.
+ */
+export function hasPriceCheck(fee) {
+  return (
+    getBigInt(fee.coinPriceInToken) > 0n &&
+    getAddress(fee.priceFeed ?? ZeroAddress) !== ZeroAddress &&
+    !isNativeFeeToken(fee.feeToken)
+  );
+}
+
+/**
+ * Builds a `Fee` with an onchain price check, taking `coinPriceInToken` from the feed when omitted.
+ *
+ * @param {object} provider Any ethers v6 provider.
+ * @param {object} fee Fee parameters as accepted by {makeFee}, with `priceFeed`, `maxPriceDeviationBps` and
+ *                     `maxPriceAge` set and an optional `coinPriceInToken`.
+ * @return {Promise<object>} Normalized `Fee`.
+ * @throws When the feed answer is invalid or stale, or the given price deviates beyond the tolerance.
+ */
+export async function makePriceCheckedFee(provider, fee) {
+  const feed = await readFeedCoinPrice(provider, fee);
+  const built = makeFee({ ...fee, coinPriceInToken: fee.coinPriceInToken ?? feed.feedPrice });
+
+  const { timestamp } = await provider.getBlock("latest");
+  const violations = coinPriceViolations(built, feed, timestamp);
+  if (violations.length > 0) {
+    throw new Error(`Price check would fail: ${violations.map(({ message }) => message).join("; ")}`);
+  }
+  return built;
+}
@@ -0,0 +1,137 @@
+import { Interface, getAddress } from "ethers";
+
+import { EXECUTOR_ABI } from "./abi.js";
+
+/**
+ * Turns the receipt of an entry point / executor call into a single gasless execution report.
+ */
+
+/** Overall outcome of a gasless execution. */
+export const ExecutionStatus = Object.freeze({
+  /** Every call succeeded. */
+  SUCCESS: "success",
+  /** A batch stopped early in forced mode after executing some calls. */
+  PARTIAL: "partial",
+  /** The call (or the first batch call) failed in forced mode. */
+  FAILED: "failed",
+});
+
+const executorInterface = new Interface(EXECUTOR_ABI);
+
+const EXECUTION_EVENTS = new Set(["TransactionExecuted", "BatchTransactionExecuted"]);
+
+/**
+ * Parses a receipt of `executeTransaction` / `executeBatchTransaction` into an execution report.
+ *
+ * @notice Executor events are emitted by the executor EOA itself (EIP-7702 delegated context), so only
+ *         logs whose address equals the executor are decoded. Logs of target contracts, the fee token or other
+ *         delegated executors called by the payload are ignored even if their topics collide.
+ * @dev Throws when the receipt contains no `TransactionExecuted` / `BatchTransactionExecuted` event,
+ *      e.g. because the transaction reverted or was not a gasless execution.
+ * @param {object} receipt An ethers v6 transaction receipt.
+ * @param {object} [options]
+ * @param {string} [options.executorAddress] Executor EOA; inferred from the outermost execution event when omitted.
+ * @return {object} The execution report.
+ */
+export function parseExecutionReceipt(receipt, { executorAddress } = {}) {
+  const executor = executorAddress === undefined ? _inferExecutor(receipt.logs) : getAddress(executorAddress);
+  const own = executor === undefined ? [] : _parseExecutorLogs(receipt.logs, executor);
+
+  const executionIndex = own.findLastIndex((e) => EXECUTION_EVENTS.has(e.name));
+  if (executionIndex === -1) {
+    throw new Error(`Receipt ${receipt.hash} contains no gasless execution event`);
+  }
+  const execution = own[executionIndex];
+  const batch = execution.name === "BatchTransactionExecuted" ? execution : undefined;
+
+  // A payload re-entering the same executor emits a whole nested execution before the outer call's events, so
+  // only the events after the last nested execution event belong to the outermost execution.
+  const nestedIndex = own.findLastIndex((e, i) => i < executionIndex && EXECUTION_EVENTS.has(e.name));
+  const outer = own.slice(nestedIndex + 1, executionIndex);
+  const feeProcessed = outer.find((e) => e.name === "FeeTransferProcessed");
+  const feeLimitExceeded = outer.find((e) => e.name === "FeeTransferGasLimitExceeded");
+
+  const report = {
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    gasPrice: receipt.gasPrice,
+    executor,
+    nonce: execution.args.nonce,
+    batch: batch !== undefined,
+    status: ExecutionStatus.SUCCESS,
+    totalCalls: 1n,
+    executedCalls: 1n,
+    failedIndex: null,
+    failedCall: null,
+    fee: feeProcessed
+      ? {
+          receiver: feeProcessed.args.feeReceiver,
+          token: feeProcessed.args.feeToken,
+          amount: feeProcessed.args.feeAmount,
+          totalGas: feeProcessed.args.totalGas,
+          l1Fee: feeProcessed.args.l1Fee,
+        }
+      : null,
+    feeTransferGasLimitExceeded: feeLimitExceeded !== undefined,
+    feeTransferGasUsed: feeLimitExceeded ? feeLimitExceeded.args.gasUsed : null,
+  };
+
+  if (batch) {
+    const failed = outer.find((e) => e.name === "BatchCallFailed");
+    report.totalCalls = batch.args.totalCalls;
+    report.executedCalls = batch.args.executedCalls;
+    if (failed) {
+      report.failedIndex = failed.args.index;
+      report.failedCall = { to: failed.args.to, value: failed.args.value, selector: failed.args.selector };
+    }
+  } else {
+    const failed = outer.find((e) => e.name === "ExecutionFailed");
+    if (failed) {
+      report.executedCalls = 0n;
+      report.failedIndex = 0n;
+      report.failedCall = { to: failed.args.to, value: failed.args.value, selector: failed.args.selector };
+    }
+  }
+
+  if (report.executedCalls === 0n) {
+    report.status = ExecutionStatus.FAILED;
+  } else if (report.executedCalls < report.totalCalls) {
+    report.status = ExecutionStatus.PARTIAL;
+  }
+
+  return report;
+}
+
+/**
+ * Returns the executor of the outermost execution in `logs`.
+ *
+ * @dev Nested executions, e.g. a call into another delegated executor, emit their execution event before the
+ *      execution that made the call, so the last execution event belongs to the outermost one.
+ */
+function _inferExecutor(logs) {
+  const executions = _parseExecutorLogs(logs).filter((e) => EXECUTION_EVENTS.has(e.name));
+  return executions.at(-1)?.address;
+}
+
+function _parseExecutorLogs(logs, executor) {
+  const events = [];
+
+  for (const log of logs) {
+    const address = getAddress(log.address);
+    if (executor !== undefined && address !== executor) {
+      continue;
+    }
+    let parsed;
+    try {
+      parsed = executorInterface.parseLog(log);
+    } catch {
+      parsed = null;
+    }
+    if (parsed) {
+      events.push({ name: parsed.name, args: parsed.args, address });
+    }
+  }
+
+  return events;
+}
@@ -0,0 +1,43 @@
+import { getBigInt } from "ethers";
+
+import { DEPLOYMENTS } from "./deployments.js";
+import { EIP712_DOMAIN_VERSION } from "./eip712.js";
+
+/**
+ * Address registry of the production deployments, generated by the deploy task from `deployments/<chainId>.json`.
+ *
+ * Deployments are versioned by the EIP-712 domain version of their executor build. Payloads built by this SDK only
+ * verify on executors of its `EIP712_DOMAIN_VERSION`, so deployments of other builds are not served by default.
+ */
+
+/** Chain IDs with a deployment of the SDK's executor version, ascending. */
+export const SUPPORTED_CHAIN_IDS = Object.freeze(
+  Object.keys(DEPLOYMENTS)
+    .filter((chainId) => DEPLOYMENTS[chainId].executorVersion === EIP712_DOMAIN_VERSION)
+    .map((chainId) => getBigInt(chainId))
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+);
+
+/**
+ * Looks up the executor and entry point deployed on a chain.
+ *
+ * @param {bigint|number|string} chainId Chain ID.
+ * @param {object} [options]
+ * @param {string} [options.executorVersion] Executor version to accept, the SDK's `EIP712_DOMAIN_VERSION` by default.
+ * @return {{chainId: bigint, executorType: string, executorVersion: string, executor: string, entryPoint: string}}
+ *         The deployment.
+ * @throws When nothing is deployed on the chain, or the deployed executor is of another version.
+ */
+export function getDeployment(chainId, { executorVersion = EIP712_DOMAIN_VERSION } = {}) {
+  const deployment = DEPLOYMENTS[getBigInt(chainId).toString()];
+  if (deployment === undefined) {
+    throw new Error(`No deployment on chain ${chainId}`);
+  }
+  if (deployment.executorVersion !== executorVersion) {
+    throw new Error(
+      `The executor deployed on chain ${chainId} is version ${deployment.executorVersion}, expected version ` +
+        `${executorVersion}`
+    );
+  }
+  return { chainId: getBigInt(chainId), ...deployment };
+}
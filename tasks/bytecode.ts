@@ -0,0 +1,209 @@
+import { readFile } from "node:fs/promises";
+import {
+  TypedDataEncoder, dataSlice, getBytes, hexlify, id, keccak256, toBeHex, toUtf8Bytes, zeroPadBytes, zeroPadValue,
+} from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { EIP712_DOMAIN_NAME, EIP712_DOMAIN_VERSION } from "../sdk/eip712.js";
+import type { DeploymentManifest } from "./manifest.js";
+
+/**
+ * Comparison of deployed runtime code against the compiled artifacts.
+ *
+ * Runtime code differs from the artifact `deployedBytecode` in two places that do not change behavior or that are
+ * checked separately:
+ *   - the CBOR metadata trailer, which only hashes the sources and compiler settings and is ignored;
+ *   - immutables, which are zero in the artifact and filled in by the constructor. They are cut out of the
+ *     comparison and checked against the values the deployment must have, e.g. the entry point's
+ *     `requiredDelegateAddress` must be the recorded executor.
+ *
+ * The comparison is pinned to the build recorded in the manifest: when the artifact creation bytecode no longer hashes
+ * to the recorded `bytecodeHash`, the contract was deployed from an earlier build and its runtime code is compared
+ * with the recorded `deployedBytecodeHash` instead. Records predating the manifests have no hashes: they are compared
+ * with the current artifacts when the manifest's `executorVersion` is the one the artifacts are built for, and are
+ * reported as unverifiable otherwise, since the build they were deployed from is not at hand.
+ *
+ * Only `eth_getCode` is used, so the check also runs against a local node loaded with a snapshot of the chain.
+ */
+
+export interface ContractDrift {
+  contract: string
+  address: string
+  // Build the code was compared with: the current artifacts, an earlier recorded build, the current artifacts for
+  // want of a recorded build of the same version, or none when neither is at hand.
+  build: "current" | "earlier" | "unrecorded" | "unverifiable"
+  // Empty when the deployed code matches the build.
+  issues: string[]
+}
+
+/**
+ * Removes the CBOR metadata trailer, whose length is stored in the last two bytes of the code.
+ */
+export function stripMetadata(code: Uint8Array): Uint8Array {
+  if (code.length < 2) {
+    return code;
+  }
+  const metadataLength = (code[code.length - 2] << 8) + code[code.length - 1] + 2;
+  return metadataLength <= code.length ? code.subarray(0, code.length - metadataLength) : code;
+}
+
+// ShortString encoding of OpenZeppelin's EIP712 name and version: the string left-aligned, its length in the last byte.
+function toShortString(value: string): string {
+  const bytes = toUtf8Bytes(value);
+  return hexlify(new Uint8Array([...getBytes(zeroPadBytes(bytes, 31)), bytes.length]));
+}
+
+/**
+ * Values the immutables of a deployed contract must hold, by variable name.
+ */
+export function expectedImmutables(
+  contractName: string,
+  { address, chainId, manifest }: { address: string; chainId: bigint | number; manifest: DeploymentManifest },
+): Record<string, string> {
+  if (contractName === "Tangem7702GaslessEntryPoint") {
+    return { requiredDelegateAddress: zeroPadValue(manifest.contracts.executor.address, 32) };
+  }
+
+  // Executors inherit OpenZeppelin's EIP712, which caches the domain of the implementation address, at the version
+  // of the recorded build.
+  const version = manifest.executorVersion;
+  return {
+    _cachedDomainSeparator: TypedDataEncoder.hashDomain({
+      name: EIP712_DOMAIN_NAME,
+      version,
+      chainId,
+      verifyingContract: address,
+    }),
+    _cachedChainId: toBeHex(chainId, 32),
+    _cachedThis: zeroPadValue(address, 32),
+    _hashedName: id(EIP712_DOMAIN_NAME),
+    _hashedVersion: id(version),
+    _name: toShortString(EIP712_DOMAIN_NAME),
+    _version: toShortString(version),
+  };
+}
+
+// Maps the AST ids of the immutables in `immutableReferences` to their variable names.
+async function immutableNames(hre: HardhatRuntimeEnvironment, buildInfoId: string, ids: Set<number>) {
+  const outputPath = await hre.artifacts.getBuildInfoOutputPath(buildInfoId);
+  if (outputPath === undefined) {
+    throw new Error(`Build info output ${buildInfoId} not found; recompile the contracts`);
+  }
+
+  const names = new Map<number, string>();
+  const visit = (node: any) => {
+    if (node === null || typeof node !== "object") {
+      return;
+    }
+    if (node.nodeType === "VariableDeclaration" && ids.has(node.id)) {
+      names.set(node.id, node.name);
+    }
+    Object.values(node).forEach(visit);
+  };
+  const { output } = JSON.parse(await readFile(outputPath, "utf8"));
+  Object.values(output.sources).forEach((source: any) => visit(source.ast));
+  return names;
+}
+
+/**
+ * Compares the runtime code at `address` with the artifact of `contractName`.
+ *
+ * @returns The differences found, empty when the code matches.
+ */
+export async function compareRuntimeCode(
+  hre: HardhatRuntimeEnvironment,
+  {
+    contractName,
+    code,
+    expected,
+  }: {
+    contractName: string
+    code: string
+    expected: Record<string, string>
+  },
+): Promise<string[]> {
+  if (code === "0x") {
+    return ["no code at the address"];
+  }
+
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const compiled = stripMetadata(getBytes(artifact.deployedBytecode));
+  const deployed = stripMetadata(getBytes(code)).slice();
+  if (deployed.length !== compiled.length) {
+    return [`runtime code is ${deployed.length} bytes, expected ${compiled.length} (metadata excluded)`];
+  }
+
+  const issues: string[] = [];
+  const references: Record<string, { start: number; length: number }[]> = artifact.immutableReferences ?? {};
+  const names = await immutableNames(hre, artifact.buildInfoId!, new Set(Object.keys(references).map(Number)));
+
+  const values: Record<string, string> = {};
+  for (const [astId, ranges] of Object.entries(references)) {
+    const name = names.get(Number(astId)) ?? `#${astId}`;
+    const found = new Set(ranges.map(({ start, length }) => dataSlice(deployed, start, start + length)));
+    if (found.size !== 1) {
+      issues.push(`immutable ${name} differs between its references`);
+    }
+    values[name] = [...found][0];
+    ranges.forEach(({ start, length }) => deployed.fill(0, start, start + length));
+  }
+
+  const offset = deployed.findIndex((byte, i) => byte !== compiled[i]);
+  if (offset !== -1) {
+    issues.push(`runtime code differs from the artifact at byte ${offset}`);
+  }
+
+  for (const [name, value] of Object.entries(expected)) {
+    if (values[name] === undefined) {
+      issues.push(`immutable ${name} is not in the artifact`);
+    } else if (values[name] !== value.toLowerCase()) {
+      issues.push(`immutable ${name} is ${values[name]}, expected ${value.toLowerCase()}`);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Checks the executor and the entry point recorded in a deployment manifest against the build they were deployed from.
+ */
+export async function checkDeployment(
+  hre: HardhatRuntimeEnvironment,
+  ethers: any,
+  manifest: DeploymentManifest,
+): Promise<ContractDrift[]> {
+  const drift: ContractDrift[] = [];
+  for (const record of [manifest.contracts.executor, manifest.contracts.entryPoint]) {
+    const code: string = await ethers.provider.getCode(record.address);
+    const artifact = await hre.artifacts.readArtifact(record.name);
+
+    if (record.bytecodeHash !== undefined && record.bytecodeHash !== keccak256(artifact.bytecode)) {
+      const issues = code === "0x"
+        ? ["no code at the address"]
+        : record.deployedBytecodeHash === undefined
+          ? ["no runtime code hash recorded for the earlier build"]
+          : keccak256(code) !== record.deployedBytecodeHash
+            ? [`runtime code hash is ${keccak256(code)}, recorded ${record.deployedBytecodeHash}`]
+            : [];
+      drift.push({ contract: record.name, address: record.address, build: "earlier", issues });
+      continue;
+    }
+
+    if (record.bytecodeHash === undefined && manifest.executorVersion !== EIP712_DOMAIN_VERSION) {
+      const issues = code === "0x" ? ["no code at the address"] : [];
+      drift.push({ contract: record.name, address: record.address, build: "unverifiable", issues });
+      continue;
+    }
+
+    const issues = await compareRuntimeCode(hre, {
+      contractName: record.name,
+      code,
+      expected: expectedImmutables(record.name, { address: record.address, chainId: manifest.chainId, manifest }),
+    });
+    drift.push({
+      contract: record.name,
+      address: record.address,
+      build: record.bytecodeHash === undefined ? "unrecorded" : "current",
+      issues,
+    });
+  }
+  return drift;
+}
@@ -0,0 +1,114 @@
+import path from "node:path";
+import { verifyContract } from "@nomicfoundation/hardhat-verify/verify";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { EIP712_DOMAIN_VERSION } from "../sdk/eip712.js";
+import { checkDeployment } from "./bytecode.js";
+import { DEPLOYMENTS_DIR, readManifest } from "./manifest.js";
+import type { DeploymentManifest } from "./manifest.js";
+
+interface CheckDeploymentsTaskArguments {
+  chainId: string
+  verify: boolean
+}
+
+/**
+ * Submits the source of both contracts to the verification provider configured under `verify` in
+ * hardhat.config.js, on the network selected with `--network`.
+ */
+async function verifyDeployment(hre: HardhatRuntimeEnvironment, manifest: DeploymentManifest) {
+  const { executor, entryPoint } = manifest.contracts;
+
+  for (const [record, constructorArgs] of [[executor, []], [entryPoint, [executor.address]]] as const) {
+    const artifact = await hre.artifacts.readArtifact(record.name);
+    await verifyContract(
+      {
+        address: record.address,
+        constructorArgs: [...constructorArgs],
+        contract: `${artifact.sourceName}:${artifact.contractName}`,
+        creationTxHash: record.deployTxHash,
+      },
+      hre,
+    );
+  }
+}
+
+export default async function (
+  taskArguments: CheckDeploymentsTaskArguments,
+  hre: HardhatRuntimeEnvironment,
+) {
+  const selected = hre.globalOptions.network;
+  if (selected === undefined && (taskArguments.verify || taskArguments.chainId !== "")) {
+    throw new Error("--verify and --chain-id apply to a single network; pass --network");
+  }
+
+  const networks = selected !== undefined
+    ? [selected]
+    // A local node is only checked on request, typically serving a snapshot together with --chain-id.
+    : Object.keys(hre.config.networks).filter(
+      (name) => hre.config.networks[name].type === "http" && name !== "localhost"
+    );
+
+  const dir = path.join(hre.config.paths.root, DEPLOYMENTS_DIR);
+  const drifted: string[] = [];
+  const unchecked: string[] = [];
+
+  for (const network of networks) {
+    let connection;
+    let chainId: bigint;
+    try {
+      connection = await hre.network.connect({ network });
+      chainId = taskArguments.chainId !== ""
+        ? BigInt(taskArguments.chainId)
+        : (await connection.ethers.provider.getNetwork()).chainId;
+    } catch (e: any) {
+      console.log(`${network}: unreachable (${e.message})`);
+      unchecked.push(network);
+      continue;
+    }
+
+    const manifest = await readManifest(dir, chainId);
+    if (manifest === null) {
+      console.log(`${network}: no deployment recorded for chain ${chainId}`);
+      await connection.close();
+      continue;
+    }
+
+    const drift = await checkDeployment(hre, connection.ethers, manifest);
+    for (const { contract, address, build, issues } of drift) {
+      const reference = build === "earlier" ? "the recorded build" : "the artifact";
+      const outcome = issues.length > 0 ? "DRIFTED" : build === "unverifiable" ? "UNVERIFIABLE" : `matches ${reference}`;
+      console.log(`${network}: ${contract} at ${address} ${outcome}`);
+      if (build === "earlier") {
+        console.log("  - deployed from an earlier build than the current artifacts; compared by runtime code hash");
+      } else if (build === "unrecorded") {
+        console.log("  - no build recorded in the manifest; compared with the current artifacts");
+      } else if (build === "unverifiable") {
+        console.log(
+          `  - no build recorded for executor version ${manifest.executorVersion}, the artifacts are version ` +
+          `${EIP712_DOMAIN_VERSION}; only checked for code`
+        );
+      }
+      issues.forEach((issue) => console.log(`  - ${issue}`));
+    }
+    await connection.close();
+
+    if (drift.some(({ issues }) => issues.length > 0)) {
+      drifted.push(network);
+    } else if (taskArguments.verify) {
+      // The current sources only verify contracts deployed from the current build.
+      if (drift.some(({ build }) => build === "earlier" || build === "unverifiable")) {
+        console.log(`${network}: not verified, the deployment predates the current build`);
+      } else {
+        await verifyDeployment(hre, manifest);
+      }
+    }
+  }
+
+  const failures = [
+    ...(drifted.length > 0 ? [`bytecode drift on ${drifted.join(", ")}`] : []),
+    ...(unchecked.length > 0 ? [`could not check ${unchecked.join(", ")}`] : []),
+  ];
+  if (failures.length > 0) {
+    throw new Error(`Deployment check failed: ${failures.join("; ")}`);
+  }
+}
@@ -0,0 +1,57 @@
+import { Signer, concat, getCreate2Address, isHexString, id, keccak256, zeroPadValue } from "ethers";
+
+/**
+ * Deterministic deployment through the keyless CREATE2 factory
+ * (https://github.com/Arachnid/deterministic-deployment-proxy), which lives at the same address on every EVM chain.
+ *
+ * The factory takes `salt (32 bytes) || initCode` as calldata and deploys with CREATE2, so a contract address only
+ * depends on the factory, the salt and the init code (creation bytecode + constructor arguments).
+ */
+
+export const CREATE2_FACTORY_ADDRESS = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+/** Runtime code of the factory, for installing it on local nodes. */
+export const CREATE2_FACTORY_RUNTIME_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+/**
+ * Normalizes a salt: a 32-byte hex string is used as is, any other string is hashed (`keccak256(utf8(salt))`),
+ * so human-readable labels such as "tangem-gasless-v1" can be used.
+ */
+export function toSalt(salt: string): string {
+  return isHexString(salt, 32) ? salt : id(salt);
+}
+
+export function predictCreate2Address(initCode: string, salt: string, factory = CREATE2_FACTORY_ADDRESS): string {
+  return getCreate2Address(factory, toSalt(salt), keccak256(initCode));
+}
+
+/**
+ * Deploys `initCode` through the factory unless a contract already exists at the predicted address.
+ *
+ * @returns The predicted address, whether this call deployed it and, if so, the deployment transaction hash.
+ */
+export async function deployCreate2(
+  signer: Signer,
+  initCode: string,
+  salt: string,
+  factory = CREATE2_FACTORY_ADDRESS,
+): Promise<{ address: string; deployed: boolean; txHash?: string }> {
+  const provider = signer.provider!;
+  const address = predictCreate2Address(initCode, salt, factory);
+
+  if ((await provider.getCode(address)) !== "0x") {
+    return { address, deployed: false };
+  }
+  if ((await provider.getCode(factory)) === "0x") {
+    throw new Error(`CREATE2 factory is not deployed at ${factory}`);
+  }
+
+  const tx = await signer.sendTransaction({ to: factory, data: concat([zeroPadValue(toSalt(salt), 32), initCode]) });
+  await tx.wait();
+
+  if ((await provider.getCode(address)) === "0x") {
+    throw new Error(`CREATE2 deployment to ${address} failed`);
+  }
+  return { address, deployed: true, txHash: tx.hash };
+}
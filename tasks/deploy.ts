@@ -1,34 +1,194 @@
+import path from "node:path";
 import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { CREATE2_FACTORY_ADDRESS, deployCreate2, predictCreate2Address } from "./create2.js";
+import { DEPLOYMENTS_DIR, buildManifest, readManifest, syncDeploymentRecords, writeManifest } from "./manifest.js";
 
 interface DeployTaskArguments {
   type: string
+  salt: string
+  factory: string
+}
+
+export const EXECUTOR_CONTRACTS: Record<string, string> = {
+  L1: "Tangem7702GaslessExecutorL1",
+  OP: "Tangem7702GaslessExecutorOP",
+  arbitrum: "Tangem7702GaslessExecutorArbitrum",
+};
+
+// Executor type required by well-known chains. Deploying another type there would mis-charge L1 data fees.
+const CHAIN_EXECUTOR_TYPES: Record<string, string> = {
+  1: "L1", // Ethereum
+  56: "L1", // BNB Smart Chain
+  137: "L1", // Polygon PoS
+  11155111: "L1", // Sepolia
+  10: "OP", // OP Mainnet
+  8453: "OP", // Base
+  11155420: "OP", // OP Sepolia
+  84532: "OP", // Base Sepolia
+  42161: "arbitrum", // Arbitrum One
+  42170: "arbitrum", // Arbitrum Nova
+  421614: "arbitrum", // Arbitrum Sepolia
+};
+
+// Chain IDs of local development nodes (Hardhat, Anvil, Ganache), whichever network name they are reached through.
+const LOCAL_CHAIN_IDS = new Set(["31337", "1337"]);
+
+// Executor type implied by the network `chainType` in hardhat.config.js; "generic" implies none.
+const CHAIN_TYPE_EXECUTOR_TYPES: Record<string, string> = {
+  l1: "L1",
+  op: "OP",
+};
+
+/**
+ * Resolves the executor type to deploy from the explicit `--type`, the chain ID and the network `chainType`.
+ *
+ * An explicit type is only accepted when it agrees with what the chain requires; it is mandatory when the
+ * chain cannot be identified (e.g. a "generic" network with an unknown chain ID).
+ */
+export function resolveExecutorType({ type = "", chainId, chainType }: {
+  type?: string
+  chainId: bigint | number
+  chainType?: string
+}): string {
+  if (type !== "" && EXECUTOR_CONTRACTS[type] === undefined) {
+    throw new Error(`Unknown type: ${type}`);
+  }
+
+  const fromChainId = CHAIN_EXECUTOR_TYPES[chainId.toString()];
+  const fromChainType = CHAIN_TYPE_EXECUTOR_TYPES[chainType ?? "generic"];
+  if (fromChainId !== undefined && fromChainType !== undefined && fromChainId !== fromChainType) {
+    throw new Error(
+      `Network chainType "${chainType}" does not match chain ${chainId}, which requires the ${fromChainId} executor`
+    );
+  }
+
+  const inferred = fromChainId ?? fromChainType;
+  if (type !== "" && inferred !== undefined && type !== inferred) {
+    throw new Error(`Refusing to deploy the ${type} executor to chain ${chainId}, which requires the ${inferred} executor`);
+  }
+
+  const resolved = type !== "" ? type : inferred;
+  if (resolved === undefined) {
+    throw new Error(`Cannot infer the executor type for chain ${chainId}; pass --type L1, OP or arbitrum`);
+  }
+  return resolved;
+}
+
+/**
+ * Whether a deployment is recorded in `deployments/`. Deployments to the in-process network or a local node are
+ * throwaway and must not overwrite the recorded ones, nor leak into the SDK registry and the README.
+ */
+export function shouldRecordDeployment({ networkType, chainId }: {
+  networkType: string
+  chainId: bigint | number
+}): boolean {
+  return networkType !== "edr-simulated" && !LOCAL_CHAIN_IDS.has(chainId.toString());
+}
+
+export interface DeployedContracts {
+  executor: string
+  entryPoint: string
+  // Set for deterministic deployments: whether each contract was deployed now or already existed.
+  executorDeployed?: boolean
+  entryPointDeployed?: boolean
+  // Hashes of the transactions that deployed each contract; unset for contracts that already existed.
+  executorTxHash?: string
+  entryPointTxHash?: string
+}
+
+/**
+ * Deploys the executor of the given type and the entry point bound to it.
+ *
+ * With a `salt`, both contracts are deployed through the CREATE2 factory, so they get the same addresses on every
+ * chain for the same type and salt. Addresses are predicted first, contracts already present are skipped, and the
+ * entry point's `requiredDelegateAddress` is checked against the predicted executor.
+ */
+export async function deployContracts(
+  ethers: any,
+  { type, salt = "", factory = "" }: Partial<DeployTaskArguments>,
+): Promise<DeployedContracts> {
+  const executorContract = EXECUTOR_CONTRACTS[type ?? ""];
+  if (executorContract === undefined) {
+    throw new Error(`Unknown type: ${type}`);
+  }
+
+  const Tangem7702GaslessExecutor = await ethers.getContractFactory(executorContract);
+  const Tangem7702GaslessEntryPoint = await ethers.getContractFactory("Tangem7702GaslessEntryPoint");
+
+  if (salt === "") {
+    const executor = await Tangem7702GaslessExecutor.deploy();
+    await executor.waitForDeployment();
+
+    const entryPoint = await Tangem7702GaslessEntryPoint.deploy(executor);
+    await entryPoint.waitForDeployment();
+
+    return {
+      executor: await executor.getAddress(),
+      entryPoint: await entryPoint.getAddress(),
+      executorTxHash: executor.deploymentTransaction()!.hash,
+      entryPointTxHash: entryPoint.deploymentTransaction()!.hash,
+    };
+  }
+
+  const factoryAddress = factory === "" ? CREATE2_FACTORY_ADDRESS : factory;
+  const [signer] = await ethers.getSigners();
+
+  const executorInitCode = (await Tangem7702GaslessExecutor.getDeployTransaction()).data;
+  const predictedExecutor = predictCreate2Address(executorInitCode, salt, factoryAddress);
+  const entryPointInitCode = (await Tangem7702GaslessEntryPoint.getDeployTransaction(predictedExecutor)).data;
+
+  const executor = await deployCreate2(signer, executorInitCode, salt, factoryAddress);
+  const entryPoint = await deployCreate2(signer, entryPointInitCode, salt, factoryAddress);
+
+  const requiredDelegate = await Tangem7702GaslessEntryPoint.attach(entryPoint.address).requiredDelegateAddress();
+  if (requiredDelegate !== executor.address) {
+    throw new Error(
+      `Entry point ${entryPoint.address} requires delegate ${requiredDelegate}, expected ${executor.address}`
+    );
+  }
+
+  return {
+    executor: executor.address,
+    entryPoint: entryPoint.address,
+    executorDeployed: executor.deployed,
+    entryPointDeployed: entryPoint.deployed,
+    executorTxHash: executor.txHash,
+    entryPointTxHash: entryPoint.txHash,
+  };
 }
 
 export default async function (
   taskArguments: DeployTaskArguments,
   hre: HardhatRuntimeEnvironment,
 ) {
-  const { ethers } = await hre.network.connect();
+  const { ethers, networkConfig, networkName } = await hre.network.connect();
 
-  let Tangem7702GaslessExecutor;
-  if (taskArguments.type == "L1") {
-    Tangem7702GaslessExecutor = await ethers.getContractFactory("Tangem7702GaslessExecutorL1");
-  } else if (taskArguments.type == "OP") {
-    Tangem7702GaslessExecutor = await ethers.getContractFactory("Tangem7702GaslessExecutorOP");
-  } else if (taskArguments.type == "arbitrum") {
-    Tangem7702GaslessExecutor = await ethers.getContractFactory("Tangem7702GaslessExecutorArbitrum");
-  } else {
-    throw "Unknown type"
-  }
-  
-  const executor = await Tangem7702GaslessExecutor.deploy();
-  await executor.waitForDeployment();
+  const { chainId } = await ethers.provider.getNetwork();
+  const type = resolveExecutorType({ type: taskArguments.type, chainId, chainType: networkConfig.chainType });
+  console.log(`Deploying the ${type} executor to chain ${chainId}`);
 
-  console.log("Tangem7702GaslessExecutor deployed to:", await executor.getAddress());
+  const deployed = await deployContracts(ethers, { ...taskArguments, type });
 
-  const Tangem7702GaslessEntryPoint = await ethers.getContractFactory("Tangem7702GaslessEntryPoint");
-  const entryPoint = await Tangem7702GaslessEntryPoint.deploy(executor);
-  await entryPoint.waitForDeployment();
+  const status = (fresh?: boolean) => (fresh === false ? " (already deployed)" : "");
+  console.log("Tangem7702GaslessExecutor deployed to:", deployed.executor + status(deployed.executorDeployed));
+  console.log("Tangem7702GaslessEntryPoint deployed to:", deployed.entryPoint + status(deployed.entryPointDeployed));
 
-  console.log("Tangem7702GaslessEntryPoint deployed to:", await entryPoint.getAddress());
-}
\ No newline at end of file
+  if (!shouldRecordDeployment({ networkType: networkConfig.type, chainId })) {
+    return;
+  }
+
+  const dir = path.join(hre.config.paths.root, DEPLOYMENTS_DIR);
+  const manifest = await buildManifest(hre, ethers, {
+    network: networkName,
+    chainId,
+    executorType: type,
+    executorContract: EXECUTOR_CONTRACTS[type],
+    salt: taskArguments.salt,
+    factory: taskArguments.factory,
+    deployed,
+    previous: await readManifest(dir, chainId),
+  });
+  console.log("Deployment manifest written to:", await writeManifest(dir, manifest));
+
+  await syncDeploymentRecords(hre.config.paths.root);
+}
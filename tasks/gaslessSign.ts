@@ -0,0 +1,130 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { isAddress } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { toJsonSafe } from "../relayer/payload.js";
+import {
+  assertValidGaslessBatchTx,
+  assertValidGaslessTx,
+  getDelegate,
+  makeGaslessBatchTx,
+  makeGaslessTx,
+  makeValidityWindow,
+  readExecutorNonce,
+  signGaslessBatchTx,
+  signGaslessTx,
+} from "../sdk/index.js";
+
+interface GaslessSignTaskArguments {
+  spec: string
+  out: string
+  account: string
+}
+
+/**
+ * JSON description of a payload to sign. Numbers may be given as decimal strings.
+ *
+ * One call produces a `GaslessTransaction`, several a `GaslessBatchTransaction`. The executor is the signing
+ * account, as the executor only accepts signatures of its own key.
+ */
+export interface GaslessSpec {
+  calls: { to: string; value?: string | number; gasLimit?: string | number; data?: string }[]
+  fee: {
+    feeToken: string
+    maxTokenFee: string | number
+    coinPriceInToken: string | number
+    // Optional onchain price check; unchecked when `priceFeed` is omitted.
+    priceFeed?: string
+    maxPriceDeviationBps?: string | number
+    maxPriceAge?: string | number
+    feeTransferGasLimit: string | number
+    baseGas: string | number
+    maxFeePerGas: string | number
+    maxPriorityFeePerGas: string | number
+    feeReceiver: string
+  }
+  // Defaults to the executor's on-chain `getNonce(nonceKey)`.
+  nonce?: string | number
+  // Nonce key the default nonce is read for; defaults to 0, the legacy `nonce()` sequence.
+  nonceKey?: string | number
+  // Validity window in unix seconds; defaults to valid from now for `DEFAULT_VALIDITY_PERIOD` seconds of chain time.
+  validAfter?: string | number
+  validUntil?: string | number
+}
+
+/**
+ * Resolves `--account`: an index into the network accounts or one of their addresses.
+ */
+export async function resolveAccount(ethers: any, account: string) {
+  if (isAddress(account)) {
+    return ethers.getSigner(account);
+  }
+
+  const signers = await ethers.getSigners();
+  const signer = /^\d+$/.test(account) ? signers[Number(account)] : undefined;
+  if (signer === undefined) {
+    throw new Error(`Unknown account ${account}; pass an address or an index below ${signers.length}`);
+  }
+  return signer;
+}
+
+// Reads the nonce the executor expects next for `key`, through its current delegate.
+async function currentNonce(ethers: any, executor: string, key: bigint): Promise<bigint> {
+  const delegate = await getDelegate(ethers.provider, executor);
+  if (delegate === ethers.ZeroAddress) {
+    throw new Error(`Executor ${executor} is not delegated; set the nonce in the spec`);
+  }
+  return readExecutorNonce(ethers.provider, executor, delegate, key);
+}
+
+/**
+ * Builds and signs the payload described by `spec` with the executor's key.
+ *
+ * @returns The signed payload as accepted by the relayer, along with the chain ID and the EIP-712 digest.
+ */
+export async function signSpec(ethers: any, signer: any, spec: GaslessSpec) {
+  if (!Array.isArray(spec.calls) || spec.calls.length === 0) {
+    throw new Error("Spec must list at least one call");
+  }
+
+  const executor = await signer.getAddress();
+  const { chainId } = await ethers.provider.getNetwork();
+  const nonce = spec.nonce ?? (await currentNonce(ethers, executor, BigInt(spec.nonceKey ?? 0)));
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const window = makeValidityWindow({ validAfter: spec.validAfter, validUntil: spec.validUntil, now: timestamp });
+
+  if (spec.calls.length === 1) {
+    const gaslessTx = makeGaslessTx({ ...spec.calls[0], ...spec.fee, nonce, ...window });
+    assertValidGaslessTx(gaslessTx);
+    const { signature, digest } = await signGaslessTx({ signer, executorAddress: executor, gaslessTx, chainId });
+    return { chainId, executor, gaslessTx, signature, digest };
+  }
+
+  const gaslessBatchTx = makeGaslessBatchTx({ transactions: spec.calls, ...spec.fee, nonce, ...window });
+  assertValidGaslessBatchTx(gaslessBatchTx);
+  const { signature, digest } = await signGaslessBatchTx({
+    signer,
+    executorAddress: executor,
+    gaslessBatchTx,
+    chainId,
+  });
+  return { chainId, executor, gaslessBatchTx, signature, digest };
+}
+
+export default async function (
+  taskArguments: GaslessSignTaskArguments,
+  hre: HardhatRuntimeEnvironment,
+) {
+  const { ethers } = await hre.network.connect();
+
+  const spec = JSON.parse(await readFile(taskArguments.spec, "utf8"));
+  const signer = await resolveAccount(ethers, taskArguments.account);
+  const signed = toJsonSafe(await signSpec(ethers, signer, spec));
+
+  const json = JSON.stringify(signed, null, 2) + "\n";
+  if (taskArguments.out === "") {
+    process.stdout.write(json);
+  } else {
+    await writeFile(taskArguments.out, json);
+    console.log("Signed payload written to:", taskArguments.out);
+  }
+}
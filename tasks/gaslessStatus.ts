@@ -0,0 +1,113 @@
+import path from "node:path";
+import { Contract, ZeroAddress, formatEther, formatUnits, getAddress } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { ENTRY_POINT_ABI, getDelegate, readExecutorNonce } from "../sdk/index.js";
+import { DEPLOYMENTS_DIR, readEntryPointAddress } from "./manifest.js";
+
+interface GaslessStatusTaskArguments {
+  accounts: string[]
+  entryPoint: string
+  feeTokens: string
+}
+
+const TOKEN_ABI = [
+  "function balanceOf(address account) view returns (uint256)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+export interface AccountStatus {
+  account: string
+  // The zero address when the account has no delegation designator.
+  delegate: string
+  requiredDelegate: string
+  // Read through the required delegate, so it is known before the account is delegated.
+  nonce: bigint
+  balance: bigint
+  tokens: { token: string; symbol: string | null; decimals: number | null; balance: bigint }[]
+}
+
+async function tokenBalance(provider: any, token: string, account: string) {
+  const contract = new Contract(token, TOKEN_ABI, provider);
+  // symbol() and decimals() are optional in ERC-20.
+  const [symbol, decimals] = await Promise.all([
+    contract.symbol().catch(() => null),
+    contract.decimals().then(Number).catch(() => null),
+  ]);
+  return { token: getAddress(token), symbol, decimals, balance: await contract.balanceOf(account) };
+}
+
+/**
+ * Gathers what decides whether `account` can execute gasless payloads through the entry point.
+ */
+export async function getAccountStatus(
+  provider: any,
+  account: string,
+  { entryPointAddress, feeTokens = [] }: { entryPointAddress: string; feeTokens?: string[] },
+): Promise<AccountStatus> {
+  const address = getAddress(account);
+  const entryPoint = new Contract(entryPointAddress, ENTRY_POINT_ABI, provider);
+  const requiredDelegate = getAddress(await entryPoint.requiredDelegateAddress());
+
+  const tokens = [];
+  for (const token of feeTokens) {
+    tokens.push(await tokenBalance(provider, token, address));
+  }
+
+  return {
+    account: address,
+    delegate: await getDelegate(provider, address),
+    requiredDelegate,
+    nonce: await readExecutorNonce(provider, address, requiredDelegate),
+    balance: await provider.getBalance(address),
+    tokens,
+  };
+}
+
+/**
+ * Renders an account status as the lines printed by `gasless:status`.
+ */
+export function formatAccountStatus(status: AccountStatus): string[] {
+  const { account, delegate, requiredDelegate, nonce, balance, tokens } = status;
+
+  let delegation;
+  if (delegate === requiredDelegate) {
+    delegation = `${delegate} (matches the entry point)`;
+  } else if (delegate === ZeroAddress) {
+    delegation = `none, the entry point requires ${requiredDelegate}`;
+  } else {
+    delegation = `${delegate} (MISMATCH, the entry point requires ${requiredDelegate})`;
+  }
+
+  return [
+    account,
+    `  delegate: ${delegation}`,
+    `  nonce: ${nonce}`,
+    `  native balance: ${formatEther(balance)}`,
+    ...tokens.map(({ token, symbol, decimals, balance }) =>
+      `  ${symbol ?? "token"} ${token}: ${decimals === null ? `${balance} (raw)` : formatUnits(balance, decimals)}`
+    ),
+  ];
+}
+
+export default async function (
+  taskArguments: GaslessStatusTaskArguments,
+  hre: HardhatRuntimeEnvironment,
+) {
+  const { ethers } = await hre.network.connect();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const entryPointAddress = taskArguments.entryPoint !== ""
+    ? taskArguments.entryPoint
+    : await readEntryPointAddress(path.join(hre.config.paths.root, DEPLOYMENTS_DIR), chainId);
+  if ((await ethers.provider.getCode(entryPointAddress)) === "0x") {
+    throw new Error(`No contract at entry point ${entryPointAddress} on chain ${chainId}`);
+  }
+  const feeTokens = taskArguments.feeTokens.split(",").map((token) => token.trim()).filter((token) => token !== "");
+
+  console.log(`Entry point ${entryPointAddress} on chain ${chainId}`);
+  for (const account of taskArguments.accounts) {
+    const status = await getAccountStatus(ethers.provider, account, { entryPointAddress, feeTokens });
+    formatAccountStatus(status).forEach((line) => console.log(line));
+  }
+}
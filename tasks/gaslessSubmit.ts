@@ -0,0 +1,117 @@
+import path from "node:path";
+import { readFile } from "node:fs/promises";
+import { Interface, getAddress } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { RelayStatus, Relayer, RelayerError } from "../relayer/relayer.js";
+import { EXECUTOR_ABI } from "../sdk/index.js";
+import { resolveAccount } from "./gaslessSign.js";
+import { DEPLOYMENTS_DIR, readEntryPointAddress } from "./manifest.js";
+
+interface GaslessSubmitTaskArguments {
+  payload: string
+  executor: string
+  entryPoint: string
+  forced: boolean
+  account: string
+  gasLimit: string
+}
+
+const gaslessInterface = new Interface([
+  ...EXECUTOR_ABI.filter((fragment) => fragment.startsWith("event")),
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+]);
+
+/**
+ * Decodes the logs of a receipt with the executor and ERC-20 events.
+ *
+ * @returns One `{address, name, args}` per log; `name` is null for logs of unknown events.
+ */
+export function decodeLogs(receipt: any) {
+  return receipt.logs.map((log: any) => {
+    let parsed = null;
+    try {
+      parsed = gaslessInterface.parseLog(log);
+    } catch {
+      // Logs of target contracts with other events.
+    }
+    if (parsed === null) {
+      return { address: getAddress(log.address), name: null, args: {} };
+    }
+    const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, parsed!.args[i]]));
+    return { address: getAddress(log.address), name: parsed.name, args };
+  });
+}
+
+function formatEvent({ address, name, args }: ReturnType<typeof decodeLogs>[number]) {
+  if (name === null) {
+    return `unknown event from ${address}`;
+  }
+  const fields = Object.entries(args).map(([key, value]) => `${key}=${value}`);
+  return `${name}(${fields.join(", ")}) from ${address}`;
+}
+
+function describeRelayerError(e: RelayerError) {
+  const problems = e.details?.problems;
+  return Array.isArray(problems) ? `${e.message}: ${problems.join("; ")}` : `Simulation reverted: ${e.message}`;
+}
+
+/**
+ * Validates, simulates and relays a signed payload through the entry point, then waits for the receipt.
+ *
+ * @throws When the payload is rejected before submission, or with the decoded revert when the transaction reverts.
+ */
+export async function submitSignedPayload(
+  ethers: any,
+  signer: any,
+  { body, entryPointAddress, overrides = {} }: { body: any; entryPointAddress: string; overrides?: object },
+) {
+  const relayer = new Relayer({ signer, entryPointAddress });
+
+  let record;
+  try {
+    record = await relayer.submit(body, overrides);
+  } catch (e) {
+    throw e instanceof RelayerError ? new Error(describeRelayerError(e)) : e;
+  }
+  await relayer.settled();
+
+  const { status, report, error } = relayer.getStatus(record.id)!;
+  if (status === RelayStatus.FAILED) {
+    throw new Error(`Transaction ${record.transactionHash} reverted: ${error.reason}`);
+  }
+
+  const receipt = await ethers.provider.getTransactionReceipt(record.transactionHash);
+  return { receipt, report, events: decodeLogs(receipt) };
+}
+
+export default async function (
+  taskArguments: GaslessSubmitTaskArguments,
+  hre: HardhatRuntimeEnvironment,
+) {
+  const { ethers } = await hre.network.connect();
+  const { chainId } = await ethers.provider.getNetwork();
+
+  const payload = JSON.parse(await readFile(taskArguments.payload, "utf8"));
+  const executor = taskArguments.executor !== "" ? getAddress(taskArguments.executor) : payload.executor;
+  if (executor === undefined) {
+    throw new Error("The payload names no executor; pass --executor");
+  }
+  if (payload.executor !== undefined && getAddress(payload.executor) !== executor) {
+    throw new Error(`The payload is signed for executor ${payload.executor}, not ${executor}`);
+  }
+
+  const entryPointAddress = taskArguments.entryPoint !== ""
+    ? taskArguments.entryPoint
+    : await readEntryPointAddress(path.join(hre.config.paths.root, DEPLOYMENTS_DIR), chainId);
+
+  const signer = await resolveAccount(ethers, taskArguments.account);
+  const body = { ...payload, executor, forced: taskArguments.forced || (payload.forced ?? false) };
+  const overrides = taskArguments.gasLimit === "" ? {} : { gasLimit: BigInt(taskArguments.gasLimit) };
+
+  console.log(`Relaying ${body.gaslessBatchTx ? "batch " : ""}payload of ${executor} through ${entryPointAddress}`);
+  const { receipt, report, events } = await submitSignedPayload(ethers, signer, { body, entryPointAddress, overrides });
+
+  console.log(`Transaction ${receipt.hash} mined in block ${receipt.blockNumber}, gas used ${receipt.gasUsed}`);
+  events.forEach((event: any) => console.log(`  ${formatEvent(event)}`));
+  console.log(`Execution ${report.status}: ${report.executedCalls} of ${report.totalCalls} calls executed`);
+}
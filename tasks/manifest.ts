@@ -0,0 +1,284 @@
+import { mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { keccak256 } from "ethers";
+import { HardhatRuntimeEnvironment } from "hardhat/types/hre";
+import { EIP712_DOMAIN_VERSION } from "../sdk/eip712.js";
+import { CREATE2_FACTORY_ADDRESS } from "./create2.js";
+import type { DeployedContracts } from "./deploy.js";
+
+/**
+ * Deployment records written by the deploy task.
+ *
+ * Every deployment writes `deployments/<chainId>.json`. The manifests are the single source of truth for the
+ * deployed addresses: the SDK address registry (`sdk/deployments.js`) and the production deployment section of
+ * README.md are generated from them.
+ */
+
+/** Version of the manifest format, bumped on incompatible changes. */
+export const MANIFEST_VERSION = 1;
+
+export const DEPLOYMENTS_DIR = "deployments";
+export const REGISTRY_MODULE = "sdk/deployments.js";
+export const README = "README.md";
+
+const README_START_MARKER = "<!-- deployments:start -->";
+const README_END_MARKER = "<!-- deployments:end -->";
+
+// Display names and block explorers of known chains. Testnet deployments are kept out of the README.
+const CHAINS: Record<string, { name: string; explorer: string; testnet?: boolean }> = {
+  1: { name: "Ethereum", explorer: "https://etherscan.com" },
+  10: { name: "OP Mainnet", explorer: "https://optimistic.etherscan.io" },
+  56: { name: "BNB Smart Chain", explorer: "https://bscscan.com" },
+  137: { name: "Polygon PoS", explorer: "https://polygonscan.com" },
+  8453: { name: "Base", explorer: "https://basescan.org" },
+  42161: { name: "Arbitrum One", explorer: "https://arbiscan.io" },
+  42170: { name: "Arbitrum Nova", explorer: "https://nova.arbiscan.io" },
+  84532: { name: "Base Sepolia", explorer: "https://sepolia.basescan.org", testnet: true },
+  421614: { name: "Arbitrum Sepolia", explorer: "https://sepolia.arbiscan.io", testnet: true },
+  11155111: { name: "Sepolia", explorer: "https://sepolia.etherscan.io", testnet: true },
+  11155420: { name: "OP Sepolia", explorer: "https://sepolia-optimism.etherscan.io", testnet: true },
+};
+
+// Fields that are not known are left out rather than recorded as null.
+export interface ContractRecord {
+  name: string
+  address: string
+  // Unknown for contracts recorded before manifests existed, or found already deployed by CREATE2.
+  deployTxHash?: string
+  blockNumber?: number
+  // keccak256 of the artifact creation bytecode (without constructor arguments); unknown for contracts recorded
+  // before manifests existed, like the runtime code hash.
+  bytecodeHash?: string
+  // keccak256 of the runtime code on chain, immutables included.
+  deployedBytecodeHash?: string
+}
+
+export interface DeploymentManifest {
+  version: number
+  chainId: number
+  network: string
+  executorType: string
+  // EIP-712 domain version of the executor build; payloads signed for another version do not verify on it.
+  executorVersion: string
+  salt: string | null
+  factory: string | null
+  // Unknown for deployments recorded before manifests existed.
+  compiler?: { version: string; evmVersion: string; optimizer: { enabled: boolean; runs: number } }
+  contracts: {
+    executor: ContractRecord
+    entryPoint: ContractRecord
+  }
+}
+
+async function readCompilerSettings(hre: HardhatRuntimeEnvironment, buildInfoId: string | undefined) {
+  const buildInfoPath = buildInfoId === undefined ? undefined : await hre.artifacts.getBuildInfoPath(buildInfoId);
+  if (buildInfoPath === undefined) {
+    return undefined;
+  }
+
+  const buildInfo = JSON.parse(await readFile(buildInfoPath, "utf8"));
+  const { evmVersion, optimizer } = buildInfo.input.settings;
+  return { version: buildInfo.solcLongVersion, evmVersion, optimizer };
+}
+
+async function contractRecord(
+  hre: HardhatRuntimeEnvironment,
+  ethers: any,
+  name: string,
+  address: string,
+  txHash: string | undefined,
+  previous: ContractRecord | undefined,
+): Promise<ContractRecord> {
+  const artifact = await hre.artifacts.readArtifact(name);
+  // Contracts skipped by a CREATE2 redeploy keep the transaction recorded when they were first deployed.
+  const known = previous !== undefined && previous.address === address ? previous : undefined;
+
+  const deployTxHash = txHash ?? known?.deployTxHash;
+  let blockNumber = known?.blockNumber;
+  if (txHash !== undefined) {
+    const receipt = await ethers.provider.getTransactionReceipt(txHash);
+    blockNumber = receipt.blockNumber;
+  }
+
+  return {
+    name,
+    address,
+    ...(deployTxHash === undefined ? {} : { deployTxHash }),
+    ...(blockNumber === undefined ? {} : { blockNumber }),
+    bytecodeHash: keccak256(artifact.bytecode),
+    deployedBytecodeHash: keccak256(await ethers.provider.getCode(address)),
+  };
+}
+
+/**
+ * Builds the manifest of a deployment made by {deployContracts}.
+ *
+ * @param previous The manifest already recorded for the chain, if any.
+ */
+export async function buildManifest(
+  hre: HardhatRuntimeEnvironment,
+  ethers: any,
+  { network, chainId, executorType, executorContract, salt = "", factory = "", deployed, previous }: {
+    network: string
+    chainId: bigint | number
+    executorType: string
+    executorContract: string
+    salt?: string
+    factory?: string
+    deployed: DeployedContracts
+    previous?: DeploymentManifest | null
+  },
+): Promise<DeploymentManifest> {
+  const executorArtifact = await hre.artifacts.readArtifact(executorContract);
+  const compiler = await readCompilerSettings(hre, executorArtifact.buildInfoId);
+
+  return {
+    version: MANIFEST_VERSION,
+    chainId: Number(chainId),
+    network,
+    executorType,
+    executorVersion: EIP712_DOMAIN_VERSION,
+    salt: salt === "" ? null : salt,
+    factory: salt === "" ? null : factory === "" ? CREATE2_FACTORY_ADDRESS : factory,
+    ...(compiler === undefined ? {} : { compiler }),
+    contracts: {
+      executor: await contractRecord(
+        hre, ethers, executorContract, deployed.executor, deployed.executorTxHash, previous?.contracts.executor
+      ),
+      entryPoint: await contractRecord(
+        hre, ethers, "Tangem7702GaslessEntryPoint", deployed.entryPoint, deployed.entryPointTxHash,
+        previous?.contracts.entryPoint
+      ),
+    },
+  };
+}
+
+export function manifestPath(dir: string, chainId: bigint | number): string {
+  return path.join(dir, `${chainId}.json`);
+}
+
+/** Reads the manifest of a chain, or `null` when nothing was deployed there yet. */
+export async function readManifest(dir: string, chainId: bigint | number): Promise<DeploymentManifest | null> {
+  let json;
+  try {
+    json = await readFile(manifestPath(dir, chainId), "utf8");
+  } catch (e: any) {
+    if (e.code === "ENOENT") {
+      return null;
+    }
+    throw e;
+  }
+
+  const manifest = JSON.parse(json);
+  if (manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`Unsupported manifest version ${manifest.version} in ${manifestPath(dir, chainId)}`);
+  }
+  return manifest;
+}
+
+/**
+ * Returns the entry point recorded for a chain.
+ *
+ * @throws When nothing is recorded for the chain, or the recorded executor is of another version than the SDK's.
+ */
+export async function readEntryPointAddress(dir: string, chainId: bigint | number): Promise<string> {
+  const manifest = await readManifest(dir, chainId);
+  if (manifest === null) {
+    throw new Error(`No entry point recorded for chain ${chainId}; pass --entry-point`);
+  }
+  if (manifest.executorVersion !== EIP712_DOMAIN_VERSION) {
+    throw new Error(
+      `The executor recorded for chain ${chainId} is version ${manifest.executorVersion}, payloads are signed for ` +
+        `version ${EIP712_DOMAIN_VERSION}; pass --entry-point`
+    );
+  }
+  return manifest.contracts.entryPoint.address;
+}
+
+/** Reads the manifests of all chains, ordered by chain ID. */
+export async function readManifests(dir: string): Promise<DeploymentManifest[]> {
+  const chainIds = (await readdir(dir))
+    .filter((file) => /^\d+\.json$/.test(file))
+    .map((file) => Number(path.basename(file, ".json")))
+    .sort((a, b) => a - b);
+
+  const manifests = [];
+  for (const chainId of chainIds) {
+    manifests.push((await readManifest(dir, chainId))!);
+  }
+  return manifests;
+}
+
+export async function writeManifest(dir: string, manifest: DeploymentManifest): Promise<string> {
+  await mkdir(dir, { recursive: true });
+  const file = manifestPath(dir, manifest.chainId);
+  await writeFile(file, JSON.stringify(manifest, null, 2) + "\n");
+  return file;
+}
+
+function addressLink(explorer: string | undefined, address: string): string {
+  return explorer === undefined ? address : `[${address}](${explorer}/address/${address})`;
+}
+
+/** Renders the production deployment section of README.md, one subsection per mainnet. */
+export function renderDeploymentsMarkdown(manifests: DeploymentManifest[]): string {
+  return manifests
+    .filter((manifest) => CHAINS[manifest.chainId]?.testnet !== true)
+    .map((manifest) => {
+      const chain = CHAINS[manifest.chainId];
+      const { executor, entryPoint } = manifest.contracts;
+      return [
+        `### ${chain?.name ?? `Chain ${manifest.chainId}`}`,
+        `Tangem7702GaslessExecutor - ${addressLink(chain?.explorer, executor.address)}`,
+        `Tangem7702GaslessEntryPoint - ${addressLink(chain?.explorer, entryPoint.address)}`,
+      ].join("\n\n");
+    })
+    .join("\n\n");
+}
+
+/** Replaces the generated deployment section of a README, delimited by the deployments markers. */
+export function updateReadme(readme: string, manifests: DeploymentManifest[]): string {
+  const start = readme.indexOf(README_START_MARKER);
+  const end = readme.indexOf(README_END_MARKER);
+  if (start === -1 || end < start) {
+    throw new Error(`README has no ${README_START_MARKER} ... ${README_END_MARKER} section`);
+  }
+
+  return (
+    readme.slice(0, start + README_START_MARKER.length) +
+    `\n\n${renderDeploymentsMarkdown(manifests)}\n\n` +
+    readme.slice(end)
+  );
+}
+
+/** Renders the `sdk/deployments.js` module backing the SDK address registry. */
+export function renderRegistryModule(manifests: DeploymentManifest[]): string {
+  const deployments = Object.fromEntries(
+    manifests.map((manifest) => [
+      manifest.chainId,
+      {
+        executorType: manifest.executorType,
+        executorVersion: manifest.executorVersion,
+        executor: manifest.contracts.executor.address,
+        entryPoint: manifest.contracts.entryPoint.address,
+      },
+    ])
+  );
+
+  return (
+    `// Generated by the deploy task from ${DEPLOYMENTS_DIR}/<chainId>.json; do not edit by hand.\n\n` +
+    `export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)};\n`
+  );
+}
+
+/**
+ * Regenerates the SDK address registry and the README deployment section from the manifests under `root`.
+ */
+export async function syncDeploymentRecords(root: string): Promise<void> {
+  const manifests = await readManifests(path.join(root, DEPLOYMENTS_DIR));
+
+  await writeFile(path.join(root, REGISTRY_MODULE), renderRegistryModule(manifests));
+
+  const readmePath = path.join(root, README);
+  await writeFile(readmePath, updateReadme(await readFile(readmePath, "utf8"), manifests));
+}
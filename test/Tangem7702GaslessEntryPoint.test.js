@@ -1,10 +1,18 @@
 import { expect } from "chai";
 import hre from "hardhat";
 import { set7702Delegate } from "./helpers/eip7702.js";
+import {
+  RELAYER_FEE_RECEIVER,
+  makeGaslessTx as makeSignableGaslessTx,
+  makeGaslessBatchTx as makeSignableGaslessBatchTx,
+  signGaslessTx,
+  signGaslessBatchTx,
+} from "./helpers/eip712Gasless.js";
+import { decodeGaslessError, parseExecutionReceipt } from "../sdk/index.js";
 
 // Establish exactly one Hardhat v3 network connection for this test file.
 // Using multiple `network.connect()` calls across helpers can accidentally create separate
-// simulated networks, and state changes (like setCode) won't be visible in the test.
+// simulated networks, and state changes (like EIP-7702 delegation) won't be visible in the test.
 const conn = await hre.network.connect();
 
 const DEFAULT_CALL_GAS_LIMIT = 200_000n;
@@ -33,16 +41,58 @@ function makeGaslessTx({
 
       // Not used by EntryPoint tests, but present in struct.
       coinPriceInToken: 0n,
+      priceFeed: conn.ethers.ZeroAddress,
+      maxPriceDeviationBps: 0n,
+      maxPriceAge: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: 10_000_000_000n,
+      maxPriorityFeePerGas: 10_000_000_000n,
       feeReceiver: feeReceiver,
     },
 
     // Nonce is part of the signed payload; EntryPoint doesn’t validate it, executor does.
     nonce,
+
+    // Validity window, likewise only checked by the executor.
+    validAfter: 0n,
+    validUntil: conn.ethers.MaxUint256,
   };
 }
 
+// Fixture with the real executor, for the fee paths the mock does not implement.
+async function deployRelayerFeeFixture() {
+  const { ethers } = conn;
+
+  // relayer: calls the EntryPoint without being known to the signer of the payload.
+  // innerEOA: a second executor, relayed from within a payload of executorEOA.
+  const [deployer, executorEOA, relayer, innerEOA] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const entryPoint = await ethers.deployContract("Tangem7702GaslessEntryPoint", [await impl.getAddress()], deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  await set7702Delegate(conn, executorEOA.address, await impl.getAddress());
+  await set7702Delegate(conn, innerEOA.address, await impl.getAddress());
+  await token.connect(deployer).mint(executorEOA.address, 10n ** 18n);
+  await token.connect(deployer).mint(innerEOA.address, 10n ** 18n);
+
+  // The payload pays whichever relayer submits it.
+  const fee = {
+    feeToken: await token.getAddress(),
+    maxTokenFee: 10n ** 18n,
+    coinPriceInToken: 10n ** 18n,
+    feeTransferGasLimit: 100_000n,
+    baseGas: 0n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: RELAYER_FEE_RECEIVER,
+  };
+
+  return { executorEOA, relayer, innerEOA, entryPoint, token, target, fee };
+}
+
 // Fixture: deploys contracts once, then Hardhat snapshots and resets to this state for each test.
 // IMPORTANT: This must be a named function (not an inline arrow) so loadFixture can cache it.
 async function deployEntryPointFixture(c) {
@@ -164,7 +214,7 @@ describe("Tangem7702GaslessEntryPoint", function () {
     // Use ethers from the same connection.
     const { ethers } = c;
 
-    // Set EIP-7702 delegation code on executorEOA to point to *otherDelegate*.
+    // Delegate executorEOA via a real EIP-7702 authorization to point to *otherDelegate*.
     // This makes `executor.fetchDelegate()` return otherDelegate, not requiredDelegate.
     await set7702Delegate(c, executorEOA.address, await otherDelegate.getAddress());
 
@@ -256,6 +306,10 @@ describe("Tangem7702GaslessEntryPoint", function () {
 
     // Fee receiver and forced flag must be forwarded as provided.
     expect(await executorAsMock.lastFeeReceiver()).to.equal(feeReceiverEOA.address);
+
+    // The original caller is readable through currentRelayer() during the call, and cleared after it.
+    expect(await executorAsMock.lastRelayer()).to.equal(randomCaller.address);
+    expect(await entryPoint.currentRelayer()).to.equal(ethers.ZeroAddress);
     expect(await executorAsMock.lastForced()).to.equal(true);
 
     // Verify the nested transaction fields were forwarded exactly.
@@ -304,11 +358,18 @@ describe("Tangem7702GaslessEntryPoint", function () {
         feeToken: ethers.ZeroAddress,
         maxTokenFee: 0n,
         coinPriceInToken: 0n,
+        priceFeed: ethers.ZeroAddress,
+        maxPriceDeviationBps: 0n,
+        maxPriceAge: 0n,
         feeTransferGasLimit: 0n,
         baseGas: 0n,
+        maxFeePerGas: 10_000_000_000n,
+        maxPriorityFeePerGas: 10_000_000_000n,
         feeReceiver: feeReceiverEOA.address,
       },
       nonce: 0n,
+      validAfter: 0n,
+      validUntil: ethers.MaxUint256,
     };
 
     // Do not install delegation designator on executorEOA, so fetchDelegate() returns zero.
@@ -365,11 +426,18 @@ describe("Tangem7702GaslessEntryPoint", function () {
         feeToken: ethers.ZeroAddress,
         maxTokenFee: 0n,
         coinPriceInToken: 0n,
+        priceFeed: ethers.ZeroAddress,
+        maxPriceDeviationBps: 0n,
+        maxPriceAge: 0n,
         feeTransferGasLimit: 0n,
         baseGas: 0n,
+        maxFeePerGas: 10_000_000_000n,
+        maxPriorityFeePerGas: 10_000_000_000n,
         feeReceiver: feeReceiverEOA.address,
       },
       nonce: 0n,
+      validAfter: 0n,
+      validUntil: ethers.MaxUint256,
     };
 
     // EntryPoint must reject forwarding because actualDelegate != requiredDelegateAddress.
@@ -426,11 +494,18 @@ describe("Tangem7702GaslessEntryPoint", function () {
         feeToken: ethers.ZeroAddress,
         maxTokenFee: 555n,
         coinPriceInToken: 0n,
+        priceFeed: ethers.ZeroAddress,
+        maxPriceDeviationBps: 0n,
+        maxPriceAge: 0n,
         feeTransferGasLimit: 0n,
         baseGas: 0n,
+        maxFeePerGas: 10_000_000_000n,
+        maxPriorityFeePerGas: 10_000_000_000n,
         feeReceiver: feeReceiverEOA.address,
       },
       nonce: 888n,
+      validAfter: 0n,
+      validUntil: ethers.MaxUint256,
     };
 
     // The current mock delegate does not implement the batch path, so the delegated executor reverts.
@@ -474,11 +549,18 @@ describe("Tangem7702GaslessEntryPoint", function () {
         feeToken: ethers.ZeroAddress,
         maxTokenFee: 0n,
         coinPriceInToken: 0n,
+        priceFeed: ethers.ZeroAddress,
+        maxPriceDeviationBps: 0n,
+        maxPriceAge: 0n,
         feeTransferGasLimit: 0n,
         baseGas: 0n,
+        maxFeePerGas: 10_000_000_000n,
+        maxPriorityFeePerGas: 10_000_000_000n,
         feeReceiver: feeReceiverEOA.address,
       },
       nonce: 0n,
+      validAfter: 0n,
+      validUntil: ethers.MaxUint256,
     };
 
     // Do not install delegation designator on executorEOA. The caller should not matter.
@@ -494,4 +576,187 @@ describe("Tangem7702GaslessEntryPoint", function () {
         ethers.ZeroAddress
       );
   });
-});
\ No newline at end of file
+
+  it("Pays a feeReceiver of address(0) to the relayer calling the EntryPoint", async function () {
+    const { executorEOA, relayer, entryPoint, token, target, fee } =
+      await conn.networkHelpers.loadFixture(deployRelayerFeeFixture);
+    const { ethers } = conn;
+
+    const gaslessTx = makeSignableGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x01"]),
+      ...fee,
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasPrice: 1_000_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    // The fee goes to the original caller, not to the EntryPoint the executor was called by.
+    expect(report.fee.receiver).to.equal(relayer.address);
+    expect(report.fee.amount).to.be.greaterThan(0n);
+    expect(await token.balanceOf(relayer.address)).to.equal(report.fee.amount);
+    expect(await token.balanceOf(await entryPoint.getAddress())).to.equal(0n);
+  });
+
+  it("Pays a feeReceiver of address(0) to the relayer calling the EntryPoint in batch path", async function () {
+    const { executorEOA, relayer, entryPoint, token, target, fee } =
+      await conn.networkHelpers.loadFixture(deployRelayerFeeFixture);
+    const { ethers } = conn;
+
+    const call = { to: await target.getAddress(), value: 0n, data: target.interface.encodeFunctionData("ok", ["0x01"]) };
+    const gaslessBatchTx = makeSignableGaslessBatchTx({ transactions: [call, call], ...fee, nonce: 0n });
+    const { signature } = await signGaslessBatchTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessBatchTx,
+    });
+
+    // The gas limit is explicit as estimation of the batch overshoots the per-transaction cap.
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeBatchTransaction(gaslessBatchTx, signature, false, executorEOA.address, {
+        gasPrice: 1_000_000_000n,
+        gasLimit: 5_000_000n,
+      });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report.fee.receiver).to.equal(relayer.address);
+    expect(await token.balanceOf(relayer.address)).to.equal(report.fee.amount);
+  });
+
+  it("Completes a payload relayed with exactly the gas the InsufficientGas check requires", async function () {
+    const { executorEOA, relayer, entryPoint, fee } = await conn.networkHelpers.loadFixture(deployRelayerFeeFixture);
+    const { ethers, networkHelpers } = conn;
+    const [, , , , feeReceiver] = await ethers.getSigners();
+
+    // The worst case after the call: a forced call that burns its whole gas limit at a cold target.
+    const burner = await ethers.deployContract("GasBurnerMock");
+
+    for (const receiver of [RELAYER_FEE_RECEIVER, feeReceiver.address]) {
+      const signed = async (feeTransferGasLimit) => {
+        const gaslessTx = makeSignableGaslessTx({
+          to: await burner.getAddress(),
+          value: 0n,
+          gasLimit: 100_000n,
+          data: "0x",
+          ...fee,
+          feeTransferGasLimit,
+          feeReceiver: receiver,
+          nonce: await (await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address)).nonce(),
+        });
+        const { signature } = await signGaslessTx({
+          conn,
+          executorSigner: await ethers.getSigner(executorEOA.address),
+          executorAddress: executorEOA.address,
+          gaslessTx,
+        });
+        return [gaslessTx, signature, true, executorEOA.address];
+      };
+      const overrides = { gasPrice: 1_000_000_000n };
+
+      // Signs the exact gas the fee transfer uses, so only the reservation covers the rest.
+      const snapshot = await networkHelpers.takeSnapshot();
+      const probe = await entryPoint.connect(relayer).executeTransaction(...(await signed(1n)), {
+        ...overrides,
+        gasLimit: 1_000_000n,
+      });
+      const { feeTransferGasUsed } = parseExecutionReceipt(await probe.wait());
+      await snapshot.restore();
+      const args = await signed(feeTransferGasUsed);
+
+      // Smallest gas limit that passes the InsufficientGas check.
+      const passesCheck = async (gasLimit) => {
+        try {
+          await entryPoint.connect(relayer).executeTransaction.staticCall(...args, { ...overrides, gasLimit });
+          return true;
+        } catch (e) {
+          return decodeGaslessError(e).name !== "InsufficientGas";
+        }
+      };
+      let low = 100_000n;
+      let high = 1_000_000n;
+      while (low < high) {
+        const mid = (low + high) / 2n;
+        if (await passesCheck(mid)) {
+          high = mid;
+        } else {
+          low = mid + 1n;
+        }
+      }
+
+      const tx = await entryPoint.connect(relayer).executeTransaction(...args, { ...overrides, gasLimit: low });
+      const report = parseExecutionReceipt(await tx.wait());
+      expect(report.fee.receiver).to.equal(receiver === RELAYER_FEE_RECEIVER ? relayer.address : receiver);
+      expect(report.feeTransferGasLimitExceeded).to.equal(false);
+    }
+  });
+
+  it("Restores the relayer after a nested EntryPoint call", async function () {
+    const { executorEOA, relayer, innerEOA, entryPoint, token, target, fee } =
+      await conn.networkHelpers.loadFixture(deployRelayerFeeFixture);
+    const { ethers } = conn;
+
+    // innerEOA's payload, relayed by executorEOA through the same EntryPoint.
+    const innerTx = makeSignableGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x02"]),
+      ...fee,
+      nonce: 0n,
+    });
+    const inner = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(innerEOA.address),
+      executorAddress: innerEOA.address,
+      gaslessTx: innerTx,
+    });
+
+    const gaslessTx = makeSignableGaslessTx({
+      to: await entryPoint.getAddress(),
+      value: 0n,
+      gasLimit: 1_000_000n,
+      data: entryPoint.interface.encodeFunctionData("executeTransaction", [
+        innerTx,
+        inner.signature,
+        false,
+        innerEOA.address,
+      ]),
+      ...fee,
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, executorEOA.address, {
+        gasPrice: 1_000_000_000n,
+        gasLimit: 5_000_000n,
+      });
+    const receipt = await tx.wait();
+    const innerReport = parseExecutionReceipt(receipt, { executorAddress: innerEOA.address });
+    const outerReport = parseExecutionReceipt(receipt, { executorAddress: executorEOA.address });
+
+    // The nested payload pays its relayer, executorEOA; the outer one still pays the original relayer.
+    expect(innerReport.fee.receiver).to.equal(executorEOA.address);
+    expect(outerReport.fee.receiver).to.equal(relayer.address);
+    expect(await token.balanceOf(relayer.address)).to.equal(outerReport.fee.amount);
+    expect(await token.balanceOf(await entryPoint.getAddress())).to.equal(0n);
+    expect(await entryPoint.currentRelayer()).to.equal(ethers.ZeroAddress);
+  });
+});
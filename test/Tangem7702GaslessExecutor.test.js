@@ -1,10 +1,22 @@
 import { expect } from "chai";
 import hre from "hardhat";
-import { makeGaslessTx, makeGaslessBatchTx, signGaslessTx, signGaslessBatchTx } from "./helpers/eip712Gasless.js";
+import {
+  RELAYER_FEE_RECEIVER,
+  makeGaslessTx,
+  makeGaslessBatchTx,
+  signGaslessTx,
+  signGaslessBatchTx,
+} from "./helpers/eip712Gasless.js";
+import { parseExecutionReceipt } from "../sdk/index.js";
 
 const conn = await hre.network.connect();
 const { ethers, networkHelpers } = conn;
 
+// Signed gas price caps, well above the 1 gwei the fee tests relay with.
+const MAX_FEE_PER_GAS = 10_000_000_000n;
+const PRICE_PRECISION = 10n ** 18n;
+const MAX_PRIORITY_FEE_PER_GAS = 10_000_000_000n;
+
 async function installExecutorCodeAtEoa({ executorEoaAddress, implementationAddress }) {
   // Read the deployed implementation runtime bytecode from the chain.
   const implCode = await ethers.provider.getCode(implementationAddress);
@@ -96,6 +108,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 500_000n,
       feeTransferGasLimit: 100_000n,
       baseGas: 100n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -137,6 +151,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 1n,
     });
@@ -147,6 +163,95 @@ describe("Tangem7702GaslessExecutor", function () {
       .withArgs(0n, 1n);
   });
 
+  it("Reverts with TransactionNotYetValid and TransactionExpired outside the signed validity window", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const now = BigInt(await networkHelpers.time.latest());
+    const validAfter = now + 100n;
+    const validUntil = now + 200n;
+
+    // Fee disabled, so only the window can make the payload revert.
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee: 0n,
+      coinPriceInToken: 0n,
+      feeTransferGasLimit: 0n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+      validAfter,
+      validUntil,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    await networkHelpers.time.setNextBlockTimestamp(validAfter - 1n);
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false))
+      .to.be.revertedWithCustomError(executor, "TransactionNotYetValid")
+      .withArgs(validAfter, validAfter - 1n);
+
+    await networkHelpers.time.setNextBlockTimestamp(validUntil + 1n);
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false))
+      .to.be.revertedWithCustomError(executor, "TransactionExpired")
+      .withArgs(validUntil, validUntil + 1n);
+
+    expect(await executor.nonce()).to.equal(0n);
+  });
+
+  it("Executes at both bounds of the signed validity window", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const validAfter = BigInt(await networkHelpers.time.latest()) + 100n;
+    const validUntil = validAfter + 100n;
+
+    for (const [nonce, timestamp] of [[0n, validAfter], [1n, validUntil]]) {
+      const gaslessTx = makeGaslessTx({
+        to: await target.getAddress(),
+        value: 0n,
+        data: target.interface.encodeFunctionData("ok", ["0x"]),
+        feeToken: await token.getAddress(),
+        maxTokenFee: 0n,
+        coinPriceInToken: 0n,
+        feeTransferGasLimit: 0n,
+        baseGas: 0n,
+        maxFeePerGas: MAX_FEE_PER_GAS,
+        maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+        feeReceiver: feeReceiver.address,
+        nonce,
+        validAfter,
+        validUntil,
+      });
+
+      const { signature } = await signGaslessTx({
+        conn,
+        executorSigner: await ethers.getSigner(executorEOA.address),
+        executorAddress: executorEOA.address,
+        gaslessTx,
+      });
+
+      // Explicit gas limit: estimation does not run at the pinned timestamp and overshoots the cap.
+      await networkHelpers.time.setNextBlockTimestamp(timestamp);
+      await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasLimit: 5_000_000n }))
+        .to.emit(executor, "TransactionExecuted");
+    }
+
+    expect(await executor.nonce()).to.equal(2n);
+  });
+
   it("Reverts with InvalidSigner when signature does not recover to executor address", async function () {
     // Load fresh fixture state for this test.
     const { executor, token, target, feeReceiver, relayer, deployer, executorEOA } =
@@ -165,6 +270,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -204,6 +311,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -241,6 +350,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -283,6 +394,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -328,6 +441,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -389,6 +504,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 100_000n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -413,23 +530,14 @@ describe("Tangem7702GaslessExecutor", function () {
     // In the within-limit scenario, the gas-limit-exceeded event must not be emitted.
     await expect(tx).to.not.emit(executor, "FeeTransferGasLimitExceeded");
 
-    // Parse the receipt to extract the exact feeAmount from FeeTransferProcessed.
-    const receipt = await tx.wait();
-    const feeLog = receipt.logs
-      .map((l) => {
-        try {
-          return executor.interface.parseLog(l);
-        } catch {
-          return null;
-        }
-      })
-      .find((p) => p && p.name === "FeeTransferProcessed");
+    // Build the execution report to extract the exact feeAmount from FeeTransferProcessed.
+    const report = parseExecutionReceipt(await tx.wait());
 
     // Ensure FeeTransferProcessed was indeed emitted.
-    expect(feeLog).to.not.equal(undefined);
+    expect(report.fee).to.not.equal(null);
 
     // Read feeAmount from the decoded event args.
-    const feeAmount = feeLog.args.feeAmount;
+    const feeAmount = report.fee.amount;
 
     // Snapshot balances after execution to assert deltas match feeAmount.
     const executorBalAfter = await token.balanceOf(executorEOA.address);
@@ -472,6 +580,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -521,6 +631,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -577,6 +689,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 1_000_000n,
       baseGas: 1_000_000n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -598,6 +712,403 @@ describe("Tangem7702GaslessExecutor", function () {
     expect(await executor.nonce()).to.equal(0n);
   });
 
+  it("Charges at most basefee + maxPriorityFeePerGas when the relayer inflates the priority fee", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, feeReceiver, relayer, deployer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const maxTokenFee = 1_000_000_000_000_000_000n;
+    await token.connect(deployer).mint(executorEOA.address, maxTokenFee);
+
+    // The user accepts a 1 gwei tip; the relayer sends with 20 gwei.
+    const maxPriorityFeePerGas = 1_000_000_000n;
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x05"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee,
+      coinPriceInToken: 1_000_000_000_000_000_000n,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: 100_000_000_000n,
+      maxPriorityFeePerGas,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const tx = await executor.connect(relayer).executeTransaction(gaslessTx, signature, false, {
+      maxFeePerGas: 50_000_000_000n,
+      maxPriorityFeePerGas: 20_000_000_000n,
+    });
+    const receipt = await tx.wait();
+    const { baseFeePerGas } = await ethers.provider.getBlock(receipt.blockNumber);
+
+    // With a 1:1 coin price the fee is the wei cost, priced at the signed tip rather than the relayer's.
+    const report = parseExecutionReceipt(receipt);
+    const chargedGasPrice = baseFeePerGas + maxPriorityFeePerGas;
+    expect(receipt.gasPrice).to.be.greaterThan(chargedGasPrice);
+    expect(report.fee.amount).to.equal(report.fee.totalGas * chargedGasPrice);
+    expect(await token.balanceOf(feeReceiver.address)).to.equal(report.fee.amount);
+  });
+
+  it("Reverts with MaxFeePerGasExceeded when the relayer gas price exceeds maxFeePerGas", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, feeReceiver, relayer, deployer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const maxTokenFee = 1_000_000_000_000_000_000n;
+    await token.connect(deployer).mint(executorEOA.address, maxTokenFee);
+
+    // maxTokenFee alone would allow the inflated price; maxFeePerGas must still reject it.
+    const maxFeePerGas = 1_000_000_000n;
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x06"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee,
+      coinPriceInToken: 1_000_000_000_000_000_000n,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas,
+      maxPriorityFeePerGas: maxFeePerGas,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const gasPrice = 2_000_000_000n;
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice }))
+      .to.be.revertedWithCustomError(executor, "MaxFeePerGasExceeded")
+      .withArgs(gasPrice, maxFeePerGas);
+
+    // Nonce must remain unchanged because the transaction reverted.
+    expect(await executor.nonce()).to.equal(0n);
+  });
+
+  it("Ignores gas price caps when fee is disabled", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, feeReceiver, relayer, token, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    // Sponsored payloads (coinPriceInToken == 0) carry no caps the relayer must respect.
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x07"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee: 0n,
+      coinPriceInToken: 0n,
+      feeTransferGasLimit: 0n,
+      baseGas: 0n,
+      maxFeePerGas: 0n,
+      maxPriorityFeePerGas: 0n,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    await expect(
+      executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n })
+    ).to.not.revert(ethers);
+    expect(await executor.nonce()).to.equal(1n);
+  });
+
+  it("Pays the fee in native coin when feeToken is the zero address", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    // The native fee is priced at PRICE_PRECISION, so it is charged 1:1 in wei.
+    const gasPrice = 1_000_000_000n;
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x08"]),
+      feeToken: ethers.ZeroAddress,
+      maxTokenFee: 1_000_000_000_000_000n,
+      coinPriceInToken: PRICE_PRECISION,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const executorBalBefore = await ethers.provider.getBalance(executorEOA.address);
+    const receiverBalBefore = await ethers.provider.getBalance(feeReceiver.address);
+
+    // Explicit gas limit: estimation overshoots the per-transaction cap on this path.
+    const tx = await executor
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, { gasPrice, gasLimit: 5_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report.fee.token).to.equal(ethers.ZeroAddress);
+    expect(report.fee.amount).to.equal(report.fee.totalGas * gasPrice);
+
+    // The relayer pays the gas, so the executor balance only changes by the fee.
+    expect(executorBalBefore - (await ethers.provider.getBalance(executorEOA.address))).to.equal(report.fee.amount);
+    expect((await ethers.provider.getBalance(feeReceiver.address)) - receiverBalBefore).to.equal(report.fee.amount);
+  });
+
+  it("Reverts with InvalidNativeCoinPrice when a native fee is not priced at PRICE_PRECISION", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x08"]),
+      feeToken: ethers.ZeroAddress,
+      maxTokenFee: 1_000_000_000_000_000n,
+      coinPriceInToken: 1n,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n }))
+      .to.be.revertedWithCustomError(executor, "InvalidNativeCoinPrice")
+      .withArgs(1n);
+    expect(await target.calls()).to.equal(0n);
+  });
+
+  it("Reverts with InsufficientFundsForFee when the native balance is below the fee", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    // Leave the executor a single wei, far below any non-zero gas cost.
+    await networkHelpers.setBalance(executorEOA.address, 1n);
+
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x09"]),
+      feeToken: ethers.ZeroAddress,
+      maxTokenFee: 1_000_000_000_000_000n,
+      coinPriceInToken: PRICE_PRECISION,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    const call = executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n });
+    await expect(call).to.be.revertedWithCustomError(executor, "InsufficientFundsForFee");
+
+    // The error reports the native coin as the fee token, with the executor native balance.
+    const error = await call.catch((e) => executor.interface.parseError(e.data));
+    expect(error.args.feeToken).to.equal(ethers.ZeroAddress);
+    expect(error.args.balance).to.equal(1n);
+  });
+
+  it("Reverts with FeeTransferGasLimitExceededNotForced when a native fee transfer exceeds its gas limit", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, feeReceiver, relayer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    // A value transfer alone costs more than 1000 gas.
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x0a"]),
+      feeToken: ethers.ZeroAddress,
+      maxTokenFee: 1_000_000_000_000_000n,
+      coinPriceInToken: PRICE_PRECISION,
+      feeTransferGasLimit: 1_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    await expect(
+      executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n })
+    ).to.be.revertedWithCustomError(executor, "FeeTransferGasLimitExceededNotForced");
+
+    // In forced mode the same transfer is reported instead.
+    await expect(
+      executor.connect(relayer).executeTransaction(gaslessTx, signature, true, { gasPrice: 1_000_000_000n })
+    ).to.emit(executor, "FeeTransferGasLimitExceeded");
+  });
+
+  it("Caps a native fee transfer at feeTransferGasLimit and reverts with FailedCall when it fails", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, target, relayer, executorEOA } = await networkHelpers.loadFixture(deployExecutorFixture);
+
+    // A receiver that would otherwise burn the whole gas limit of the relaying transaction.
+    const burner = await ethers.deployContract("GasBurnerMock");
+
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x0b"]),
+      feeToken: ethers.ZeroAddress,
+      maxTokenFee: 1_000_000_000_000_000n,
+      coinPriceInToken: PRICE_PRECISION,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: await burner.getAddress(),
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    await expect(
+      executor
+        .connect(relayer)
+        .executeTransaction(gaslessTx, signature, true, { gasPrice: 1_000_000_000n, gasLimit: 5_000_000n })
+    ).to.be.revertedWithCustomError(executor, "FailedCall");
+
+    // The reverted transaction is mined; the receiver only got feeTransferGasLimit of its 5M gas.
+    const block = await ethers.provider.getBlock("latest");
+    const receipt = await ethers.provider.getTransactionReceipt(block.transactions[0]);
+    expect(receipt.status).to.equal(0);
+    expect(receipt.gasUsed < 500_000n).to.equal(true);
+  });
+
+  it("Pays a feeReceiver of address(0) to msg.sender when called directly", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, relayer, deployer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    await token.connect(deployer).mint(executorEOA.address, 1_000_000_000_000_000_000n);
+
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x09"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee: 1_000_000_000_000_000_000n,
+      coinPriceInToken: 1_000_000_000_000_000_000n,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: RELAYER_FEE_RECEIVER,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    // An EOA caller answers no currentRelayer(), so the fee falls back to msg.sender.
+    const tx = await executor
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report.fee.receiver).to.equal(relayer.address);
+    expect(await token.balanceOf(relayer.address)).to.equal(report.fee.amount);
+    expect(await token.balanceOf(ethers.ZeroAddress)).to.equal(0n);
+  });
+
+  it("Reverts with UnknownRelayer when the caller answers currentRelayer() with address(0)", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, relayer, deployer, executorEOA } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    await token.connect(deployer).mint(executorEOA.address, 1_000_000_000_000_000_000n);
+    const caller = await ethers.deployContract("ZeroRelayerCallerMock");
+
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x09"]),
+      feeToken: await token.getAddress(),
+      maxTokenFee: 1_000_000_000_000_000_000n,
+      coinPriceInToken: 1_000_000_000_000_000_000n,
+      feeTransferGasLimit: 100_000n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: RELAYER_FEE_RECEIVER,
+      nonce: 0n,
+    });
+
+    const { signature } = await signGaslessTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessTx,
+    });
+
+    // The fee is not paid to the caller itself.
+    const data = executor.interface.encodeFunctionData("executeTransaction", [gaslessTx, signature, false]);
+    await expect(
+      caller.connect(relayer).forward(executorEOA.address, data, { gasPrice: 1_000_000_000n, gasLimit: 5_000_000n })
+    ).to.be.revertedWithCustomError(executor, "UnknownRelayer");
+  });
+
   it("Reverts with ZeroTarget when single transaction target is zero", async function () {
     // Load fresh fixture state for this test.
     const { executor, token, feeReceiver, relayer } =
@@ -614,6 +1125,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -643,6 +1156,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -671,6 +1186,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -706,6 +1223,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -753,6 +1272,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -805,6 +1326,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -855,6 +1378,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -904,6 +1429,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -976,6 +1503,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1047,6 +1576,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 100_000n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1085,23 +1616,14 @@ describe("Tangem7702GaslessExecutor", function () {
       .to.emit(executor, "BatchTransactionExecuted")
       .withArgs(executorEOA.address, 0n, 2n, 1n);
 
-    // Parse the receipt to extract the actual fee amount.
-    const receipt = await tx.wait();
-    const feeLog = receipt.logs
-      .map((l) => {
-        try {
-          return executor.interface.parseLog(l);
-        } catch {
-          return null;
-        }
-      })
-      .find((p) => p && p.name === "FeeTransferProcessed");
+    // Build the execution report to extract the actual fee amount.
+    const report = parseExecutionReceipt(await tx.wait());
 
     // FeeTransferProcessed must be present in the receipt.
-    expect(feeLog).to.not.equal(undefined);
+    expect(report.fee).to.not.equal(null);
 
     // Read the exact transferred fee amount from the event.
-    const feeAmount = feeLog.args.feeAmount;
+    const feeAmount = report.fee.amount;
 
     // Snapshot balances after execution to compare deltas.
     const executorBalAfter = await token.balanceOf(executorEOA.address);
@@ -1156,6 +1678,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1211,6 +1735,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1260,6 +1786,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 1n,
     });
@@ -1273,6 +1801,37 @@ describe("Tangem7702GaslessExecutor", function () {
     expect(await executor.nonce()).to.equal(0n);
   });
 
+  it("Reverts with TransactionExpired when a batch is executed after validUntil", async function () {
+    // Load fresh fixture state for this test.
+    const { executor, token, target, feeReceiver, relayer } =
+      await networkHelpers.loadFixture(deployExecutorFixture);
+
+    const validUntil = BigInt(await networkHelpers.time.latest()) + 10n;
+
+    const gaslessBatchTx = makeGaslessBatchTx({
+      transactions: [
+        { to: await target.getAddress(), value: 0n, data: target.interface.encodeFunctionData("ok", ["0x01"]) },
+        { to: await target.getAddress(), value: 0n, data: target.interface.encodeFunctionData("ok", ["0x02"]) },
+      ],
+      feeToken: await token.getAddress(),
+      maxTokenFee: 0n,
+      coinPriceInToken: 0n,
+      feeTransferGasLimit: 0n,
+      baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
+      feeReceiver: feeReceiver.address,
+      nonce: 0n,
+      validUntil,
+    });
+
+    // The window is checked before the nonce and the signature.
+    await networkHelpers.time.setNextBlockTimestamp(validUntil + 1n);
+    await expect(executor.connect(relayer).executeBatchTransaction(gaslessBatchTx, "0x", false))
+      .to.be.revertedWithCustomError(executor, "TransactionExpired")
+      .withArgs(validUntil, validUntil + 1n);
+  });
+
   it("Reverts with InsufficientGas when single transaction requested gas exceeds available reserve", async function () {
     // Load fresh fixture state for this test.
     const { executor, token, target, feeReceiver, relayer, executorEOA } =
@@ -1289,6 +1848,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1333,6 +1894,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 0n,
       feeTransferGasLimit: 0n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1399,6 +1962,8 @@ describe("Tangem7702GaslessExecutor", function () {
       coinPriceInToken: 1_000_000_000_000_000_000n,
       feeTransferGasLimit: 100_000n,
       baseGas: 0n,
+      maxFeePerGas: MAX_FEE_PER_GAS,
+      maxPriorityFeePerGas: MAX_PRIORITY_FEE_PER_GAS,
       feeReceiver: feeReceiver.address,
       nonce: 0n,
     });
@@ -1433,21 +1998,12 @@ describe("Tangem7702GaslessExecutor", function () {
     // All target calls must execute.
     expect(await target.calls()).to.equal(2n);
 
-    // Parse FeeTransferProcessed to extract the exact feeAmount.
-    const receipt = await tx.wait();
-    const feeLog = receipt.logs
-      .map((l) => {
-        try {
-          return executor.interface.parseLog(l);
-        } catch {
-          return null;
-        }
-      })
-      .find((p) => p && p.name === "FeeTransferProcessed");
+    // Build the execution report to extract the exact feeAmount.
+    const report = parseExecutionReceipt(await tx.wait());
 
-    expect(feeLog).to.not.equal(undefined);
+    expect(report.fee).to.not.equal(null);
 
-    const feeAmount = feeLog.args.feeAmount;
+    const feeAmount = report.fee.amount;
 
     // Compare post-state balances against emitted feeAmount.
     const executorBalAfter = await token.balanceOf(executorEOA.address);
@@ -0,0 +1,147 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { makeGaslessTx, makeGaslessBatchTx, signGaslessTx, signGaslessBatchTx } from "./helpers/eip712Gasless.js";
+import { NonceKey, encodeNonce } from "../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+// Explicit gas limit: auto-estimation of these payloads overshoots the provider cap.
+const RELAY_OVERRIDES = { gasLimit: 5_000_000n };
+
+// `layout at` base slot of the executors; the nonces follow the two fallback strings of EIP712.
+const EXECUTOR_LAYOUT_BASE = 0x63126cb0ee213fd665c396acd692b9c0a13c8cc8bbd732af4f146bb546be9800n;
+const NONCE_SLOT = EXECUTOR_LAYOUT_BASE + 2n;
+const KEYED_NONCES_SLOT = EXECUTOR_LAYOUT_BASE + 3n;
+
+async function deployNoncesFixture() {
+  const [deployer, executorEOA, relayer] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  // Install the executor runtime code at the EOA so address(this) == executorEOA.
+  await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(await impl.getAddress()));
+  const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+
+  return { executorEOA, relayer, executor, token, target };
+}
+
+// Fee-less payload fields; only the nonce varies between the payloads of a test.
+async function payloadFields({ executorEOA, token, target }) {
+  return {
+    feeToken: await token.getAddress(),
+    maxTokenFee: 0n,
+    coinPriceInToken: 0n,
+    feeTransferGasLimit: 0n,
+    baseGas: 0n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: executorEOA.address,
+    to: await target.getAddress(),
+    value: 0n,
+    data: target.interface.encodeFunctionData("ok", ["0x"]),
+  };
+}
+
+async function signedTx(fixture, nonce) {
+  const { executorEOA } = fixture;
+  const gaslessTx = makeGaslessTx({ ...(await payloadFields(fixture)), nonce });
+  const { signature } = await signGaslessTx({
+    conn,
+    executorSigner: await ethers.getSigner(executorEOA.address),
+    executorAddress: executorEOA.address,
+    gaslessTx,
+  });
+  return { gaslessTx, signature };
+}
+
+describe("Tangem7702GaslessExecutor keyed nonces", function () {
+  it("Keeps key 0 on the legacy nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deployNoncesFixture);
+    const { executor, relayer } = fixture;
+
+    for (const nonce of [0n, 1n]) {
+      const { gaslessTx, signature } = await signedTx(fixture, nonce);
+      await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, RELAY_OVERRIDES))
+        .to.emit(executor, "NonceUsed")
+        .withArgs(0n, nonce);
+    }
+
+    expect(await executor.nonce()).to.equal(2n);
+    expect(await executor.getNonce(0n)).to.equal(2n);
+  });
+
+  it("Does not block other keys when a key waits for a missing payload", async function () {
+    const fixture = await networkHelpers.loadFixture(deployNoncesFixture);
+    const { executor, executorEOA, relayer } = fixture;
+
+    // Payment #0 is stuck, so payment #1 cannot execute yet.
+    const payment1 = encodeNonce({ key: NonceKey.PAYMENTS, sequence: 1n });
+    const stuck = await signedTx(fixture, payment1);
+    await expect(executor.connect(relayer).executeTransaction(stuck.gaslessTx, stuck.signature, false, RELAY_OVERRIDES))
+      .to.be.revertedWithCustomError(executor, "InvalidNonce")
+      .withArgs(encodeNonce({ key: NonceKey.PAYMENTS, sequence: 0n }), payment1);
+
+    // An NFT batch runs on its own key meanwhile.
+    const { transaction } = (await signedTx(fixture, 0n)).gaslessTx;
+    const gaslessBatchTx = makeGaslessBatchTx({
+      ...(await payloadFields(fixture)),
+      transactions: [transaction, transaction],
+      nonce: encodeNonce({ key: NonceKey.NFT, sequence: 0n }),
+    });
+    const { signature } = await signGaslessBatchTx({
+      conn,
+      executorSigner: await ethers.getSigner(executorEOA.address),
+      executorAddress: executorEOA.address,
+      gaslessBatchTx,
+    });
+    await expect(executor.connect(relayer).executeBatchTransaction(gaslessBatchTx, signature, false, RELAY_OVERRIDES))
+      .to.emit(executor, "NonceUsed")
+      .withArgs(NonceKey.NFT, 0n);
+
+    expect(await executor.getNonce(NonceKey.NFT)).to.equal(encodeNonce({ key: NonceKey.NFT, sequence: 1n }));
+    expect(await executor.getNonce(NonceKey.PAYMENTS)).to.equal(encodeNonce({ key: NonceKey.PAYMENTS, sequence: 0n }));
+    expect(await executor.nonce()).to.equal(0n);
+  });
+
+  it("Starts new keys at sequence 0 for accounts already using the legacy nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deployNoncesFixture);
+    const { executor, relayer } = fixture;
+
+    const legacy = await signedTx(fixture, 0n);
+    await executor.connect(relayer).executeTransaction(legacy.gaslessTx, legacy.signature, false, RELAY_OVERRIDES);
+
+    const payment = await signedTx(fixture, encodeNonce({ key: NonceKey.PAYMENTS, sequence: 0n }));
+    await executor.connect(relayer).executeTransaction(payment.gaslessTx, payment.signature, false, RELAY_OVERRIDES);
+
+    // The legacy sequence continues where it was, unaffected by the keyed payload.
+    const next = await signedTx(fixture, 1n);
+    await expect(executor.connect(relayer).executeTransaction(next.gaslessTx, next.signature, false, RELAY_OVERRIDES))
+      .to.emit(executor, "TransactionExecuted");
+    expect(await executor.nonce()).to.equal(2n);
+    expect(await executor.getNonce(NonceKey.PAYMENTS)).to.equal(encodeNonce({ key: NonceKey.PAYMENTS, sequence: 1n }));
+  });
+
+  it("Keeps the nonces at the storage slots of the sequential nonce layout", async function () {
+    const fixture = await networkHelpers.loadFixture(deployNoncesFixture);
+    const { executor, executorEOA, relayer } = fixture;
+
+    // An account that used sequential nonces before keyed nonces existed continues at its stored nonce.
+    await networkHelpers.setStorageAt(executorEOA.address, NONCE_SLOT, 4n);
+    expect(await executor.nonce()).to.equal(4n);
+
+    const legacy = await signedTx(fixture, 4n);
+    await executor.connect(relayer).executeTransaction(legacy.gaslessTx, legacy.signature, false, RELAY_OVERRIDES);
+    const payment = await signedTx(fixture, encodeNonce({ key: NonceKey.PAYMENTS, sequence: 0n }));
+    await executor.connect(relayer).executeTransaction(payment.gaslessTx, payment.signature, false, RELAY_OVERRIDES);
+
+    const read = async (slot) => BigInt(await ethers.provider.getStorage(executorEOA.address, slot));
+    const paymentsSlot = ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint192", "uint256"], [NonceKey.PAYMENTS, KEYED_NONCES_SLOT])
+    );
+    expect(await read(NONCE_SLOT)).to.equal(5n);
+    expect(await read(paymentsSlot)).to.equal(1n);
+  });
+});
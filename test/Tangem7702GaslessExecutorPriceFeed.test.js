@@ -0,0 +1,114 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { makeGaslessTx, signGaslessTx } from "./helpers/eip712Gasless.js";
+import { parseExecutionReceipt } from "../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+// The feed quotes 1 native coin at 3000 with 8 decimals; the fee token has 6, so the feed price is 3000e6.
+const FEED_ANSWER = 3_000n * 10n ** 8n;
+const FEED_PRICE = 3_000n * 10n ** 6n;
+const MAX_PRICE_DEVIATION_BPS = 200n;
+const MAX_PRICE_AGE = 3_600n;
+
+async function deployPriceFeedFixture() {
+  const [deployer, executorEOA, relayer, feeReceiver] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const token = await ethers.deployContract("ERC20DecimalsMock", ["MockUSD", "MUSD", 6], deployer);
+  const feed = await ethers.deployContract("AggregatorV3Mock", [8], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  // Install the executor runtime code at the EOA so address(this) == executorEOA.
+  await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(await impl.getAddress()));
+  const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+
+  await token.mint(executorEOA.address, 1_000_000n * 10n ** 6n);
+  await feed.setRoundData(FEED_ANSWER, await networkHelpers.time.latest());
+
+  return { executorEOA, relayer, feeReceiver, executor, token, feed, target };
+}
+
+// Signs a fee-paying payload whose price is checked against the fixture feed.
+async function signPriceChecked({ executorEOA, feeReceiver, token, feed, target }, { coinPriceInToken }) {
+  const gaslessTx = makeGaslessTx({
+    to: await target.getAddress(),
+    value: 0n,
+    data: target.interface.encodeFunctionData("ok", ["0x01"]),
+    feeToken: await token.getAddress(),
+    maxTokenFee: 1_000_000n * 10n ** 6n,
+    coinPriceInToken,
+    priceFeed: await feed.getAddress(),
+    maxPriceDeviationBps: MAX_PRICE_DEVIATION_BPS,
+    maxPriceAge: MAX_PRICE_AGE,
+    feeTransferGasLimit: 100_000n,
+    baseGas: 0n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: feeReceiver.address,
+    nonce: 0n,
+  });
+
+  const { signature } = await signGaslessTx({
+    conn,
+    executorSigner: await ethers.getSigner(executorEOA.address),
+    executorAddress: executorEOA.address,
+    gaslessTx,
+  });
+  return { gaslessTx, signature };
+}
+
+describe("Tangem7702GaslessExecutor price feed check", function () {
+  it("Charges the fee when coinPriceInToken is within the tolerance of a fresh feed price", async function () {
+    const fx = await networkHelpers.loadFixture(deployPriceFeedFixture);
+    const { executor, relayer } = fx;
+
+    // 1% above the feed price, inside the 2% tolerance.
+    const { gaslessTx, signature } = await signPriceChecked(fx, { coinPriceInToken: (FEED_PRICE * 101n) / 100n });
+
+    const tx = await executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report.fee).to.not.equal(null);
+    expect(await executor.nonce()).to.equal(1n);
+  });
+
+  it("Reverts with PriceDeviationExceeded when coinPriceInToken deviates beyond the tolerance", async function () {
+    const fx = await networkHelpers.loadFixture(deployPriceFeedFixture);
+    const { executor, relayer } = fx;
+
+    // An inflated price charges the user more tokens for the same gas.
+    const coinPriceInToken = (FEED_PRICE * 105n) / 100n;
+    const { gaslessTx, signature } = await signPriceChecked(fx, { coinPriceInToken });
+
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n }))
+      .to.be.revertedWithCustomError(executor, "PriceDeviationExceeded")
+      .withArgs(coinPriceInToken, FEED_PRICE, MAX_PRICE_DEVIATION_BPS);
+  });
+
+  it("Reverts with StalePrice when the feed answer is older than maxPriceAge", async function () {
+    const fx = await networkHelpers.loadFixture(deployPriceFeedFixture);
+    const { executor, relayer, feed } = fx;
+
+    const updatedAt = BigInt(await networkHelpers.time.latest()) - MAX_PRICE_AGE - 60n;
+    await feed.setRoundData(FEED_ANSWER, updatedAt);
+    const { gaslessTx, signature } = await signPriceChecked(fx, { coinPriceInToken: FEED_PRICE });
+
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n }))
+      .to.be.revertedWithCustomError(executor, "StalePrice")
+      .withArgs(await feed.getAddress(), updatedAt);
+  });
+
+  it("Reverts with InvalidFeedPrice when the feed answer is not positive", async function () {
+    const fx = await networkHelpers.loadFixture(deployPriceFeedFixture);
+    const { executor, relayer, feed } = fx;
+
+    await feed.setRoundData(-1n, await networkHelpers.time.latest());
+    const { gaslessTx, signature } = await signPriceChecked(fx, { coinPriceInToken: FEED_PRICE });
+
+    await expect(executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice: 1_000_000_000n }))
+      .to.be.revertedWithCustomError(executor, "InvalidFeedPrice")
+      .withArgs(await feed.getAddress(), -1n);
+  });
+});
@@ -0,0 +1,177 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { set7702Delegate } from "./helpers/eip7702.js";
+import { makeGaslessTx, signGaslessTx } from "./helpers/eip712Gasless.js";
+import {
+  EXECUTOR_VARIANTS,
+  OP_SIGNATURE_OVERHEAD,
+  OP_TX_OVERHEAD,
+  expectedL1Fee,
+  installL1FeeOracle,
+} from "./helpers/l1FeeOracles.js";
+import { parseExecutionReceipt } from "../sdk/index.js";
+
+// One connection for the whole file, so delegations and installed oracles are visible to every test.
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+const PRICE_PRECISION = 1_000_000_000_000_000_000n;
+const GAS_PRICE = 1_000_000_000n;
+
+// Values the mock oracles report: a per-byte fee for OP Stack, a flat fee for Arbitrum.
+const L1_FEES = { l1FeePerByte: 1_000_000n, l1GasFees: 300_000_000_000n };
+
+// Builds a fixture for one executor variant; loadFixture caches fixtures by function identity.
+function variantFixture(variant) {
+  return async function deployVariantFixture() {
+    // deployer: deploys contracts, executorEOA: delegated account, relayer: calls the entry point.
+    const [deployer, executorEOA, relayer, feeReceiver] = await ethers.getSigners();
+
+    const impl = await ethers.deployContract(variant.contract, deployer);
+    await impl.waitForDeployment();
+
+    const entryPoint = await ethers.deployContract("Tangem7702GaslessEntryPoint", [await impl.getAddress()], deployer);
+    await entryPoint.waitForDeployment();
+
+    const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+    await token.waitForDeployment();
+
+    const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+    await target.waitForDeployment();
+
+    // Real EIP-7702 delegation, so the entry point's delegate check passes.
+    await set7702Delegate(conn, executorEOA.address, await impl.getAddress());
+    await installL1FeeOracle(conn, variant, L1_FEES);
+
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+    await token.connect(deployer).mint(executorEOA.address, PRICE_PRECISION);
+
+    return { executorEOA, relayer, feeReceiver, entryPoint, executor, token, target };
+  };
+}
+
+// Builds and signs a single-call payload paying the fee in `token`.
+// Fixtures of later variants build on the state left by earlier ones, so the nonce is read rather than assumed.
+async function signedFeePayment({ executorEOA, executor, feeReceiver, token, target }, { maxTokenFee }) {
+  const gaslessTx = makeGaslessTx({
+    to: await target.getAddress(),
+    value: 0n,
+    data: target.interface.encodeFunctionData("ok", ["0x01"]),
+    feeToken: await token.getAddress(),
+    maxTokenFee,
+    coinPriceInToken: PRICE_PRECISION,
+    feeTransferGasLimit: 100_000n,
+    baseGas: 21_000n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: feeReceiver.address,
+    nonce: await executor.nonce(),
+  });
+
+  const { signature } = await signGaslessTx({
+    conn,
+    executorSigner: await ethers.getSigner(executorEOA.address),
+    executorAddress: executorEOA.address,
+    gaslessTx,
+  });
+  return { gaslessTx, signature };
+}
+
+// Length in bytes of the calldata the entry point forwards to the executor.
+function executorCalldataLength(executor, gaslessTx, signature) {
+  const data = executor.interface.encodeFunctionData("executeTransaction", [gaslessTx, signature, false]);
+  return ethers.dataLength(data);
+}
+
+describe("Tangem7702GaslessExecutor variants", function () {
+  for (const variant of EXECUTOR_VARIANTS) {
+    describe(variant.name, function () {
+      const fixture = variantFixture(variant);
+
+      it("Reports the L1 fee of its oracle in FeeTransferProcessed and charges it", async function () {
+        const fx = await networkHelpers.loadFixture(fixture);
+        const { relayer, entryPoint, executor, executorEOA, token, feeReceiver } = fx;
+        const { gaslessTx, signature } = await signedFeePayment(fx, { maxTokenFee: PRICE_PRECISION });
+
+        const tx = await entryPoint
+          .connect(relayer)
+          .executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasPrice: GAS_PRICE });
+        const report = parseExecutionReceipt(await tx.wait());
+
+        const l1Fee = expectedL1Fee(variant, L1_FEES, executorCalldataLength(executor, gaslessTx, signature));
+        expect(report.fee.l1Fee).to.equal(l1Fee);
+
+        // feeAmount = (totalGas * gasprice + l1Fee) * coinPriceInToken / 1e18, with a 1:1 price here.
+        expect(report.fee.amount).to.equal(report.fee.totalGas * GAS_PRICE + l1Fee);
+        expect(await token.balanceOf(feeReceiver.address)).to.equal(report.fee.amount);
+      });
+
+      if (variant.oracle === null) {
+        it("Charges no L1 fee", async function () {
+          const fx = await networkHelpers.loadFixture(fixture);
+          const { relayer, entryPoint, executorEOA } = fx;
+          const { gaslessTx, signature } = await signedFeePayment(fx, { maxTokenFee: 0n });
+
+          // Free gas leaves only the L1 fee in feeAmount, so a zero maxTokenFee must hold.
+          // The gas limit is explicit as estimation overshoots the per-transaction cap at a zero gas price.
+          await networkHelpers.setNextBlockBaseFeePerGas(0n);
+          const tx = await entryPoint
+            .connect(relayer)
+            .executeTransaction(gaslessTx, signature, false, executorEOA.address, {
+              gasPrice: 0n,
+              gasLimit: 5_000_000n,
+            });
+          const report = parseExecutionReceipt(await tx.wait());
+
+          expect(report.fee.l1Fee).to.equal(0n);
+          expect(report.fee.amount).to.equal(0n);
+        });
+      } else {
+        it("Reverts with MaxFeeExceeded when the L1 fee exceeds maxTokenFee", async function () {
+          const fx = await networkHelpers.loadFixture(fixture);
+          const { relayer, entryPoint, executor, executorEOA } = fx;
+
+          // The payload length does not depend on maxTokenFee, so the L1 fee is known before signing.
+          const probe = await signedFeePayment(fx, { maxTokenFee: 0n });
+          const l1Fee = expectedL1Fee(variant, L1_FEES, executorCalldataLength(executor, probe.gaslessTx, probe.signature));
+          const { gaslessTx, signature } = await signedFeePayment(fx, { maxTokenFee: l1Fee - 1n });
+
+          // Free gas leaves only the L1 fee in feeAmount.
+          await networkHelpers.setNextBlockBaseFeePerGas(0n);
+          await expect(
+            entryPoint
+              .connect(relayer)
+              .executeTransaction(gaslessTx, signature, false, executorEOA.address, {
+                gasPrice: 0n,
+                gasLimit: 5_000_000n,
+              })
+          )
+            .to.be.revertedWithCustomError(executor, "MaxFeeExceeded")
+            .withArgs(l1Fee, l1Fee - 1n);
+        });
+      }
+    });
+  }
+
+  describe("OP Stack calldata sizing", function () {
+    const variant = EXECUTOR_VARIANTS.find(({ oracle }) => oracle === "op");
+    const fixture = variantFixture(variant);
+
+    it("Quotes the entry point calldata plus TX_OVERHEAD to the GasPriceOracle", async function () {
+      const fx = await networkHelpers.loadFixture(fixture);
+      const { relayer, entryPoint, executorEOA } = fx;
+      const { gaslessTx, signature } = await signedFeePayment(fx, { maxTokenFee: PRICE_PRECISION });
+
+      const tx = await entryPoint
+        .connect(relayer)
+        .executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasPrice: GAS_PRICE });
+      const report = parseExecutionReceipt(await tx.wait());
+
+      // GasPriceOracleMock charges per byte, so the quoted size can be recovered from the fee.
+      const quotedSize = report.fee.l1Fee / L1_FEES.l1FeePerByte - OP_SIGNATURE_OVERHEAD;
+
+      // ENTRY_POINT_OVERHEAD makes the executor's msg.data as long as the outer calldata carrying the executor.
+      expect(quotedSize).to.equal(BigInt(ethers.dataLength(tx.data)) + OP_TX_OVERHEAD);
+    });
+  });
+});
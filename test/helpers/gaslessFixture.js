@@ -0,0 +1,101 @@
+import { delegateAccount, makeGaslessTx, signGaslessTx } from "../../sdk/index.js";
+
+/**
+ * Fee terms of a paid payload: fee token, 1e18 coin price and a 10 gwei gas price cap.
+ *
+ * @param {object} token Fee token contract.
+ * @param {string} feeReceiver Signed fee receiver address.
+ * @param {object} [overrides] Fee fields replacing the defaults.
+ * @return {object} Flat fee fields accepted by `makeGaslessTx`, `makeGaslessBatchTx` and `makeFee`.
+ */
+export function paidFee(token, feeReceiver, overrides = {}) {
+  return {
+    feeToken: token.target,
+    maxTokenFee: 10n ** 24n,
+    coinPriceInToken: 10n ** 18n,
+    feeTransferGasLimit: 100_000n,
+    baseGas: 10_000n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver,
+    ...overrides,
+  };
+}
+
+/**
+ * Fee terms of a fee-less payload: the fee is disabled and the executor is its own receiver.
+ *
+ * @param {object} token Fee token contract.
+ * @param {string} executorAddress Executor address, used as the fee receiver.
+ * @param {object} [overrides] Fee fields replacing the defaults.
+ * @return {object} Flat fee fields accepted by `makeGaslessTx`, `makeGaslessBatchTx` and `makeFee`.
+ */
+export function noFee(token, executorAddress, overrides = {}) {
+  return paidFee(token, executorAddress, {
+    maxTokenFee: 0n,
+    coinPriceInToken: 0n,
+    feeTransferGasLimit: 0n,
+    baseGas: 0n,
+    ...overrides,
+  });
+}
+
+/**
+ * Deploys the L1 executor implementation, the entry point, a mock fee token and a call target.
+ *
+ * @dev With `executorEOA`, the account is turned into an executor: `install: "delegate"` sends a real EIP-7702
+ *      delegation so the entry point accepts it, `install: "code"` only copies the runtime code to the address
+ *      so `address(this) == executorEOA` when calling it directly. `mint` fee tokens are minted to it.
+ *
+ * @param {object} conn Hardhat v3 network connection from `await hre.network.connect()`.
+ * @param {object} [options]
+ * @param {object} [options.executorEOA] Signer to turn into an executor.
+ * @param {"delegate"|"code"} [options.install="delegate"] How the executor code is installed.
+ * @param {bigint} [options.mint=0n] Fee token amount minted to the executor.
+ * @return {Promise<{impl: object, entryPoint: object, token: object, target: object, executor: object|undefined}>}
+ */
+export async function deployGaslessFixture(conn, { executorEOA, install = "delegate", mint = 0n } = {}) {
+  const { ethers, networkHelpers } = conn;
+  const [deployer] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const entryPoint = await ethers.deployContract("Tangem7702GaslessEntryPoint", [await impl.getAddress()], deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  if (executorEOA === undefined) return { impl, entryPoint, token, target, executor: undefined };
+
+  if (install === "code") {
+    await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(await impl.getAddress()));
+  } else {
+    await delegateAccount({ authority: executorEOA, delegateAddress: await impl.getAddress(), sponsor: deployer });
+  }
+  if (mint > 0n) await token.connect(deployer).mint(executorEOA.address, mint);
+
+  const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+  return { impl, entryPoint, token, target, executor };
+}
+
+/**
+ * Signs a single-call payload to `target` in the relayer submission shape.
+ *
+ * @param {object} executorEOA Executor signer.
+ * @param {object} target Call target contract.
+ * @param {object} options
+ * @param {object} options.fee Flat fee fields, see `paidFee` and `noFee`.
+ * @param {bigint} [options.nonce=0n] Executor nonce.
+ * @param {string} [options.data] Calldata, `ok("0x")` by default.
+ * @param {object} [options.signer=executorEOA] Signer of the payload.
+ * @return {Promise<{executor: string, gaslessTx: object, signature: string, forced: boolean}>}
+ */
+export async function signedPayload(executorEOA, target, { fee, nonce = 0n, data, signer = executorEOA }) {
+  const gaslessTx = makeGaslessTx({
+    to: target.target,
+    value: 0n,
+    data: data ?? target.interface.encodeFunctionData("ok", ["0x"]),
+    ...fee,
+    nonce,
+  });
+  const { signature } = await signGaslessTx({ signer, executorAddress: executorEOA.address, gaslessTx });
+  return { executor: executorEOA.address, gaslessTx, signature, forced: false };
+}
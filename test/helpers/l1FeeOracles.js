@@ -0,0 +1,101 @@
+/**
+ * Mock L1 fee oracles for the OP Stack and Arbitrum executors.
+ *
+ * The executors read the L1 data fee from chain predeploys that do not exist on the Hardhat network.
+ * The helpers here install mock oracles at those addresses, so the variants can be exercised side by side.
+ */
+
+export const OP_GAS_PRICE_ORACLE_ADDRESS = "0x420000000000000000000000000000000000000F";
+export const ARB_GAS_INFO_ADDRESS = "0x000000000000000000000000000000000000006C";
+
+// Bytes the OP executor adds to its calldata size: `TX_OVERHEAD` plus `ENTRY_POINT_OVERHEAD`.
+export const OP_TX_OVERHEAD = 80n;
+export const OP_ENTRY_POINT_OVERHEAD = 32n;
+
+// Bytes `getL1FeeUpperBound` adds for the signature, mirrored by GasPriceOracleMock.
+export const OP_SIGNATURE_OVERHEAD = 68n;
+
+/**
+ * Executor variants with the L1 fee oracle each one reads.
+ *
+ * `oracle` names the mock to install: null for L1, "op" or "arbitrum".
+ */
+export const EXECUTOR_VARIANTS = [
+  { name: "L1", contract: "Tangem7702GaslessExecutorL1", oracle: null },
+  { name: "OP Stack", contract: "Tangem7702GaslessExecutorOP", oracle: "op" },
+  { name: "Arbitrum", contract: "Tangem7702GaslessExecutorArbitrum", oracle: "arbitrum" },
+];
+
+// Deploys `contractName` and copies its runtime code to `address`, returning an instance bound to `address`.
+async function installAt(conn, contractName, address) {
+  const { ethers, networkHelpers } = conn;
+
+  const mock = await ethers.deployContract(contractName);
+  await mock.waitForDeployment();
+  await networkHelpers.setCode(address, await ethers.provider.getCode(await mock.getAddress()));
+
+  return ethers.getContractAt(contractName, address);
+}
+
+/**
+ * Installs GasPriceOracleMock at the OP Stack GasPriceOracle predeploy.
+ *
+ * @param {object} conn Hardhat v3 network connection from `await hre.network.connect()`.
+ * @param {bigint} l1FeePerByte Fee charged per byte of the quoted transaction size.
+ * @return {Promise<object>} The mock, bound to the predeploy address.
+ */
+export async function installGasPriceOracleMock(conn, l1FeePerByte) {
+  const oracle = await installAt(conn, "GasPriceOracleMock", OP_GAS_PRICE_ORACLE_ADDRESS);
+  await (await oracle.setL1FeePerByte(l1FeePerByte)).wait();
+  return oracle;
+}
+
+/**
+ * Installs ArbGasInfoMock at the Arbitrum ArbGasInfo precompile address.
+ *
+ * @param {object} conn Hardhat v3 network connection from `await hre.network.connect()`.
+ * @param {bigint} l1GasFees L1 fee reported for the current transaction, in wei.
+ * @return {Promise<object>} The mock, bound to the precompile address.
+ */
+export async function installArbGasInfoMock(conn, l1GasFees) {
+  const arbGasInfo = await installAt(conn, "ArbGasInfoMock", ARB_GAS_INFO_ADDRESS);
+  await (await arbGasInfo.setCurrentTxL1GasFees(l1GasFees)).wait();
+  return arbGasInfo;
+}
+
+/**
+ * Installs the oracle a variant reads, if any.
+ *
+ * @param {object} conn Hardhat v3 network connection from `await hre.network.connect()`.
+ * @param {object} variant One of `EXECUTOR_VARIANTS`.
+ * @param {{l1FeePerByte: bigint, l1GasFees: bigint}} fees Values the OP and Arbitrum mocks report.
+ * @return {Promise<object|null>} The installed mock, or null for L1.
+ */
+export async function installL1FeeOracle(conn, variant, { l1FeePerByte, l1GasFees }) {
+  if (variant.oracle === "op") {
+    return installGasPriceOracleMock(conn, l1FeePerByte);
+  }
+  if (variant.oracle === "arbitrum") {
+    return installArbGasInfoMock(conn, l1GasFees);
+  }
+  return null;
+}
+
+/**
+ * The L1 fee a variant charges when its mock oracle is installed with `fees`.
+ *
+ * @param {object} variant One of `EXECUTOR_VARIANTS`.
+ * @param {{l1FeePerByte: bigint, l1GasFees: bigint}} fees Values the OP and Arbitrum mocks report.
+ * @param {number|bigint} executorCalldataLength Length in bytes of the calldata the executor was called with.
+ * @return {bigint}
+ */
+export function expectedL1Fee(variant, { l1FeePerByte, l1GasFees }, executorCalldataLength) {
+  if (variant.oracle === "op") {
+    const size = BigInt(executorCalldataLength) + OP_TX_OVERHEAD + OP_ENTRY_POINT_OVERHEAD + OP_SIGNATURE_OVERHEAD;
+    return size * l1FeePerByte;
+  }
+  if (variant.oracle === "arbitrum") {
+    return l1GasFees;
+  }
+  return 0n;
+}
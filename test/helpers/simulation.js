@@ -0,0 +1,33 @@
+/**
+ * Simulator for the local Hardhat network, which does not implement `eth_simulateV1`.
+ *
+ * @notice Sends the transaction inside a snapshot and restores it afterwards, so the returned logs and
+ *         gas usage are those of a real execution while the chain state is left untouched.
+ * @dev Matches the simulator interface of `relayer/profitability.js`, at the local node's own base fee. The gas
+ *      limit defaults to 5M because the local node's gas estimation can overshoot the per-transaction gas cap.
+ *
+ * @param {object} conn Hardhat v3 network connection from `await hre.network.connect()`.
+ * @return {function(object): Promise<{success: boolean, gasUsed: bigint, logs: object[], revertData: string|null}>}
+ */
+export function snapshotSimulator(conn) {
+  const { ethers, networkHelpers } = conn;
+
+  return async (txRequest) => {
+    const signer = await ethers.getSigner(txRequest.from);
+    const request = { gasLimit: 5_000_000n, ...txRequest };
+
+    try {
+      await signer.call(request);
+    } catch (e) {
+      return { success: false, gasUsed: 0n, logs: [], revertData: e.data ?? null };
+    }
+
+    const snapshot = await networkHelpers.takeSnapshot();
+    try {
+      const receipt = await (await signer.sendTransaction(request)).wait();
+      return { success: true, gasUsed: receipt.gasUsed, logs: receipt.logs, revertData: null };
+    } finally {
+      await snapshot.restore();
+    }
+  };
+}
@@ -0,0 +1,146 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { NonceKey, encodeNonce } from "../../sdk/index.js";
+import { NonceQueue, QueueResult } from "../../relayer/nonceQueue.js";
+import { deployGaslessFixture, noFee, signedPayload } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployQueueFixture() {
+  const [, executorEOA, relayer] = await ethers.getSigners();
+  const { executor, token, target } = await deployGaslessFixture(conn, { executorEOA, install: "code" });
+  return { executorEOA, relayer, executor, token, target };
+}
+
+// Signs a fee-less payload for `nonce`; `maxTokenFee` varies the signed terms for replacements.
+function queuedPayload({ executorEOA, token, target }, nonce, maxTokenFee = 0n) {
+  return signedPayload(executorEOA, target, { fee: noFee(token, executorEOA.address, { maxTokenFee }), nonce });
+}
+
+const nonces = (payloads) => payloads.map((p) => p.gaslessTx.nonce);
+
+describe("relayer/nonceQueue", function () {
+  it("Releases payloads in nonce order and reports gaps", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA } = fixture;
+    const queue = new NonceQueue({ provider: ethers.provider });
+
+    expect((await queue.add(await queuedPayload(fixture, 1n))).result).to.equal(QueueResult.QUEUED);
+    expect((await queue.add(await queuedPayload(fixture, 3n))).result).to.equal(QueueResult.QUEUED);
+
+    // Nonce 0 is missing, so nothing can be released yet.
+    expect(await queue.gaps(executorEOA.address)).to.deep.equal([
+      { from: 0n, to: 0n },
+      { from: 2n, to: 2n },
+    ]);
+    expect(await queue.take(executorEOA.address)).to.equal(undefined);
+
+    await queue.add(await queuedPayload(fixture, 0n));
+    expect(nonces(await queue.takeReady(executorEOA.address))).to.deep.equal([0n, 1n]);
+    expect(await queue.gaps(executorEOA.address)).to.deep.equal([{ from: 2n, to: 2n }]);
+
+    // Released nonces cannot be queued again until a sync rewinds the queue.
+    expect((await queue.add(await queuedPayload(fixture, 1n))).result).to.equal(QueueResult.STALE);
+
+    await queue.add(await queuedPayload(fixture, 2n));
+    expect(nonces(await queue.takeReady(executorEOA.address))).to.deep.equal([2n, 3n]);
+    expect(queue.size(executorEOA.address)).to.equal(0);
+  });
+
+  it("Refuses nonces too far ahead and reports gaps as ranges", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA } = fixture;
+
+    const bounded = new NonceQueue({ provider: ethers.provider, maxNonceAhead: 4n });
+    expect((await bounded.add(await queuedPayload(fixture, 4n))).result).to.equal(QueueResult.QUEUED);
+    expect((await bounded.add(await queuedPayload(fixture, 5n))).result).to.equal(QueueResult.FUTURE);
+    expect(bounded.size(executorEOA.address)).to.equal(1);
+
+    // A far-future nonce yields one range instead of one entry per missing nonce.
+    const far = 2n ** 63n;
+    const unbounded = new NonceQueue({ provider: ethers.provider, maxNonceAhead: far });
+    await unbounded.add(await queuedPayload(fixture, 2n));
+    await unbounded.add(await queuedPayload(fixture, far));
+    const start = performance.now();
+    expect(await unbounded.gaps(executorEOA.address)).to.deep.equal([
+      { from: 0n, to: 1n },
+      { from: 3n, to: far - 1n },
+    ]);
+    expect(performance.now() - start).to.be.lessThan(1000);
+  });
+
+  it("Releases payloads of different nonce keys independently", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA } = fixture;
+    const queue = new NonceQueue({ provider: ethers.provider });
+
+    const payment = (sequence) => encodeNonce({ key: NonceKey.PAYMENTS, sequence });
+    const nft = (sequence) => encodeNonce({ key: NonceKey.NFT, sequence });
+
+    // The first payment is missing, which must not hold back NFT actions or the legacy key.
+    await queue.add(await queuedPayload(fixture, payment(1n)));
+    await queue.add(await queuedPayload(fixture, nft(0n)));
+    await queue.add(await queuedPayload(fixture, 0n));
+
+    expect(await queue.take(executorEOA.address, NonceKey.PAYMENTS)).to.equal(undefined);
+    expect(await queue.gaps(executorEOA.address, NonceKey.PAYMENTS)).to.deep.equal([{ from: payment(0n), to: payment(0n) }]);
+    expect(nonces(await queue.takeReady(executorEOA.address, NonceKey.NFT))).to.deep.equal([nft(0n)]);
+    expect(nonces(await queue.takeReady(executorEOA.address))).to.deep.equal([0n]);
+
+    await queue.add(await queuedPayload(fixture, payment(0n)));
+    expect(nonces(await queue.takeReady(executorEOA.address, NonceKey.PAYMENTS))).to.deep.equal([payment(0n), payment(1n)]);
+    expect(queue.size(executorEOA.address, NonceKey.PAYMENTS)).to.equal(0);
+  });
+
+  it("Replaces a queued payload re-signed for the same nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA } = fixture;
+    const queue = new NonceQueue({ provider: ethers.provider });
+
+    const original = await queuedPayload(fixture, 0n, 1n);
+    const resigned = await queuedPayload(fixture, 0n, 2n);
+
+    await queue.add(original);
+    expect((await queue.add(original)).result).to.equal(QueueResult.DUPLICATE);
+
+    const { result, replaced } = await queue.add(resigned);
+    expect(result).to.equal(QueueResult.REPLACED);
+    expect(replaced).to.equal(original);
+
+    expect(await queue.take(executorEOA.address)).to.equal(resigned);
+  });
+
+  it("Drops payloads made stale by the on-chain nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA, relayer, executor } = fixture;
+    const queue = new NonceQueue({ provider: ethers.provider });
+
+    const first = await queuedPayload(fixture, 0n);
+    await queue.add(first);
+    await queue.add(await queuedPayload(fixture, 1n));
+
+    // Another relayer lands nonce 0 first.
+    await executor.connect(relayer).executeTransaction(first.gaslessTx, first.signature, false);
+
+    const { nonce, dropped } = await queue.sync(executorEOA.address);
+    expect(nonce).to.equal(1n);
+    expect(dropped).to.deep.equal([first]);
+    expect(nonces(await queue.takeReady(executorEOA.address))).to.deep.equal([1n]);
+  });
+
+  it("Rewinds to the on-chain nonce when released payloads were not mined", async function () {
+    const fixture = await networkHelpers.loadFixture(deployQueueFixture);
+    const { executorEOA } = fixture;
+    const queue = new NonceQueue({ provider: ethers.provider });
+
+    const first = await queuedPayload(fixture, 0n);
+    await queue.add(first);
+    expect(await queue.take(executorEOA.address)).to.equal(first);
+
+    await queue.sync(executorEOA.address);
+
+    expect((await queue.add(first)).result).to.equal(QueueResult.QUEUED);
+    expect(await queue.take(executorEOA.address)).to.equal(first);
+  });
+});
@@ -0,0 +1,178 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { Relayer } from "../../relayer/relayer.js";
+import { ProfitabilityGuard, ethSimulateV1Simulator, fixedPriceSource } from "../../relayer/profitability.js";
+import { toJsonSafe } from "../../relayer/payload.js";
+import { deployGaslessFixture, paidFee, signedPayload } from "../helpers/gaslessFixture.js";
+import { snapshotSimulator } from "../helpers/simulation.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+const GAS_PRICE = 10n ** 9n;
+const TOKEN_PER_ETHER = 2000n * 10n ** 18n;
+
+async function deployProfitabilityFixture() {
+  const [, executorEOA, relayerEOA, otherEOA] = await ethers.getSigners();
+  const { entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, mint: 10n ** 24n });
+  return { executorEOA, relayerEOA, otherEOA, entryPoint, token, target };
+}
+
+// Signs an `ok` call paying the relayer at TOKEN_PER_ETHER; `fee` overrides the signed fee terms and nonce.
+function pricedPayload({ executorEOA, relayerEOA, token, target }, { nonce = 0n, ...fee } = {}) {
+  return signedPayload(executorEOA, target, {
+    fee: paidFee(token, relayerEOA.address, { coinPriceInToken: TOKEN_PER_ETHER, baseGas: 30_000n, ...fee }),
+    nonce,
+  });
+}
+
+async function check({ executorEOA, relayerEOA, entryPoint }, payload, guardOptions = {}) {
+  const guard = new ProfitabilityGuard({
+    simulator: snapshotSimulator(conn),
+    priceSource: fixedPriceSource({ [payload.gaslessTx.fee.feeToken]: TOKEN_PER_ETHER }),
+    feeReceiver: relayerEOA.address,
+    ...guardOptions,
+  });
+  const txRequest = await entryPoint.executeTransaction.populateTransaction(
+    payload.gaslessTx,
+    payload.signature,
+    false,
+    executorEOA.address
+  );
+  return guard.check({
+    txRequest: { ...txRequest, from: relayerEOA.address },
+    executor: executorEOA.address,
+    gasPrice: GAS_PRICE,
+  });
+}
+
+describe("relayer/profitability", function () {
+  it("Accepts a payload whose fee covers the cost with margin", async function () {
+    const fixture = await networkHelpers.loadFixture(deployProfitabilityFixture);
+    const { token, relayerEOA } = fixture;
+
+    const report = await check(fixture, await pricedPayload(fixture));
+
+    expect(report.profitable).to.equal(true);
+    expect(report.reason).to.equal(null);
+    expect(report.feeToken).to.equal(await token.getAddress());
+    expect(report.feeWei).to.equal((report.feeAmount * 10n ** 18n) / TOKEN_PER_ETHER);
+    expect(report.costWei).to.equal(report.gasUsed * GAS_PRICE);
+    expect(report.marginBps >= 1000n).to.equal(true);
+
+    // The simulation leaves no trace on-chain.
+    expect(await token.balanceOf(relayerEOA.address)).to.equal(0n);
+  });
+
+  it("Rejects a payload priced below the market rate", async function () {
+    const fixture = await networkHelpers.loadFixture(deployProfitabilityFixture);
+
+    const report = await check(fixture, await pricedPayload(fixture, { coinPriceInToken: TOKEN_PER_ETHER / 4n }));
+
+    expect(report.profitable).to.equal(false);
+    expect(report.reason).to.contain("does not cover the cost");
+    expect(report.marginBps < 0n).to.equal(true);
+  });
+
+  it("Includes the L1 data fee in the cost", async function () {
+    const fixture = await networkHelpers.loadFixture(deployProfitabilityFixture);
+    const payload = await pricedPayload(fixture);
+
+    const report = await check(fixture, payload, { l1FeeSource: async () => 10n ** 15n });
+
+    expect(report.l1Fee).to.equal(10n ** 15n);
+    expect(report.costWei).to.equal(report.gasUsed * GAS_PRICE + 10n ** 15n);
+    expect(report.profitable).to.equal(false);
+  });
+
+  it("Rejects fees paid to another receiver, unpriced tokens and reverting payloads", async function () {
+    const fixture = await networkHelpers.loadFixture(deployProfitabilityFixture);
+    const { otherEOA } = fixture;
+
+    const foreign = await check(fixture, await pricedPayload(fixture, { feeReceiver: otherEOA.address }));
+    expect(foreign.reason).to.equal(`fee is paid to ${otherEOA.address}, expected ${fixture.relayerEOA.address}`);
+
+    const unpriced = await check(fixture, await pricedPayload(fixture), { priceSource: fixedPriceSource({}) });
+    expect(unpriced.reason).to.contain("no price for fee token");
+
+    const free = await check(fixture, await pricedPayload(fixture, { coinPriceInToken: 0n }));
+    expect(free.reason).to.equal("payload pays no fee");
+
+    const reverting = await check(fixture, await pricedPayload(fixture, { nonce: 5n }));
+    expect(reverting.profitable).to.equal(false);
+    expect(reverting.revert.name).to.equal("InvalidNonce");
+  });
+
+  it("Makes the relayer refuse unprofitable payloads before broadcasting", async function () {
+    const fixture = await networkHelpers.loadFixture(deployProfitabilityFixture);
+    const { relayerEOA, entryPoint, token } = fixture;
+
+    const relayer = new Relayer({
+      signer: relayerEOA,
+      entryPointAddress: await entryPoint.getAddress(),
+      profitabilityGuard: new ProfitabilityGuard({
+        simulator: snapshotSimulator(conn),
+        priceSource: fixedPriceSource({ [await token.getAddress()]: TOKEN_PER_ETHER }),
+        feeReceiver: relayerEOA.address,
+      }),
+    });
+    const nonceBefore = await ethers.provider.getTransactionCount(relayerEOA.address);
+
+    const underpriced = await pricedPayload(fixture, { coinPriceInToken: TOKEN_PER_ETHER / 4n });
+    let error;
+    try {
+      await relayer.submit(toJsonSafe(underpriced), { maxFeePerGas: GAS_PRICE, maxPriorityFeePerGas: GAS_PRICE });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.status).to.equal(422);
+    expect(error.details.profitable).to.equal(false);
+    expect(await ethers.provider.getTransactionCount(relayerEOA.address)).to.equal(nonceBefore);
+
+    const record = await relayer.submit(toJsonSafe(await pricedPayload(fixture)), { maxFeePerGas: GAS_PRICE, maxPriorityFeePerGas: GAS_PRICE });
+    await relayer.settled();
+    expect(relayer.getStatus(record.id).report.fee.receiver).to.equal(relayerEOA.address);
+  });
+
+  it("Simulates with eth_simulateV1 validation at the given base fee", async function () {
+    const requests = [];
+    const provider = {
+      send: async (method, params) => {
+        requests.push({ method, params });
+        return [{ calls: [{ status: "0x1", gasUsed: "0x5208", logs: [], returnData: "0x" }] }];
+      },
+    };
+
+    const result = await ethSimulateV1Simulator(provider)(
+      { from: ethers.ZeroAddress, to: ethers.ZeroAddress, data: "0x", maxFeePerGas: 3n, maxPriorityFeePerGas: 1n },
+      { baseFee: 2n }
+    );
+
+    expect(result).to.deep.equal({ success: true, gasUsed: 21000n, logs: [], revertData: "0x" });
+    expect(requests).to.deep.equal([
+      {
+        method: "eth_simulateV1",
+        params: [
+          {
+            blockStateCalls: [
+              {
+                calls: [
+                  {
+                    from: ethers.ZeroAddress,
+                    to: ethers.ZeroAddress,
+                    input: "0x",
+                    maxFeePerGas: "0x3",
+                    maxPriorityFeePerGas: "0x1",
+                  },
+                ],
+                blockOverrides: { baseFeePerGas: "0x2" },
+              },
+            ],
+            validation: true,
+          },
+          "latest",
+        ],
+      },
+    ]);
+  });
+});
@@ -0,0 +1,244 @@
+import { setTimeout } from "node:timers/promises";
+import { expect } from "chai";
+import hre from "hardhat";
+import { makeGaslessBatchTx, signGaslessBatchTx } from "../../sdk/index.js";
+import { Relayer, RelayStatus } from "../../relayer/relayer.js";
+import { createRelayerServer } from "../../relayer/server.js";
+import { toJsonSafe } from "../../relayer/payload.js";
+import { deployGaslessFixture, paidFee, signedPayload } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployRelayerFixture() {
+  const [, executorEOA, relayerEOA, feeReceiver, otherEOA] = await ethers.getSigners();
+  const { entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, mint: 10n ** 24n });
+  return { executorEOA, relayerEOA, feeReceiver, otherEOA, entryPoint, token, target };
+}
+
+// Starts the HTTP server on an ephemeral port and returns its base URL.
+async function startServer(relayer) {
+  const server = createRelayerServer(relayer);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+async function post(url, body) {
+  const res = await fetch(`${url}/v1/transactions`, {
+    method: "POST",
+    headers: { "content-type": "application/json" },
+    body: JSON.stringify(toJsonSafe(body)),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+// Signs an `ok` call paying `feeReceiver`; `fee` overrides the signed fee terms.
+function paidPayload({ executorEOA, feeReceiver, token, target }, { nonce = 0n, signer = executorEOA, fee = {} } = {}) {
+  return signedPayload(executorEOA, target, { fee: paidFee(token, feeReceiver.address, fee), nonce, signer });
+}
+
+describe("relayer", function () {
+  let server;
+
+  afterEach(async function () {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+      server = undefined;
+    }
+  });
+
+  it("Relays a signed payload end to end and reports its status", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, entryPoint, target, token, feeReceiver } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    let url;
+    ({ server, url } = await startServer(relayer));
+
+    const submitted = await post(url, await paidPayload(fixture));
+    expect(submitted.status).to.equal(202);
+    expect(submitted.body.status).to.equal(RelayStatus.SUBMITTED);
+
+    await relayer.settled();
+
+    const res = await fetch(`${url}/v1/transactions/${submitted.body.id}`);
+    const record = await res.json();
+    expect(res.status).to.equal(200);
+    expect(record.status).to.equal(RelayStatus.CONFIRMED);
+    expect(record.report.status).to.equal("success");
+    expect(record.report.fee.amount).to.equal((await token.balanceOf(feeReceiver.address)).toString());
+
+    const receipt = await ethers.provider.getTransactionReceipt(submitted.body.transactionHash);
+    expect(receipt.from).to.equal(relayerEOA.address);
+    expect(await target.calls()).to.equal(1n);
+  });
+
+  it("Relays a batch payload", async function () {
+    const { executorEOA, relayerEOA, feeReceiver, entryPoint, token, target } =
+      await networkHelpers.loadFixture(deployRelayerFixture);
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const gaslessBatchTx = makeGaslessBatchTx({
+      transactions: [
+        { to: await target.getAddress(), value: 0n, data },
+        { to: await target.getAddress(), value: 0n, data },
+      ],
+      ...paidFee(token, feeReceiver.address),
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessBatchTx({
+      signer: executorEOA,
+      executorAddress: executorEOA.address,
+      gaslessBatchTx,
+    });
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    // Explicit gas limit: the local node's gas estimation overshoots the per-transaction gas cap for batches.
+    const record = await relayer.submit(toJsonSafe({ executor: executorEOA.address, gaslessBatchTx, signature }), {
+      gasLimit: 5_000_000n,
+    });
+    await relayer.settled();
+
+    expect(relayer.getStatus(record.id).report.executedCalls).to.equal(2n);
+    expect(await target.calls()).to.equal(2n);
+  });
+
+  it("Rejects malformed payloads and foreign signatures with 400", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, otherEOA, entryPoint } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    let url;
+    ({ server, url } = await startServer(relayer));
+
+    const malformed = await post(url, { executor: "0x1234", signature: "0x" });
+    expect(malformed.status).to.equal(400);
+    expect(malformed.body.error.details.problems).to.include("executor must be an address");
+
+    // A payload without its signed validity window cannot be rebuilt as signed.
+    const unbounded = await paidPayload(fixture);
+    delete unbounded.gaslessTx.validUntil;
+    const missingWindow = await post(url, unbounded);
+    expect(missingWindow.status).to.equal(400);
+    expect(missingWindow.body.error.details.problems).to.deep.equal([
+      "gaslessTx is malformed: validAfter and validUntil must be provided",
+    ]);
+
+    const foreign = await post(url, await paidPayload(fixture, { signer: otherEOA }));
+    expect(foreign.status).to.equal(400);
+    expect(foreign.body.error.message).to.equal("Invalid signature");
+  });
+
+  it("Rejects payloads of executors that are not delegated", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, otherEOA, entryPoint } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    const payload = await paidPayload({ ...fixture, executorEOA: otherEOA });
+
+    let error;
+    try {
+      await relayer.submit(toJsonSafe(payload));
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.status).to.equal(400);
+    expect(error.message).to.contain("not delegated");
+  });
+
+  it("Rejects payloads that fail simulation with the decoded revert", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, entryPoint } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    let url;
+    ({ server, url } = await startServer(relayer));
+
+    const res = await post(url, await paidPayload(fixture, { nonce: 1n }));
+
+    expect(res.status).to.equal(422);
+    expect(res.body.error.details.name).to.equal("InvalidNonce");
+    expect(res.body.error.details.retryable).to.equal(true);
+    expect(await ethers.provider.getTransactionCount(relayerEOA.address)).to.equal(0);
+  });
+
+  it("Sends EIP-1559 fees capped at the signed ones", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, entryPoint } = fixture;
+
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+    const fee = { maxFeePerGas: baseFeePerGas + 5n, maxPriorityFeePerGas: 1n };
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+
+    const record = await relayer.submit(toJsonSafe(await paidPayload(fixture, { fee })));
+    await relayer.settled();
+
+    const tx = await ethers.provider.getTransaction(record.transactionHash);
+    expect(tx.type).to.equal(2);
+    expect(tx.maxFeePerGas).to.equal(fee.maxFeePerGas);
+    expect(tx.maxPriorityFeePerGas).to.equal(fee.maxPriorityFeePerGas);
+    expect(relayer.getStatus(record.id).status).to.equal(RelayStatus.CONFIRMED);
+  });
+
+  it("Refuses payloads whose maxFeePerGas is below the base fee", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, entryPoint } = fixture;
+
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+    const fee = { maxFeePerGas: baseFeePerGas - 1n, maxPriorityFeePerGas: 0n };
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+
+    let error;
+    try {
+      await relayer.submit(toJsonSafe(await paidPayload(fixture, { fee })));
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.status).to.equal(422);
+    expect(error.message).to.equal(`Base fee ${baseFeePerGas} is above the signed maxFeePerGas ${fee.maxFeePerGas}`);
+    expect(await ethers.provider.getTransactionCount(relayerEOA.address)).to.equal(0);
+  });
+
+  it("Records a failed submission when the node refuses the transaction", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, otherEOA, entryPoint } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    await relayerEOA.sendTransaction({ to: otherEOA.address, value: 1n });
+
+    // A nonce the relayer account already used.
+    const record = await relayer.submit(toJsonSafe(await paidPayload(fixture)), { nonce: 0 });
+
+    expect(record.status).to.equal(RelayStatus.FAILED);
+    expect(record.transactionHash).to.equal(null);
+    expect(record.error.data).to.equal(null);
+    expect(record.error.reason).to.match(/nonce/i);
+    expect(relayer.getStatus(record.id)).to.deep.equal(record);
+  });
+
+  it("Forgets settled records once their TTL elapses", async function () {
+    const fixture = await networkHelpers.loadFixture(deployRelayerFixture);
+    const { relayerEOA, entryPoint } = fixture;
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress(), recordTtlMs: 50 });
+    const record = await relayer.submit(toJsonSafe(await paidPayload(fixture)));
+    await relayer.settled();
+    expect(relayer.getStatus(record.id).status).to.equal(RelayStatus.CONFIRMED);
+
+    await setTimeout(60);
+    expect(relayer.getStatus(record.id)).to.equal(undefined);
+  });
+
+  it("Returns 404 for unknown tracking IDs", async function () {
+    const { relayerEOA, entryPoint } = await networkHelpers.loadFixture(deployRelayerFixture);
+
+    const relayer = new Relayer({ signer: relayerEOA, entryPointAddress: await entryPoint.getAddress() });
+    let url;
+    ({ server, url } = await startServer(relayer));
+
+    const res = await fetch(`${url}/v1/transactions/unknown`);
+    expect(res.status).to.equal(404);
+  });
+});
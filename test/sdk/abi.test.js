@@ -0,0 +1,28 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { Interface } from "ethers";
+import { EXECUTOR_ABI, ENTRY_POINT_ABI } from "../../sdk/index.js";
+
+// Formats every error, event and function of an ABI as a sorted list of canonical signatures.
+function signatures(abi) {
+  const iface = new Interface(abi);
+  const formatted = [];
+  iface.forEachError((f) => formatted.push(f.format("full")));
+  iface.forEachEvent((f) => formatted.push(f.format("full")));
+  iface.forEachFunction((f) => formatted.push(f.format("full")));
+  return formatted.sort();
+}
+
+describe("sdk/abi", function () {
+  it("EXECUTOR_ABI matches the compiled ITangem7702GaslessExecutor", async function () {
+    const { abi } = await hre.artifacts.readArtifact("ITangem7702GaslessExecutor");
+
+    expect(signatures(EXECUTOR_ABI)).to.deep.equal(signatures(abi));
+  });
+
+  it("ENTRY_POINT_ABI matches the compiled ITangem7702GaslessEntryPoint", async function () {
+    const { abi } = await hre.artifacts.readArtifact("ITangem7702GaslessEntryPoint");
+
+    expect(signatures(ENTRY_POINT_ABI)).to.deep.equal(signatures(abi));
+  });
+});
@@ -0,0 +1,124 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  erc1155SafeBatchTransfer,
+  erc1155SafeTransfer,
+  erc20Approve,
+  erc20Transfer,
+  erc721SafeTransfer,
+  makeGaslessBatchTx,
+  makeGaslessTx,
+  nativeTransfer,
+  signGaslessBatchTx,
+  signGaslessTx,
+} from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployCallsFixture() {
+  const [deployer, executorEOA, relayer, recipient, spender] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const erc20 = await ethers.deployContract("ERC20Mock", ["MockToken", "MTK"], deployer);
+  const erc721 = await ethers.deployContract("ERC721Mock", ["MockNFT", "MNFT"], deployer);
+  const erc1155 = await ethers.deployContract("ERC1155Mock", ["ipfs://"], deployer);
+
+  // Install the executor runtime code at the EOA so address(this) == executorEOA.
+  await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(await impl.getAddress()));
+  const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+
+  await erc20.mint(executorEOA.address, 1000n);
+  await erc721.mint(executorEOA.address, 7n);
+  await erc1155.mint(executorEOA.address, 1n, 10n);
+  await erc1155.mint(executorEOA.address, 2n, 20n);
+
+  return { executorEOA, relayer, recipient, spender, executor, erc20, erc721, erc1155 };
+}
+
+// Fee-less fee parameters; the builders only produce the `Transaction` part.
+function freeFee({ erc20, executorEOA }) {
+  return {
+    feeToken: erc20.target,
+    maxTokenFee: 0n,
+    coinPriceInToken: 0n,
+    feeTransferGasLimit: 0n,
+    baseGas: 0n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: executorEOA.address,
+  };
+}
+
+describe("sdk/calls", function () {
+  it("Executes every token action with its default gas limit in one batch", async function () {
+    const fixture = await networkHelpers.loadFixture(deployCallsFixture);
+    const { executorEOA, relayer, recipient, spender, executor, erc20, erc721, erc1155 } = fixture;
+
+    const from = executorEOA.address;
+    const to = recipient.address;
+    const gaslessBatchTx = makeGaslessBatchTx({
+      transactions: [
+        nativeTransfer({ to, amount: 5n }),
+        erc20Transfer({ token: erc20.target, to, amount: 100n }),
+        erc20Approve({ token: erc20.target, spender: spender.address, amount: 50n }),
+        erc721SafeTransfer({ token: erc721.target, from, to, tokenId: 7n }),
+        erc1155SafeTransfer({ token: erc1155.target, from, to, id: 1n, amount: 4n }),
+        erc1155SafeBatchTransfer({ token: erc1155.target, from, to, ids: [1n, 2n], amounts: [6n, 20n] }),
+      ],
+      ...freeFee(fixture),
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessBatchTx({ signer: executorEOA, executorAddress: from, gaslessBatchTx });
+
+    const balanceBefore = await ethers.provider.getBalance(to);
+    await executor.connect(relayer).executeBatchTransaction(gaslessBatchTx, signature, false, { gasLimit: 5_000_000n });
+
+    expect(await ethers.provider.getBalance(to)).to.equal(balanceBefore + 5n);
+    expect(await erc20.balanceOf(to)).to.equal(100n);
+    expect(await erc20.allowance(from, spender.address)).to.equal(50n);
+    expect(await erc721.ownerOf(7n)).to.equal(to);
+    expect(await erc1155.balanceOf(to, 1n)).to.equal(10n);
+    expect(await erc1155.balanceOf(to, 2n)).to.equal(20n);
+  });
+
+  it("Plugs a single builder into makeGaslessTx", async function () {
+    const fixture = await networkHelpers.loadFixture(deployCallsFixture);
+    const { executorEOA, relayer, recipient, executor, erc20 } = fixture;
+
+    const gaslessTx = makeGaslessTx({
+      ...erc20Transfer({ token: erc20.target, to: recipient.address, amount: 1n, gasLimit: 80_000n }),
+      ...freeFee(fixture),
+      nonce: 0n,
+    });
+    expect(gaslessTx.transaction).to.deep.include({ to: erc20.target, value: 0n, gasLimit: 80_000n });
+
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+    await executor.connect(relayer).executeTransaction(gaslessTx, signature, false);
+
+    expect(await erc20.balanceOf(recipient.address)).to.equal(1n);
+  });
+
+  it("Lets the executor receive NFTs through safe transfers", async function () {
+    const { executorEOA, recipient, erc721, erc1155 } = await networkHelpers.loadFixture(deployCallsFixture);
+
+    await erc721.mint(recipient.address, 8n);
+    await erc721.connect(recipient)["safeTransferFrom(address,address,uint256)"](recipient.address, executorEOA.address, 8n);
+    await erc1155.mint(recipient.address, 3n, 1n);
+    await erc1155.connect(recipient).safeTransferFrom(recipient.address, executorEOA.address, 3n, 1n, "0x");
+
+    expect(await erc721.ownerOf(8n)).to.equal(executorEOA.address);
+    expect(await erc1155.balanceOf(executorEOA.address, 3n)).to.equal(1n);
+  });
+
+  it("Scales the ERC-1155 batch gas limit and rejects mismatched arrays", async function () {
+    const params = { token: ethers.ZeroAddress, from: ethers.ZeroAddress, to: ethers.ZeroAddress };
+
+    expect(erc1155SafeBatchTransfer({ ...params, ids: [1n, 2n, 3n], amounts: [1n, 1n, 1n] }).gasLimit).to.equal(
+      250_000n
+    );
+    expect(() => erc1155SafeBatchTransfer({ ...params, ids: [1n], amounts: [] })).to.throw(
+      "ids and amounts length mismatch: 1 != 0"
+    );
+  });
+});
@@ -0,0 +1,176 @@
+import { expect } from "chai";
+import { readFile } from "node:fs/promises";
+import { TypedDataEncoder, Wallet, ZeroAddress, getAddress } from "ethers";
+import {
+  DEFAULT_VALIDITY_PERIOD,
+  GASLESS_TYPES,
+  GASLESS_BATCH_TYPES,
+  buildGaslessDomain,
+  makeGaslessTx,
+  makeGaslessBatchTx,
+  makeValidityWindow,
+  validateGaslessTx,
+  validateGaslessBatchTx,
+  assertValidGaslessTx,
+  hashGaslessTx,
+  recoverGaslessTxSigner,
+  recoverGaslessBatchTxSigner,
+  signGaslessTx,
+  signGaslessBatchTx,
+} from "../../sdk/index.js";
+
+const EXECUTOR_SOURCE = new URL("../../contracts/executor/Tangem7702GaslessExecutor.sol", import.meta.url);
+
+// Reads `string private constant <NAME> = "<value>";` declarations from the executor source.
+async function readSolidityTypeStrings() {
+  const source = await readFile(EXECUTOR_SOURCE, "utf8");
+  const strings = {};
+  for (const match of source.matchAll(/string private constant (\w+)\s*=\s*"([^"]+)"/g)) {
+    strings[match[1]] = match[2];
+  }
+  return strings;
+}
+
+const TARGET = "0x00000000000000000000000000000000000000aa";
+const FEE_TOKEN = "0x00000000000000000000000000000000000000bb";
+const FEE_RECEIVER = "0x00000000000000000000000000000000000000cc";
+
+function sampleFee() {
+  return {
+    feeToken: FEE_TOKEN,
+    maxTokenFee: 1_000n,
+    coinPriceInToken: 2_000n,
+    feeTransferGasLimit: 60_000n,
+    baseGas: 30_000n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: FEE_RECEIVER,
+  };
+}
+
+describe("sdk/eip712", function () {
+  it("GASLESS_TYPES encode to the executor's Solidity type strings", async function () {
+    const sol = await readSolidityTypeStrings();
+
+    // EIP-712 encodeType appends referenced struct types sorted by name: Fee, then Transaction.
+    expect(TypedDataEncoder.from(GASLESS_TYPES).encodeType("GaslessTransaction")).to.equal(
+      sol.GASLESS_TRANSACTION_TYPE + sol.FEE_TYPE + sol.TRANSACTION_TYPE
+    );
+    expect(TypedDataEncoder.from(GASLESS_BATCH_TYPES).encodeType("GaslessBatchTransaction")).to.equal(
+      sol.GASLESS_BATCH_TRANSACTION_TYPE + sol.FEE_TYPE + sol.TRANSACTION_TYPE
+    );
+  });
+
+  it("Builds normalized payloads with default per-call gas limits", function () {
+    const gaslessTx = makeGaslessTx({
+      to: TARGET,
+      value: 1,
+      data: "0x",
+      ...sampleFee(),
+      nonce: 3,
+    });
+
+    expect(gaslessTx.transaction.to).to.equal(getAddress(TARGET));
+    expect(gaslessTx.transaction.value).to.equal(1n);
+    expect(gaslessTx.transaction.gasLimit).to.equal(200_000n);
+    expect(gaslessTx.nonce).to.equal(3n);
+
+    const batch = makeGaslessBatchTx({
+      transactions: [{ to: TARGET, value: 0n, data: "0x01" }, { to: TARGET, value: 0n, gasLimit: 50_000n, data: "0x" }],
+      ...sampleFee(),
+      nonce: 0n,
+    });
+
+    expect(batch.transactions.map((tx) => tx.gasLimit)).to.deep.equal([200_000n, 50_000n]);
+  });
+
+  it("Defaults the validity window to DEFAULT_VALIDITY_PERIOD from now", function () {
+    const before = BigInt(Math.floor(Date.now() / 1000));
+    const gaslessTx = makeGaslessTx({ to: TARGET, value: 0n, data: "0x", ...sampleFee(), nonce: 0n });
+    const after = BigInt(Math.floor(Date.now() / 1000));
+
+    expect(gaslessTx.validAfter).to.equal(0n);
+    expect(gaslessTx.validUntil >= before + DEFAULT_VALIDITY_PERIOD).to.equal(true);
+    expect(gaslessTx.validUntil <= after + DEFAULT_VALIDITY_PERIOD).to.equal(true);
+
+    expect(makeValidityWindow({ validAfter: 10, now: 100n })).to.deep.equal({
+      validAfter: 10n,
+      validUntil: 100n + DEFAULT_VALIDITY_PERIOD,
+    });
+    expect(makeValidityWindow({ validUntil: "200" }).validUntil).to.equal(200n);
+
+    const batch = makeGaslessBatchTx({
+      transactions: [{ to: TARGET, value: 0n, data: "0x" }, { to: TARGET, value: 0n, data: "0x" }],
+      ...sampleFee(),
+      nonce: 0n,
+      validAfter: 300n,
+      validUntil: 200n,
+    });
+    expect(validateGaslessBatchTx(batch)).to.deep.equal(["validUntil must not be before validAfter"]);
+  });
+
+  it("Reports every problem the executor would revert on", function () {
+    const gaslessTx = makeGaslessTx({ to: ZeroAddress, value: 0n, data: "0x", ...sampleFee(), nonce: 0n });
+    gaslessTx.fee.maxTokenFee = -1n;
+
+    expect(validateGaslessTx(gaslessTx)).to.deep.equal([
+      "transaction.to must not be the zero address",
+      "fee.maxTokenFee must fit in uint256",
+    ]);
+    expect(() => assertValidGaslessTx(gaslessTx)).to.throw("Invalid GaslessTransaction");
+
+    const batch = makeGaslessBatchTx({
+      transactions: [{ to: TARGET, value: 0n, data: "0x" }],
+      ...sampleFee(),
+      nonce: 0n,
+    });
+
+    expect(validateGaslessBatchTx(batch)).to.deep.equal(["transactions must contain at least 2 calls"]);
+  });
+
+  it("Signs offline with a plain ethers wallet and recovers the executor address", async function () {
+    const wallet = Wallet.createRandom();
+    const chainId = 137n;
+
+    const gaslessTx = makeGaslessTx({ to: TARGET, value: 0n, data: "0x1234", ...sampleFee(), nonce: 0n });
+    const { signature, digest } = await signGaslessTx({
+      signer: wallet,
+      executorAddress: wallet.address,
+      gaslessTx,
+      chainId,
+    });
+
+    const domain = buildGaslessDomain({ chainId, executorAddress: wallet.address });
+    expect(domain.verifyingContract).to.equal(wallet.address);
+    expect(digest).to.equal(hashGaslessTx(domain, gaslessTx));
+    expect(recoverGaslessTxSigner(domain, gaslessTx, signature)).to.equal(wallet.address);
+
+    const batch = makeGaslessBatchTx({
+      transactions: [{ to: TARGET, value: 0n, data: "0x" }, { to: TARGET, value: 1n, data: "0x" }],
+      ...sampleFee(),
+      nonce: 1n,
+    });
+    const batchSig = await signGaslessBatchTx({
+      signer: wallet,
+      executorAddress: wallet.address,
+      gaslessBatchTx: batch,
+      chainId,
+    });
+
+    expect(recoverGaslessBatchTxSigner(domain, batch, batchSig.signature)).to.equal(wallet.address);
+  });
+
+  it("Requires chainId when the signer has no provider", async function () {
+    const wallet = Wallet.createRandom();
+    const gaslessTx = makeGaslessTx({ to: TARGET, value: 0n, data: "0x", ...sampleFee(), nonce: 0n });
+
+    let error;
+    try {
+      await signGaslessTx({ signer: wallet, executorAddress: wallet.address, gaslessTx });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error?.message).to.contain("chainId is required");
+  });
+});
@@ -0,0 +1,79 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  delegationDesignatorCode,
+  parseDelegationDesignator,
+  getDelegate,
+  signAuthorization,
+  sendSetCodeTransaction,
+  delegateAccount,
+} from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployDelegateFixture() {
+  const [sponsor, authority] = await ethers.getSigners();
+
+  const delegateImpl = await ethers.deployContract("Tangem7702GaslessExecutorL1", sponsor);
+
+  return { sponsor, authority, delegateImpl };
+}
+
+describe("sdk/eip7702", function () {
+  it("Parses only exact delegation designators", function () {
+    const delegate = "0x00000000000000000000000000000000000000AA";
+    const code = delegationDesignatorCode(delegate);
+
+    expect(code.toLowerCase()).to.equal("0xef0100" + "00".repeat(19) + "aa");
+    expect(parseDelegationDesignator(code)).to.equal(ethers.getAddress(delegate));
+    expect(parseDelegationDesignator("0x")).to.equal(ethers.ZeroAddress);
+    expect(parseDelegationDesignator(code + "00")).to.equal(ethers.ZeroAddress);
+    expect(parseDelegationDesignator("0x6080" + code.slice(6))).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Delegates an account with a sponsored type-4 transaction", async function () {
+    const { sponsor, authority, delegateImpl } = await networkHelpers.loadFixture(deployDelegateFixture);
+
+    const receipt = await delegateAccount({
+      authority,
+      delegateAddress: await delegateImpl.getAddress(),
+      sponsor,
+    });
+
+    expect(receipt.type).to.equal(4);
+    expect(receipt.from).to.equal(sponsor.address);
+    expect(await getDelegate(ethers.provider, authority.address)).to.equal(await delegateImpl.getAddress());
+
+    // The delegated account now runs the executor code in its own context.
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", authority.address);
+    expect(await executor.nonce()).to.equal(0n);
+  });
+
+  it("Delegates a self-sponsored account and clears delegation with the zero address", async function () {
+    const { authority, delegateImpl } = await networkHelpers.loadFixture(deployDelegateFixture);
+
+    await delegateAccount({ authority, delegateAddress: await delegateImpl.getAddress() });
+    expect(await getDelegate(ethers.provider, authority.address)).to.equal(await delegateImpl.getAddress());
+
+    await delegateAccount({ authority, delegateAddress: ethers.ZeroAddress });
+    expect(await ethers.provider.getCode(authority.address)).to.equal("0x");
+    expect(await getDelegate(ethers.provider, authority.address)).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Skips authorizations signed for a stale account nonce", async function () {
+    const { sponsor, authority, delegateImpl } = await networkHelpers.loadFixture(deployDelegateFixture);
+
+    // The authority sends a transaction, so an authorization for its previous nonce becomes invalid.
+    const staleAuthorization = await signAuthorization({
+      signer: authority,
+      delegateAddress: await delegateImpl.getAddress(),
+    });
+    await (await authority.sendTransaction({ to: sponsor.address, value: 1n })).wait();
+
+    const tx = await sendSetCodeTransaction({ sender: sponsor, authorizations: [staleAuthorization] });
+    await tx.wait();
+
+    expect(await getDelegate(ethers.provider, authority.address)).to.equal(ethers.ZeroAddress);
+  });
+});
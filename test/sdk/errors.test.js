@@ -0,0 +1,207 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { Interface } from "ethers";
+import {
+  EXECUTOR_ABI,
+  ErrorSource,
+  FEE_TRANSFER_ERRORS_ABI,
+  SIGNATURE_ERRORS_ABI,
+  createDefaultAbiRegistry,
+  decodeGaslessError,
+  extractRevertData,
+} from "../../sdk/index.js";
+import { deployGaslessFixture, noFee, signedPayload } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+const executorInterface = new Interface(EXECUTOR_ABI);
+
+async function deployErrorsFixture() {
+  const [, executorEOA, relayer] = await ethers.getSigners();
+  const { executor, entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, install: "code" });
+  return { executorEOA, relayer, executor, token, target, entryPoint };
+}
+
+// Builds a fee-less payload calling `target` with `data`.
+function buildSignedTx({ executorEOA, token, target, data, nonce = 0n }) {
+  return signedPayload(executorEOA, target, { fee: noFee(token, executorEOA.address), data, nonce });
+}
+
+async function catchError(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return e;
+  }
+  throw new Error("Expected the call to revert");
+}
+
+describe("sdk/errors", function () {
+  it("Classifies InvalidNonce by whether the nonce is ahead or already used", function () {
+    const ahead = decodeGaslessError(executorInterface.encodeErrorResult("InvalidNonce", [3n, 5n]));
+    expect(ahead).to.include({ source: ErrorSource.EXECUTOR, name: "InvalidNonce", retryable: true });
+    expect(ahead.args).to.deep.equal({ expectedNonce: 3n, providedNonce: 5n });
+
+    const used = decodeGaslessError(executorInterface.encodeErrorResult("InvalidNonce", [3n, 1n]));
+    expect(used.retryable).to.equal(false);
+    expect(used.reason).to.equal("Nonce 1 was already used (executor nonce 3)");
+  });
+
+  it("Treats a payload before its window as retryable and an expired one as final", function () {
+    const early = decodeGaslessError(executorInterface.encodeErrorResult("TransactionNotYetValid", [200n, 100n]));
+    expect(early).to.include({ name: "TransactionNotYetValid", retryable: true });
+
+    const expired = decodeGaslessError(executorInterface.encodeErrorResult("TransactionExpired", [100n, 200n]));
+    expect(expired).to.include({ name: "TransactionExpired", retryable: false });
+    expect(expired.reason).to.equal("Payload expired at 100 (block timestamp 200)");
+  });
+
+  it("Treats an unknown relayer as final", function () {
+    const unknown = decodeGaslessError(executorInterface.encodeErrorResult("UnknownRelayer", []));
+    expect(unknown).to.include({ source: ErrorSource.EXECUTOR, name: "UnknownRelayer", retryable: false });
+    expect(unknown.reason).to.equal("The entry point reports no relayer to pay the fee to");
+  });
+
+  it("Attributes signature recovery errors to the executor and fee transfer errors to the fee", function () {
+    const signatureErrors = new Interface(SIGNATURE_ERRORS_ABI);
+    const badLength = decodeGaslessError(signatureErrors.encodeErrorResult("ECDSAInvalidSignatureLength", [64n]));
+    expect(badLength).to.include({ source: ErrorSource.EXECUTOR, name: "ECDSAInvalidSignatureLength", retryable: false });
+    expect(badLength.reason).to.equal("Signature is 64 bytes long, expected 65");
+    expect(decodeGaslessError(signatureErrors.encodeErrorResult("ECDSAInvalidSignature", []))).to.include({
+      source: ErrorSource.EXECUTOR,
+      retryable: false,
+    });
+
+    const feeErrors = new Interface(FEE_TRANSFER_ERRORS_ABI);
+    expect(decodeGaslessError(feeErrors.encodeErrorResult("FailedCall", []))).to.include({
+      source: ErrorSource.FEE,
+      name: "FailedCall",
+      retryable: false,
+    });
+    const insufficient = decodeGaslessError(feeErrors.encodeErrorResult("InsufficientBalance", [1n, 2n]));
+    expect(insufficient).to.include({ source: ErrorSource.FEE, retryable: true });
+    expect(insufficient.args).to.deep.equal({ balance: 1n, needed: 2n });
+    expect(decodeGaslessError(feeErrors.encodeErrorResult("SafeERC20FailedOperation", [ethers.ZeroAddress]))).to.include({
+      source: ErrorSource.FEE,
+      name: "SafeERC20FailedOperation",
+    });
+  });
+
+  it("Decodes a malformed signature rejected by the executor onchain", async function () {
+    const { executorEOA, relayer, executor, token, target } = await networkHelpers.loadFixture(deployErrorsFixture);
+    const { gaslessTx } = await buildSignedTx({
+      executorEOA,
+      token,
+      target,
+      data: target.interface.encodeFunctionData("ok", ["0x"]),
+      nonce: 0n,
+    });
+
+    const error = await catchError(executor.connect(relayer).executeTransaction.staticCall(gaslessTx, "0x1234", false));
+    expect(decodeGaslessError(error)).to.include({
+      source: ErrorSource.EXECUTOR,
+      name: "ECDSAInvalidSignatureLength",
+      reason: "Signature is 2 bytes long, expected 65",
+    });
+  });
+
+  it("Decodes reverts thrown by the executor onchain", async function () {
+    const { executorEOA, relayer, executor, token, target } = await networkHelpers.loadFixture(deployErrorsFixture);
+    const { gaslessTx, signature } = await buildSignedTx({
+      executorEOA,
+      token,
+      target,
+      data: target.interface.encodeFunctionData("ok", ["0x"]),
+      nonce: 2n,
+    });
+
+    const error = await catchError(executor.connect(relayer).executeTransaction.staticCall(gaslessTx, signature, false));
+    const decoded = decodeGaslessError(error);
+
+    expect(decoded).to.include({ source: ErrorSource.EXECUTOR, name: "InvalidNonce", retryable: true });
+    expect(decoded.data).to.equal(extractRevertData(error));
+  });
+
+  it("Decodes Error(string) bubbled up from the target", async function () {
+    const { executorEOA, relayer, executor, token, target } = await networkHelpers.loadFixture(deployErrorsFixture);
+    const { gaslessTx, signature } = await buildSignedTx({
+      executorEOA,
+      token,
+      target,
+      data: target.interface.encodeFunctionData("fail", []),
+    });
+
+    const error = await catchError(executor.connect(relayer).executeTransaction.staticCall(gaslessTx, signature, false));
+
+    expect(decodeGaslessError(error)).to.deep.include({
+      source: ErrorSource.TARGET,
+      name: "Error",
+      args: { message: "FAIL" },
+      reason: "Target call reverted: FAIL",
+      retryable: false,
+    });
+  });
+
+  it("Resolves the failed call selector against a pluggable registry", async function () {
+    const { executorEOA, relayer, executor, token, target } = await networkHelpers.loadFixture(deployErrorsFixture);
+    const { gaslessTx, signature } = await buildSignedTx({
+      executorEOA,
+      token,
+      target,
+      data: target.interface.encodeFunctionData("failNoData", []),
+    });
+
+    const error = await catchError(executor.connect(relayer).executeTransaction.staticCall(gaslessTx, signature, false));
+
+    const withoutTargetAbi = decodeGaslessError(error);
+    expect(withoutTargetAbi.name).to.equal("ExecutionFailedNotForced");
+    expect(withoutTargetAbi.call.function).to.equal(null);
+
+    const registry = createDefaultAbiRegistry([target.interface]);
+    const decoded = decodeGaslessError(error, { registry });
+    expect(decoded.call).to.deep.equal({
+      selector: target.interface.getFunction("failNoData").selector,
+      function: { name: "failNoData", signature: "failNoData()" },
+    });
+  });
+
+  it("Decodes InvalidDelegate from the entry point", async function () {
+    const { executorEOA, relayer, token, target, entryPoint } = await networkHelpers.loadFixture(deployErrorsFixture);
+    const { gaslessTx, signature } = await buildSignedTx({
+      executorEOA,
+      token,
+      target,
+      data: "0x",
+    });
+
+    // executorEOA carries the full runtime code instead of a delegation designator, so the delegate is zero.
+    const error = await catchError(
+      entryPoint.connect(relayer).executeTransaction.staticCall(gaslessTx, signature, false, executorEOA.address)
+    );
+
+    expect(decodeGaslessError(error)).to.include({
+      source: ErrorSource.ENTRY_POINT,
+      name: "InvalidDelegate",
+      retryable: false,
+    });
+  });
+
+  it("Decodes panics, registered custom errors, empty and unknown data", function () {
+    const panic = decodeGaslessError(
+      "0x4e487b71" + ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11n]).slice(2)
+    );
+    expect(panic).to.include({
+      source: ErrorSource.TARGET,
+      name: "Panic",
+      reason: "Target call panicked: arithmetic overflow or underflow (0x11)",
+    });
+
+    const tokenError = new Interface(["error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)"])
+      .encodeErrorResult("ERC20InsufficientBalance", [ethers.ZeroAddress, 1n, 2n]);
+    expect(decodeGaslessError(tokenError)).to.include({ source: ErrorSource.TARGET, name: "ERC20InsufficientBalance" });
+
+    expect(decodeGaslessError("0x")).to.include({ name: "EmptyRevert", retryable: true });
+    expect(decodeGaslessError("0xdeadbeef")).to.include({ source: ErrorSource.UNKNOWN, name: "UnknownError" });
+  });
+});
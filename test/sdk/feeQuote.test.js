@@ -0,0 +1,156 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  quoteFee,
+  quoteBatchFee,
+  computeTokenFee,
+  chargedGasPrice,
+  PRICE_PRECISION,
+  applySafetyMargin,
+  reservedPostCallGas,
+  batchCallOverhead,
+  makeGaslessTx,
+  signGaslessTx,
+  parseExecutionReceipt,
+} from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployFeeQuoteFixture() {
+  const [deployer, executorEOA, relayer, feeReceiver] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  // Install the executor runtime code at the EOA so address(this) == executorEOA.
+  await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(await impl.getAddress()));
+  const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+
+  return { deployer, executorEOA, relayer, feeReceiver, executor, token, target };
+}
+
+describe("sdk/feeQuote", function () {
+  it("Reproduces the onchain formula with rounding down", function () {
+    // (100_000 * 3 + 7) * 1_500e18 / 1e18 = 450_010.5 -> 450_010
+    expect(
+      computeTokenFee({ totalGas: 100_000n, gasPrice: 3n, l1Fee: 7n, coinPriceInToken: 1_500n * 10n ** 18n })
+    ).to.deep.equal({ weiCost: 300_007n, feeAmount: 450_010_500n });
+
+    expect(computeTokenFee({ totalGas: 3n, gasPrice: 1n, coinPriceInToken: 1n }).feeAmount).to.equal(0n);
+  });
+
+  it("Charges the wei cost as is for a native coin fee priced at PRICE_PRECISION", function () {
+    expect(
+      computeTokenFee({ totalGas: 100_000n, gasPrice: 3n, l1Fee: 7n, coinPriceInToken: PRICE_PRECISION })
+    ).to.deep.equal({ weiCost: 300_007n, feeAmount: 300_007n });
+  });
+
+  it("Caps the charged gas price at the base fee plus the signed priority fee", function () {
+    expect(chargedGasPrice({ gasPrice: 30n, baseFee: 10n, maxPriorityFeePerGas: 5n })).to.equal(15n);
+    expect(chargedGasPrice({ gasPrice: 12n, baseFee: 10n, maxPriorityFeePerGas: 5n })).to.equal(12n);
+  });
+
+  it("Recommends maxTokenFee with a safety margin rounded up", function () {
+    const quote = quoteFee({
+      callGas: 50_000n,
+      feeTransferGasLimit: 40_000n,
+      baseGas: 10_000n,
+      maxFeePerGas: 10_000_000_000n,
+      maxPriorityFeePerGas: 10_000_000_000n,
+      gasPrice: 10n,
+      coinPriceInToken: 10n ** 18n,
+      safetyMarginBps: 1_000n,
+    });
+
+    expect(quote.totalGas).to.equal(100_000n);
+    expect(quote.feeAmount).to.equal(1_000_000n);
+    expect(quote.maxTokenFee).to.equal(1_100_000n);
+    expect(applySafetyMargin(1n, 1n)).to.equal(2n);
+  });
+
+  it("Quotes zero when the fee is disabled", function () {
+    const quote = quoteFee({
+      callGas: 50_000n,
+      feeTransferGasLimit: 40_000n,
+      baseGas: 10_000n,
+      maxFeePerGas: 10_000_000_000n,
+      maxPriorityFeePerGas: 10_000_000_000n,
+      gasPrice: 10n,
+      coinPriceInToken: 0n,
+    });
+
+    expect(quote.feeAmount).to.equal(0n);
+    expect(quote.maxTokenFee).to.equal(0n);
+  });
+
+  it("Includes batch per-call reservations in the required gas", function () {
+    const transactions = [
+      { to: ethers.ZeroAddress, value: 0n, gasLimit: 30_000n, data: "0x" },
+      { to: ethers.ZeroAddress, value: 1n, gasLimit: 20_000n, data: "0x" },
+    ];
+    const fee = { coinPriceInToken: 1n, feeTransferGasLimit: 50_000n, feeReceiver: ethers.ZeroAddress };
+
+    // 2 * (1200 + 2500) + 9000 for the value-bearing call.
+    expect(batchCallOverhead(transactions)).to.equal(16_400n);
+    // A fee paid to the relayer also reserves the relayer lookup.
+    expect(reservedPostCallGas(fee, "OP")).to.equal(24_000n + 50_000n + 11_000n);
+    const fixedReceiver = "0x" + "11".repeat(20);
+    expect(reservedPostCallGas({ ...fee, feeReceiver: fixedReceiver }, "OP")).to.equal(74_000n);
+    expect(reservedPostCallGas({ ...fee, coinPriceInToken: 0n }, "L1")).to.equal(14_000n);
+
+    const quote = quoteBatchFee({
+      transactions,
+      feeTransferGasLimit: 50_000n,
+      baseGas: 0n,
+      maxFeePerGas: 10_000_000_000n,
+      maxPriorityFeePerGas: 10_000_000_000n,
+      gasPrice: 1n,
+      coinPriceInToken: 10n ** 18n,
+      feeReceiver: ethers.ZeroAddress,
+      variant: "L1",
+    });
+
+    expect(quote.reservedGas).to.equal(75_000n + 16_400n);
+    expect(quote.requiredGas).to.equal(50_000n + 75_000n + 16_400n);
+    // Worst case: all call gas limits + overheads, plus fee transfer budget.
+    expect(quote.totalGas).to.equal(50_000n + 16_400n + 50_000n);
+  });
+
+  it("Matches the fee charged onchain for the measured gas", async function () {
+    const { deployer, executorEOA, relayer, feeReceiver, executor, token, target } =
+      await networkHelpers.loadFixture(deployFeeQuoteFixture);
+
+    await token.connect(deployer).mint(executorEOA.address, 10n ** 24n);
+
+    const fee = {
+      feeToken: await token.getAddress(),
+      maxTokenFee: 10n ** 24n,
+      coinPriceInToken: 1_234n * 10n ** 15n,
+      feeTransferGasLimit: 60_000n,
+      baseGas: 25_000n,
+      maxFeePerGas: 10_000_000_000n,
+      maxPriorityFeePerGas: 10_000_000_000n,
+      feeReceiver: feeReceiver.address,
+    };
+    const gaslessTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x01"]),
+      ...fee,
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+
+    const gasPrice = 3_000_000_000n;
+    const tx = await executor.connect(relayer).executeTransaction(gaslessTx, signature, false, { gasPrice });
+    const { fee: charged } = parseExecutionReceipt(await tx.wait());
+
+    const callGas = charged.totalGas - fee.feeTransferGasLimit - fee.baseGas;
+    const quote = quoteFee({ callGas, ...fee, gasPrice, l1Fee: charged.l1Fee });
+
+    expect(quote.totalGas).to.equal(charged.totalGas);
+    expect(quote.feeAmount).to.equal(charged.amount);
+  });
+});
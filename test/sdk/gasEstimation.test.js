@@ -0,0 +1,169 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  delegateAccount,
+  estimateCallGas,
+  estimateGasLimits,
+  intrinsicGas,
+  makeFee,
+  makeGaslessBatchTx,
+  makeGaslessTx,
+  relayGasLimit,
+  requiredExecutionGas,
+  reservedPostCallGas,
+  signGaslessBatchTx,
+  signGaslessTx,
+} from "../../sdk/index.js";
+import { deployGaslessFixture, noFee, paidFee } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+// The executor is left undelegated so estimates can be simulated before delegation.
+async function deployEstimationFixture() {
+  const [deployer, executorEOA, relayer] = await ethers.getSigners();
+  const { impl, entryPoint, token, target } = await deployGaslessFixture(conn);
+  return { deployer, executorEOA, relayer, impl, entryPoint, token, target };
+}
+
+const feeOf = ({ token, executorEOA }, overrides) => makeFee(noFee(token, executorEOA.address, overrides));
+
+describe("sdk/gasEstimation", function () {
+  it("Computes intrinsic gas with the calldata floor", async function () {
+    expect(intrinsicGas("0x")).to.deep.equal({ standard: 21_000n, floor: 21_000n });
+    expect(intrinsicGas("0x0001")).to.deep.equal({ standard: 21_020n, floor: 21_050n });
+  });
+
+  it("Estimates a call gas limit the executor can execute without headroom", async function () {
+    const fixture = await networkHelpers.loadFixture(deployEstimationFixture);
+    const { executorEOA, relayer, impl, token, target } = fixture;
+
+    const transaction = { to: target.target, value: 0n, data: target.interface.encodeFunctionData("ok", ["0x1234"]) };
+
+    // Simulated before delegation, with the delegate code injected by state override.
+    const {
+      transactions: [estimated],
+      gasUsed: [gasUsed],
+      requiredGas,
+    } = await estimateGasLimits({
+      provider: ethers.provider,
+      executorAddress: executorEOA.address,
+      delegateAddress: impl.target,
+      transactions: [transaction],
+      fee: feeOf(fixture),
+      headroomBps: 0n,
+    });
+
+    expect(estimated.gasLimit).to.equal(gasUsed);
+    expect(requiredGas).to.equal(gasUsed + reservedPostCallGas(feeOf(fixture)));
+
+    await networkHelpers.setCode(executorEOA.address, await ethers.provider.getCode(impl.target));
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+
+    // One gas less than the estimate runs the target out of gas (checked first, while its storage is still empty).
+    const tight = makeGaslessTx({ ...estimated, gasLimit: gasUsed - 1n, ...feeOf(fixture), nonce: 0n });
+    const tightSig = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx: tight });
+    await expect(executor.connect(relayer).executeTransaction(tight, tightSig.signature, false)).to.be.revert(ethers);
+
+    const gaslessTx = makeGaslessTx({ ...estimated, ...feeOf(fixture), nonce: 0n });
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+    await executor.connect(relayer).executeTransaction(gaslessTx, signature, false);
+    expect(await target.calls()).to.equal(1n);
+  });
+
+  it("Applies headroom and the batch reservations", async function () {
+    const fixture = await networkHelpers.loadFixture(deployEstimationFixture);
+    const { executorEOA, impl, target } = fixture;
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const fee = feeOf(fixture, { coinPriceInToken: 1n, feeTransferGasLimit: 50_000n });
+    const { transactions, gasUsed, requiredGas } = await estimateGasLimits({
+      provider: ethers.provider,
+      executorAddress: executorEOA.address,
+      delegateAddress: impl.target,
+      transactions: [
+        { to: target.target, value: 0n, data },
+        { to: target.target, value: 1n, data },
+      ],
+      fee,
+    });
+
+    expect(transactions[0].gasLimit).to.equal((gasUsed[0] * 12_000n + 9_999n) / 10_000n);
+    expect(requiredGas).to.equal(requiredExecutionGas({ transactions, fee, batch: true }));
+    expect(requiredGas).to.equal(
+      transactions[0].gasLimit + transactions[1].gasLimit + 14_000n + 50_000n + 2n * (1200n + 2500n) + 9000n
+    );
+
+    await expect(
+      estimateGasLimits({
+        provider: ethers.provider,
+        executorAddress: executorEOA.address,
+        delegateAddress: impl.target,
+        transactions,
+        fee,
+        maxGas: requiredGas - 1n,
+      })
+    ).to.be.rejectedWith("above the");
+  });
+
+  it("Sizes the relaying transaction for the entry point and signature verification", async function () {
+    const fixture = await networkHelpers.loadFixture(deployEstimationFixture);
+    const { deployer, executorEOA, relayer, impl, entryPoint, token, target } = fixture;
+    const [, , , feeReceiver] = await ethers.getSigners();
+
+    await delegateAccount({ authority: executorEOA, delegateAddress: impl.target, sponsor: deployer });
+    await token.mint(executorEOA.address, 10n ** 24n);
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const fee = makeFee(paidFee(token, feeReceiver.address, { baseGas: 0n, feeTransferGasLimit: 60_000n }));
+    const { transactions, requiredGas, relayGasLimit: batchGasLimit } = await estimateGasLimits({
+      provider: ethers.provider,
+      executorAddress: executorEOA.address,
+      transactions: [
+        { to: target.target, value: 0n, data },
+        { to: target.target, value: 0n, data },
+      ],
+      fee,
+    });
+    expect(batchGasLimit > requiredGas).to.equal(true);
+
+    const gaslessBatchTx = makeGaslessBatchTx({ transactions, ...fee, nonce: 0n });
+    const batchSig = await signGaslessBatchTx({
+      signer: executorEOA,
+      executorAddress: executorEOA.address,
+      gaslessBatchTx,
+    });
+    const relayBatch = entryPoint.connect(relayer).executeBatchTransaction;
+    const batchArgs = [gaslessBatchTx, batchSig.signature, false, executorEOA.address];
+
+    // The executor requirement alone leaves nothing for the relay overhead; the estimated gas limit is enough.
+    await expect(relayBatch.staticCall(...batchArgs, { gasLimit: requiredGas })).to.be.revert(ethers);
+    await relayBatch(...batchArgs, { gasLimit: batchGasLimit });
+
+    const gaslessTx = makeGaslessTx({ ...transactions[0], ...fee, nonce: 1n });
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+    const gasLimit = relayGasLimit(gaslessTx, { executorAddress: executorEOA.address });
+    await entryPoint.connect(relayer).executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasLimit });
+
+    expect(await target.calls()).to.equal(3n);
+  });
+
+  it("Throws with the decoded revert when the call always reverts", async function () {
+    const { executorEOA, impl, target } = await networkHelpers.loadFixture(deployEstimationFixture);
+
+    let error;
+    try {
+      await estimateCallGas({
+        provider: ethers.provider,
+        executorAddress: executorEOA.address,
+        delegateAddress: impl.target,
+        transaction: { to: target.target, value: 0n, data: target.interface.encodeFunctionData("fail", []) },
+      });
+    } catch (e) {
+      error = e;
+    }
+
+    expect(error.message).to.equal(`Call to ${target.target} reverts: Target call reverted: FAIL`);
+    expect(error.revert.name).to.equal("Error");
+  });
+});
@@ -0,0 +1,43 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { NonceKey, decodeNonce, encodeNonce, nonceKeyFor, readExecutorNonce } from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployNonceFixture() {
+  const [deployer, authority] = await ethers.getSigners();
+
+  const delegateImpl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+
+  return { authority, delegateImpl };
+}
+
+describe("sdk/nonces", function () {
+  it("Encodes and decodes keyed nonces", function () {
+    const nonce = encodeNonce({ key: NonceKey.PAYMENTS, sequence: 7n });
+
+    expect(nonce).to.equal((NonceKey.PAYMENTS << 64n) | 7n);
+    expect(decodeNonce(nonce)).to.deep.equal({ key: NonceKey.PAYMENTS, sequence: 7n });
+    expect(decodeNonce(5n)).to.deep.equal({ key: NonceKey.DEFAULT, sequence: 5n });
+
+    expect(() => encodeNonce({ key: 1n << 192n, sequence: 0n })).to.throw("does not fit in uint192");
+    expect(() => encodeNonce({ key: 0n, sequence: 1n << 64n })).to.throw("does not fit in uint64");
+  });
+
+  it("Derives distinct non-zero keys per use case", function () {
+    expect(nonceKeyFor("payments")).to.equal(NonceKey.PAYMENTS);
+    expect(NonceKey.PAYMENTS).to.not.equal(0n);
+    expect(NonceKey.PAYMENTS).to.not.equal(NonceKey.NFT);
+    expect(NonceKey.NFT < 1n << 192n).to.equal(true);
+  });
+
+  it("Reads the nonce of a key before the account is delegated", async function () {
+    const { authority, delegateImpl } = await networkHelpers.loadFixture(deployNonceFixture);
+    const delegate = await delegateImpl.getAddress();
+
+    expect(await readExecutorNonce(ethers.provider, authority.address, delegate)).to.equal(0n);
+    expect(await readExecutorNonce(ethers.provider, authority.address, delegate, NonceKey.NFT))
+      .to.equal(encodeNonce({ key: NonceKey.NFT, sequence: 0n }));
+  });
+});
@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  PreflightCode,
+  makeGaslessTx,
+  makeGaslessBatchTx,
+  preflight,
+  quoteFee,
+  signGaslessTx,
+} from "../../sdk/index.js";
+import { deployGaslessFixture, paidFee } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployPreflightFixture() {
+  const [, executorEOA, feeReceiver, otherEOA] = await ethers.getSigners();
+  const { impl, entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, mint: 10n ** 18n });
+  return { executorEOA, feeReceiver, otherEOA, impl, entryPoint, token, target };
+}
+
+// Builds an unsigned `ok` call whose maximum fee is the executor's whole balance.
+async function buildTx({ feeReceiver, token, target }, overrides = {}) {
+  return makeGaslessTx({
+    to: target.target,
+    value: 0n,
+    data: target.interface.encodeFunctionData("ok", ["0x"]),
+    ...paidFee(token, feeReceiver.address, { maxTokenFee: 10n ** 18n }),
+    nonce: 0n,
+    ...overrides,
+  });
+}
+
+const codes = (violations) => violations.map((v) => v.code);
+
+describe("sdk/preflight", function () {
+  it("Passes a payload the entry point would execute", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { executorEOA, entryPoint } = fixture;
+
+    const gaslessTx = await buildTx(fixture);
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+
+    const violations = await preflight(gaslessTx, executorEOA.address, ethers.provider, {
+      entryPointAddress: await entryPoint.getAddress(),
+      signature,
+      gasPrice: 10n ** 9n,
+    });
+
+    expect(violations).to.deep.equal([]);
+  });
+
+  it("Reports every violation at once", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { executorEOA, otherEOA, entryPoint, token, feeReceiver } = fixture;
+
+    const gaslessBatchTx = makeGaslessBatchTx({
+      transactions: [{ to: ethers.ZeroAddress, value: 0n, data: "0x" }],
+      ...paidFee(token, feeReceiver.address, {
+        maxTokenFee: 1n,
+        coinPriceInToken: 10n ** 30n,
+        maxFeePerGas: 1n,
+        maxPriorityFeePerGas: 1n,
+      }),
+      nonce: 3n,
+      validUntil: 1n,
+    });
+    const signature = await otherEOA.signMessage("not a gasless signature");
+
+    const violations = await preflight(gaslessBatchTx, executorEOA.address, ethers.provider, {
+      entryPointAddress: await entryPoint.getAddress(),
+      signature,
+      gasPrice: 10n ** 9n,
+    });
+
+    expect(codes(violations)).to.deep.equal([
+      PreflightCode.INVALID_CALLS_LENGTH,
+      PreflightCode.ZERO_TARGET,
+      PreflightCode.TRANSACTION_EXPIRED,
+      PreflightCode.INVALID_NONCE,
+      PreflightCode.INVALID_SIGNER,
+      PreflightCode.MAX_FEE_PER_GAS_EXCEEDED,
+      PreflightCode.MAX_FEE_EXCEEDED,
+      PreflightCode.INSUFFICIENT_FUNDS_FOR_FEE,
+    ]);
+    expect(violations[3].message).to.equal("nonce is 3, executor expects 0");
+  });
+
+  it("Predicts the fee at the gas price the executor charges", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { executorEOA } = fixture;
+
+    // A relayer paying 10 gwei is only charged the base fee plus the signed 1 wei tip.
+    const { baseFeePerGas } = await ethers.provider.getBlock("latest");
+    const unsigned = await buildTx(fixture, { maxPriorityFeePerGas: 1n });
+    const { feeAmount } = quoteFee({
+      ...unsigned.fee,
+      gasPrice: baseFeePerGas + 1n,
+      callGas: unsigned.transaction.gasLimit,
+    });
+    const gaslessTx = await buildTx(fixture, { maxPriorityFeePerGas: 1n, maxTokenFee: feeAmount });
+
+    const violations = await preflight(gaslessTx, executorEOA.address, ethers.provider, { gasPrice: 10n ** 10n });
+
+    expect(violations).to.deep.equal([]);
+  });
+
+  it("Reports a missing delegation and still checks the nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { otherEOA, impl, entryPoint } = fixture;
+
+    const gaslessTx = await buildTx(fixture, { nonce: 1n, coinPriceInToken: 0n });
+
+    const violations = await preflight(gaslessTx, otherEOA.address, ethers.provider, {
+      entryPointAddress: await entryPoint.getAddress(),
+    });
+
+    expect(violations).to.deep.equal([
+      {
+        code: PreflightCode.INVALID_DELEGATE,
+        message: `executor ${otherEOA.address} delegates to ${ethers.ZeroAddress}, expected ${await impl.getAddress()}`,
+      },
+      { code: PreflightCode.INVALID_NONCE, message: "nonce is 1, executor expects 0" },
+    ]);
+  });
+
+  it("Reports call gas limits that cannot fit in a transaction", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { executorEOA } = fixture;
+
+    const gaslessTx = await buildTx(fixture, { gasLimit: 20_000_000n, coinPriceInToken: 0n });
+
+    const violations = await preflight(gaslessTx, executorEOA.address, ethers.provider);
+
+    expect(codes(violations)).to.deep.equal([PreflightCode.INSUFFICIENT_GAS]);
+  });
+
+  it("Skips on-chain checks for malformed payloads", async function () {
+    const fixture = await networkHelpers.loadFixture(deployPreflightFixture);
+    const { executorEOA } = fixture;
+
+    const gaslessTx = { ...(await buildTx(fixture)), nonce: -1n };
+
+    const violations = await preflight(gaslessTx, executorEOA.address, ethers.provider);
+
+    expect(violations).to.deep.equal([{ code: PreflightCode.MALFORMED, message: "nonce must fit in uint256" }]);
+  });
+});
@@ -0,0 +1,88 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  PreflightCode,
+  delegateAccount,
+  feedCoinPrice,
+  makeGaslessTx,
+  makePriceCheckedFee,
+  preflight,
+  readFeedCoinPrice,
+} from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployFeedFixture() {
+  const [deployer, executorEOA, feeReceiver] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const token = await ethers.deployContract("ERC20DecimalsMock", ["MockUSD", "MUSD", 6], deployer);
+  const feed = await ethers.deployContract("AggregatorV3Mock", [8], deployer);
+  await feed.setRoundData(3_000n * 10n ** 8n, await networkHelpers.time.latest());
+
+  await delegateAccount({ authority: executorEOA, delegateAddress: await impl.getAddress(), sponsor: deployer });
+  await token.mint(executorEOA.address, 10n ** 12n);
+
+  const fee = {
+    feeToken: await token.getAddress(),
+    maxTokenFee: 10n ** 12n,
+    priceFeed: await feed.getAddress(),
+    maxPriceDeviationBps: 100n,
+    maxPriceAge: 3_600n,
+    feeTransferGasLimit: 100_000n,
+    baseGas: 0n,
+    maxFeePerGas: 10_000_000_000n,
+    maxPriorityFeePerGas: 10_000_000_000n,
+    feeReceiver: feeReceiver.address,
+  };
+  return { executorEOA, impl, token, feed, fee };
+}
+
+describe("sdk/priceFeed", function () {
+  it("Rescales feed answers to the fee token decimals, rounding down", function () {
+    expect(feedCoinPrice({ answer: 3_000n * 10n ** 8n, feedDecimals: 8, tokenDecimals: 6 })).to.equal(3_000n * 10n ** 6n);
+    expect(feedCoinPrice({ answer: 123_456_789n, feedDecimals: 8, tokenDecimals: 0 })).to.equal(1n);
+  });
+
+  it("Builds a price-checked fee priced at the feed when coinPriceInToken is omitted", async function () {
+    const { fee, feed, token } = await networkHelpers.loadFixture(deployFeedFixture);
+
+    const built = await makePriceCheckedFee(ethers.provider, fee);
+
+    expect(built.coinPriceInToken).to.equal(3_000n * 10n ** 6n);
+    expect(built.priceFeed).to.equal(await feed.getAddress());
+    expect((await readFeedCoinPrice(ethers.provider, { priceFeed: fee.priceFeed, feeToken: await token.getAddress() })).feedPrice)
+      .to.equal(built.coinPriceInToken);
+  });
+
+  it("Rejects prices the executor would reject", async function () {
+    const { fee, feed } = await networkHelpers.loadFixture(deployFeedFixture);
+
+    await expect(makePriceCheckedFee(ethers.provider, { ...fee, coinPriceInToken: 3_100n * 10n ** 6n }))
+      .to.be.rejectedWith("deviates from the feed price 3000000000 by more than 100 bps");
+
+    await feed.setRoundData(3_000n * 10n ** 8n, BigInt(await networkHelpers.time.latest()) - 7_200n);
+    await expect(makePriceCheckedFee(ethers.provider, fee)).to.be.rejectedWith("above maxPriceAge 3600");
+  });
+
+  it("Reports price check violations in preflight", async function () {
+    const { executorEOA, impl, fee } = await networkHelpers.loadFixture(deployFeedFixture);
+
+    const gaslessTx = makeGaslessTx({
+      to: executorEOA.address,
+      value: 0n,
+      data: "0x",
+      ...fee,
+      coinPriceInToken: 2_000n * 10n ** 6n,
+      nonce: 0n,
+    });
+
+    const violations = await preflight(gaslessTx, executorEOA.address, ethers.provider, {
+      requiredDelegateAddress: await impl.getAddress(),
+      gasPrice: 10n ** 9n,
+    });
+
+    expect(violations.map(({ code }) => code)).to.deep.equal([PreflightCode.PRICE_DEVIATION_EXCEEDED]);
+  });
+});
@@ -0,0 +1,195 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  ExecutionStatus,
+  delegateAccount,
+  makeGaslessTx,
+  makeGaslessBatchTx,
+  parseExecutionReceipt,
+  signGaslessTx,
+  signGaslessBatchTx,
+} from "../../sdk/index.js";
+import { deployGaslessFixture, paidFee, signedPayload } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployReceiptFixture() {
+  const [, executorEOA, relayer, feeReceiver] = await ethers.getSigners();
+  const { entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, mint: 10n ** 24n });
+  return { executorEOA, relayer, feeReceiver, entryPoint, token, target };
+}
+
+const feeParams = ({ token, feeReceiver }, overrides) => paidFee(token, feeReceiver.address, overrides);
+
+describe("sdk/receipt", function () {
+  it("Reports a successful single execution with the charged fee", async function () {
+    const fixture = await networkHelpers.loadFixture(deployReceiptFixture);
+    const { executorEOA, relayer, feeReceiver, entryPoint, token, target } = fixture;
+
+    const { gaslessTx, signature } = await signedPayload(executorEOA, target, { fee: feeParams(fixture) });
+
+    const tx = await entryPoint.connect(relayer).executeTransaction(gaslessTx, signature, false, executorEOA.address);
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report).to.deep.include({
+      executor: executorEOA.address,
+      nonce: 0n,
+      batch: false,
+      status: ExecutionStatus.SUCCESS,
+      totalCalls: 1n,
+      executedCalls: 1n,
+      failedIndex: null,
+      feeTransferGasLimitExceeded: false,
+    });
+    expect(report.fee.receiver).to.equal(feeReceiver.address);
+    expect(report.fee.token).to.equal(await token.getAddress());
+    expect(report.fee.amount).to.equal(await token.balanceOf(feeReceiver.address));
+    expect(report.fee.l1Fee).to.equal(0n);
+    expect(report.fee.totalGas > 0n).to.equal(true);
+  });
+
+  it("Reports a forced single call failure", async function () {
+    const fixture = await networkHelpers.loadFixture(deployReceiptFixture);
+    const { executorEOA, relayer, entryPoint, target } = fixture;
+
+    const { gaslessTx, signature } = await signedPayload(executorEOA, target, {
+      fee: feeParams(fixture, { coinPriceInToken: 0n }),
+      data: target.interface.encodeFunctionData("fail", []),
+    });
+
+    const tx = await entryPoint.connect(relayer).executeTransaction(gaslessTx, signature, true, executorEOA.address, { gasLimit: 5_000_000n });
+    const report = parseExecutionReceipt(await tx.wait(), { executorAddress: executorEOA.address });
+
+    expect(report.status).to.equal(ExecutionStatus.FAILED);
+    expect(report.failedIndex).to.equal(0n);
+    expect(report.failedCall).to.deep.equal({
+      to: await target.getAddress(),
+      value: 0n,
+      selector: target.interface.getFunction("fail").selector,
+    });
+    expect(report.fee).to.equal(null);
+  });
+
+  it("Reports a partial batch and an exceeded fee transfer gas limit", async function () {
+    const fixture = await networkHelpers.loadFixture(deployReceiptFixture);
+    const { executorEOA, relayer, entryPoint, target } = fixture;
+
+    const okData = target.interface.encodeFunctionData("ok", ["0x"]);
+    const gaslessBatchTx = makeGaslessBatchTx({
+      transactions: [
+        { to: await target.getAddress(), value: 0n, data: okData },
+        { to: await target.getAddress(), value: 0n, data: target.interface.encodeFunctionData("fail", []) },
+        { to: await target.getAddress(), value: 0n, data: okData },
+      ],
+      ...feeParams(fixture, { feeTransferGasLimit: 1n }),
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessBatchTx({
+      signer: executorEOA,
+      executorAddress: executorEOA.address,
+      gaslessBatchTx,
+    });
+
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeBatchTransaction(gaslessBatchTx, signature, true, executorEOA.address, { gasLimit: 5_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report).to.deep.include({
+      batch: true,
+      status: ExecutionStatus.PARTIAL,
+      totalCalls: 3n,
+      executedCalls: 1n,
+      failedIndex: 1n,
+      feeTransferGasLimitExceeded: true,
+    });
+    expect(report.feeTransferGasUsed > 1n).to.equal(true);
+    expect(report.fee).to.not.equal(null);
+  });
+
+  it("Ignores the events of another executor called by the payload", async function () {
+    const fixture = await networkHelpers.loadFixture(deployReceiptFixture);
+    const { executorEOA, relayer, feeReceiver, entryPoint, token, target } = fixture;
+    const [deployer, , , , innerEOA] = await ethers.getSigners();
+
+    // The payload of executorEOA relays a payload of another delegated executor.
+    const delegateAddress = await entryPoint.requiredDelegateAddress();
+    await delegateAccount({ authority: innerEOA, delegateAddress, sponsor: deployer });
+    const innerTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("ok", ["0x"]),
+      ...feeParams(fixture, { coinPriceInToken: 0n }),
+      nonce: 0n,
+    });
+    const inner = await signGaslessTx({ signer: innerEOA, executorAddress: innerEOA.address, gaslessTx: innerTx });
+
+    const innerExecutor = await ethers.getContractAt("Tangem7702GaslessExecutor", innerEOA.address);
+    const gaslessTx = makeGaslessTx({
+      to: innerEOA.address,
+      value: 0n,
+      gasLimit: 500_000n,
+      data: innerExecutor.interface.encodeFunctionData("executeTransaction", [innerTx, inner.signature, false]),
+      ...feeParams(fixture),
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasLimit: 5_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(report.executor).to.equal(executorEOA.address);
+    expect(report.fee.amount).to.equal(await token.balanceOf(feeReceiver.address));
+  });
+
+  it("Reports the outermost execution when the payload re-enters the same executor", async function () {
+    const fixture = await networkHelpers.loadFixture(deployReceiptFixture);
+    const { executorEOA, relayer, feeReceiver, entryPoint, token, target } = fixture;
+    const [deployer] = await ethers.getSigners();
+
+    // The nested payload fails in forced mode and pays its own fee to another receiver.
+    const innerTx = makeGaslessTx({
+      to: await target.getAddress(),
+      value: 0n,
+      data: target.interface.encodeFunctionData("fail", []),
+      ...feeParams(fixture, { feeReceiver: deployer.address }),
+      nonce: 1n,
+    });
+    const inner = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx: innerTx });
+
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+    const gaslessTx = makeGaslessTx({
+      to: executorEOA.address,
+      value: 0n,
+      gasLimit: 500_000n,
+      data: executor.interface.encodeFunctionData("executeTransaction", [innerTx, inner.signature, true]),
+      ...feeParams(fixture),
+      nonce: 0n,
+    });
+    const { signature } = await signGaslessTx({ signer: executorEOA, executorAddress: executorEOA.address, gaslessTx });
+
+    const tx = await entryPoint
+      .connect(relayer)
+      .executeTransaction(gaslessTx, signature, false, executorEOA.address, { gasLimit: 5_000_000n });
+    const report = parseExecutionReceipt(await tx.wait());
+
+    expect(await token.balanceOf(deployer.address)).to.be.greaterThan(0n);
+    expect(report.nonce).to.equal(0n);
+    expect(report.status).to.equal(ExecutionStatus.SUCCESS);
+    expect(report.failedCall).to.equal(null);
+    expect(report.fee.receiver).to.equal(feeReceiver.address);
+    expect(report.fee.amount).to.equal(await token.balanceOf(feeReceiver.address));
+  });
+
+  it("Throws when the receipt has no execution event", async function () {
+    const { relayer, feeReceiver } = await networkHelpers.loadFixture(deployReceiptFixture);
+
+    const tx = await relayer.sendTransaction({ to: feeReceiver.address, value: 1n });
+    const receipt = await tx.wait();
+
+    expect(() => parseExecutionReceipt(receipt)).to.throw("contains no gasless execution event");
+  });
+});
@@ -0,0 +1,26 @@
+import { expect } from "chai";
+import { EIP712_DOMAIN_VERSION, SUPPORTED_CHAIN_IDS, getDeployment } from "../../sdk/index.js";
+
+describe("sdk/registry", function () {
+  it("Looks up the deployment of a chain", async function () {
+    expect(getDeployment(8453, { executorVersion: "1" })).to.deep.equal({
+      chainId: 8453n,
+      executorType: "OP",
+      executorVersion: "1",
+      executor: "0x61dD8620410a2372CbE4946f9148671F38F93fC7",
+      entryPoint: "0x032E129855EbAF646B37211B58dd88c9425fd492",
+    });
+    expect(getDeployment(42161n, { executorVersion: "1" }).executorType).to.equal("arbitrum");
+  });
+
+  it("Only serves deployments of the SDK's executor version by default", async function () {
+    // Every recorded deployment predates the current executor version.
+    expect(EIP712_DOMAIN_VERSION).to.equal("2");
+    expect(SUPPORTED_CHAIN_IDS).to.deep.equal([]);
+    expect(() => getDeployment(8453)).to.throw("The executor deployed on chain 8453 is version 1, expected version 2");
+  });
+
+  it("Rejects chains without a deployment", async function () {
+    expect(() => getDeployment(31337n)).to.throw("No deployment on chain 31337");
+  });
+});
@@ -0,0 +1,153 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { checkDeployment, stripMetadata } from "../../tasks/bytecode.ts";
+import { deployContracts } from "../../tasks/deploy.ts";
+import { buildManifest } from "../../tasks/manifest.ts";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployManifestFixture() {
+  const deployed = await deployContracts(ethers, { type: "OP" });
+  return buildManifest(hre, ethers, {
+    network: "default",
+    chainId: 31337n,
+    executorType: "OP",
+    executorContract: "Tangem7702GaslessExecutorOP",
+    deployed,
+  });
+}
+
+const issues = (drift) => drift.map((contract) => contract.issues);
+
+// Rewrites the byte at `offset` from the end of the code at `address`.
+async function patchCode(address, offsetFromEnd) {
+  const code = ethers.getBytes(await ethers.provider.getCode(address));
+  code[code.length - offsetFromEnd] ^= 0xff;
+  await networkHelpers.setCode(address, ethers.hexlify(code));
+}
+
+describe("tasks/bytecode", function () {
+  it("Matches fresh deployments, immutables included", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+
+    const drift = await checkDeployment(hre, ethers, manifest);
+
+    expect(drift.map(({ contract }) => contract)).to.deep.equal([
+      "Tangem7702GaslessExecutorOP",
+      "Tangem7702GaslessEntryPoint",
+    ]);
+    expect(drift.map(({ build }) => build)).to.deep.equal(["current", "current"]);
+    expect(issues(drift)).to.deep.equal([[], []]);
+  });
+
+  it("Ignores the metadata hash", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+
+    // The last bytes of the CBOR trailer belong to the compiler version, before the 2-byte length.
+    await patchCode(manifest.contracts.entryPoint.address, 5);
+
+    expect(issues(await checkDeployment(hre, ethers, manifest))).to.deep.equal([[], []]);
+  });
+
+  it("Reports changed code", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+    const { address } = manifest.contracts.entryPoint;
+
+    const code = ethers.getBytes(await ethers.provider.getCode(address));
+    const metadataLength = code.length - stripMetadata(code).length;
+    await patchCode(address, metadataLength + 1);
+
+    expect(issues(await checkDeployment(hre, ethers, manifest))).to.deep.equal([
+      [],
+      [`runtime code differs from the artifact at byte ${code.length - metadataLength - 1}`],
+    ]);
+  });
+
+  it("Reports immutables that do not belong to the deployment", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+    const other = await deployContracts(ethers, { type: "OP" });
+
+    // An entry point bound to another executor, and an executor whose domain was built for another chain.
+    const tampered = {
+      ...manifest,
+      chainId: 8453,
+      contracts: { ...manifest.contracts, entryPoint: { ...manifest.contracts.entryPoint, address: other.entryPoint } },
+    };
+    const [executor, entryPoint] = issues(await checkDeployment(hre, ethers, tampered));
+
+    expect(executor).to.have.length(2);
+    expect(executor[0]).to.match(/^immutable _cachedDomainSeparator is 0x[0-9a-f]{64}, expected 0x[0-9a-f]{64}$/);
+    expect(executor[1]).to.equal(
+      `immutable _cachedChainId is ${ethers.toBeHex(31337n, 32)}, expected ${ethers.toBeHex(8453n, 32)}`
+    );
+    expect(entryPoint).to.deep.equal([
+      `immutable requiredDelegateAddress is ${ethers.zeroPadValue(other.executor, 32).toLowerCase()}, ` +
+        `expected ${ethers.zeroPadValue(manifest.contracts.executor.address, 32).toLowerCase()}`,
+    ]);
+  });
+
+  it("Compares contracts deployed from an earlier build with the recorded runtime code hash", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+    const { address } = manifest.contracts.entryPoint;
+    const earlier = {
+      ...manifest,
+      contracts: {
+        ...manifest.contracts,
+        entryPoint: { ...manifest.contracts.entryPoint, bytecodeHash: ethers.keccak256("0x01") },
+      },
+    };
+
+    const drift = await checkDeployment(hre, ethers, earlier);
+    expect(drift.map(({ build }) => build)).to.deep.equal(["current", "earlier"]);
+    expect(issues(drift)).to.deep.equal([[], []]);
+
+    // Even the metadata hash counts, since the earlier artifact is not at hand.
+    await patchCode(address, 5);
+    const deployedHash = ethers.keccak256(await ethers.provider.getCode(address));
+    expect(issues(await checkDeployment(hre, ethers, earlier))).to.deep.equal([
+      [],
+      [`runtime code hash is ${deployedHash}, recorded ${manifest.contracts.entryPoint.deployedBytecodeHash}`],
+    ]);
+  });
+
+  it("Compares records without a build with the current artifacts", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+    const { name, address } = manifest.contracts.executor;
+    const legacy = { ...manifest, contracts: { ...manifest.contracts, executor: { name, address } } };
+
+    const drift = await checkDeployment(hre, ethers, legacy);
+
+    expect(drift.map(({ build }) => build)).to.deep.equal(["unrecorded", "current"]);
+    expect(issues(drift)).to.deep.equal([[], []]);
+  });
+
+  it("Reports records without a build of an earlier executor version as unverifiable", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+    const { executor, entryPoint } = manifest.contracts;
+    const legacy = {
+      ...manifest,
+      executorVersion: "1",
+      contracts: {
+        executor: { name: executor.name, address: executor.address },
+        entryPoint: { name: entryPoint.name, address: entryPoint.address },
+      },
+    };
+
+    // The current artifacts would not match a version "1" deployment, so only the presence of code is checked.
+    await patchCode(executor.address, 60);
+    await networkHelpers.setCode(entryPoint.address, "0x");
+    const drift = await checkDeployment(hre, ethers, legacy);
+
+    expect(drift.map(({ build }) => build)).to.deep.equal(["unverifiable", "unverifiable"]);
+    expect(issues(drift)).to.deep.equal([[], ["no code at the address"]]);
+  });
+
+  it("Reports missing code", async function () {
+    const manifest = await networkHelpers.loadFixture(deployManifestFixture);
+
+    await networkHelpers.setCode(manifest.contracts.executor.address, "0x");
+
+    expect(issues(await checkDeployment(hre, ethers, manifest))[0]).to.deep.equal(["no code at the address"]);
+  });
+});
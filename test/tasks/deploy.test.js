@@ -0,0 +1,126 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { deployContracts, resolveExecutorType, shouldRecordDeployment } from "../../tasks/deploy.ts";
+import {
+  CREATE2_FACTORY_ADDRESS,
+  CREATE2_FACTORY_RUNTIME_CODE,
+  predictCreate2Address,
+  toSalt,
+} from "../../tasks/create2.ts";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+const SALT = "tangem-gasless-v1";
+
+async function installFactoryFixture() {
+  await networkHelpers.setCode(CREATE2_FACTORY_ADDRESS, CREATE2_FACTORY_RUNTIME_CODE);
+}
+
+describe("tasks/deploy", function () {
+  it("Deploys both contracts at their predicted CREATE2 addresses", async function () {
+    await networkHelpers.loadFixture(installFactoryFixture);
+
+    const Executor = await ethers.getContractFactory("Tangem7702GaslessExecutorL1");
+    const EntryPoint = await ethers.getContractFactory("Tangem7702GaslessEntryPoint");
+    const predictedExecutor = predictCreate2Address((await Executor.getDeployTransaction()).data, SALT);
+    const predictedEntryPoint = predictCreate2Address(
+      (await EntryPoint.getDeployTransaction(predictedExecutor)).data,
+      SALT
+    );
+
+    const deployed = await deployContracts(ethers, { type: "L1", salt: SALT });
+
+    expect(deployed).to.deep.include({
+      executor: predictedExecutor,
+      entryPoint: predictedEntryPoint,
+      executorDeployed: true,
+      entryPointDeployed: true,
+    });
+    expect(deployed.executorTxHash).to.be.a("string");
+    expect(deployed.entryPointTxHash).to.be.a("string");
+    const entryPoint = await ethers.getContractAt("Tangem7702GaslessEntryPoint", predictedEntryPoint);
+    expect(await entryPoint.requiredDelegateAddress()).to.equal(predictedExecutor);
+  });
+
+  it("Skips contracts that already exist at the predicted address", async function () {
+    await networkHelpers.loadFixture(installFactoryFixture);
+    const [deployer] = await ethers.getSigners();
+
+    const first = await deployContracts(ethers, { type: "OP", salt: SALT });
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    const second = await deployContracts(ethers, { type: "OP", salt: SALT });
+
+    expect(second).to.deep.equal({
+      ...first,
+      executorDeployed: false,
+      entryPointDeployed: false,
+      executorTxHash: undefined,
+      entryPointTxHash: undefined,
+    });
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+  });
+
+  it("Derives distinct addresses per executor type and salt", async function () {
+    await networkHelpers.loadFixture(installFactoryFixture);
+
+    const l1 = await deployContracts(ethers, { type: "L1", salt: SALT });
+    const arbitrum = await deployContracts(ethers, { type: "arbitrum", salt: SALT });
+    const otherSalt = await deployContracts(ethers, { type: "L1", salt: toSalt("tangem-gasless-v2") });
+
+    expect(new Set([l1.executor, arbitrum.executor, otherSalt.executor]).size).to.equal(3);
+    expect(new Set([l1.entryPoint, arbitrum.entryPoint, otherSalt.entryPoint]).size).to.equal(3);
+  });
+
+  it("Fails when the factory is missing", async function () {
+    await networkHelpers.loadFixture(installFactoryFixture);
+
+    await expect(
+      deployContracts(ethers, { type: "L1", salt: SALT, factory: "0x000000000000000000000000000000000000dEaD" })
+    ).to.be.rejectedWith("CREATE2 factory is not deployed at 0x000000000000000000000000000000000000dEaD");
+  });
+
+  it("Keeps plain deployments without a salt", async function () {
+    const deployed = await deployContracts(ethers, { type: "L1" });
+
+    const entryPoint = await ethers.getContractAt("Tangem7702GaslessEntryPoint", deployed.entryPoint);
+    expect(await entryPoint.requiredDelegateAddress()).to.equal(deployed.executor);
+    expect(deployed.executorDeployed).to.equal(undefined);
+  });
+
+  it("Records deployments to real chains only", async function () {
+    expect(shouldRecordDeployment({ networkType: "http", chainId: 8453n })).to.equal(true);
+    expect(shouldRecordDeployment({ networkType: "edr-simulated", chainId: 8453n })).to.equal(false);
+    expect(shouldRecordDeployment({ networkType: "http", chainId: 31337n })).to.equal(false);
+    expect(shouldRecordDeployment({ networkType: "http", chainId: 1337 })).to.equal(false);
+  });
+
+  describe("resolveExecutorType", function () {
+    it("Infers the type from the chain ID or the network chainType", async function () {
+      expect(resolveExecutorType({ chainId: 8453n, chainType: "op" })).to.equal("OP");
+      expect(resolveExecutorType({ chainId: 42161n, chainType: "generic" })).to.equal("arbitrum");
+      expect(resolveExecutorType({ chainId: 1n })).to.equal("L1");
+      expect(resolveExecutorType({ chainId: 31337n, chainType: "op" })).to.equal("OP");
+    });
+
+    it("Accepts an explicit type only where the chain allows it", async function () {
+      expect(resolveExecutorType({ type: "L1", chainId: 137n, chainType: "l1" })).to.equal("L1");
+      expect(resolveExecutorType({ type: "arbitrum", chainId: 31337n, chainType: "generic" })).to.equal("arbitrum");
+
+      expect(() => resolveExecutorType({ type: "L1", chainId: 8453n, chainType: "op" })).to.throw(
+        "Refusing to deploy the L1 executor to chain 8453, which requires the OP executor"
+      );
+      expect(() => resolveExecutorType({ type: "zk", chainId: 1n })).to.throw("Unknown type: zk");
+    });
+
+    it("Rejects inconsistent networks and unknown chains without a type", async function () {
+      expect(() => resolveExecutorType({ chainId: 8453n, chainType: "l1" })).to.throw(
+        'Network chainType "l1" does not match chain 8453, which requires the OP executor'
+      );
+      expect(() => resolveExecutorType({ chainId: 31337n, chainType: "generic" })).to.throw(
+        "Cannot infer the executor type for chain 31337"
+      );
+    });
+  });
+});
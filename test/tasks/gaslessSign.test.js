@@ -0,0 +1,112 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { parseSignedPayload, toJsonSafe } from "../../relayer/payload.js";
+import { resolveAccount, signSpec } from "../../tasks/gaslessSign.ts";
+import { NonceKey, delegateAccount, encodeNonce } from "../../sdk/index.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deploySignFixture() {
+  const [deployer, executorEOA, feeReceiver, relayer] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const entryPoint = await ethers.deployContract("Tangem7702GaslessEntryPoint", [await impl.getAddress()], deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+  const target = await ethers.deployContract("ExecutorTargetMock", deployer);
+
+  await delegateAccount({ authority: executorEOA, delegateAddress: await impl.getAddress(), sponsor: deployer });
+  await token.connect(deployer).mint(executorEOA.address, 10n ** 18n);
+
+  return { executorEOA, feeReceiver, relayer, entryPoint, token, target };
+}
+
+// Spec as read from a JSON file: numbers are strings.
+async function specFor({ feeReceiver, token, target }, calls) {
+  return {
+    calls: calls.map((data) => ({ to: target.target, value: "0", gasLimit: "100000", data })),
+    fee: {
+      feeToken: token.target,
+      maxTokenFee: (10n ** 18n).toString(),
+      coinPriceInToken: "0",
+      feeTransferGasLimit: "100000",
+      baseGas: "10000",
+      maxFeePerGas: "10000000000",
+      maxPriorityFeePerGas: "10000000000",
+      feeReceiver: feeReceiver.address,
+    },
+  };
+}
+
+describe("tasks/gaslessSign", function () {
+  it("Signs a single call with the on-chain nonce, executable through the entry point", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySignFixture);
+    const { executorEOA, relayer, entryPoint, target } = fixture;
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const signed = toJsonSafe(await signSpec(ethers, executorEOA, await specFor(fixture, [data])));
+    expect(signed).to.include({ chainId: "31337", executor: executorEOA.address });
+    expect(signed.gaslessTx.nonce).to.equal("0");
+    expect(signed.digest).to.match(/^0x[0-9a-f]{64}$/);
+
+    const { payload, problems } = parseSignedPayload(signed);
+    expect(problems).to.deep.equal([]);
+    await entryPoint.connect(relayer).executeTransaction(payload.gaslessTx, payload.signature, false, payload.executor);
+
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+    expect(await executor.nonce()).to.equal(1n);
+  });
+
+  it("Signs with the on-chain nonce of the spec's nonce key", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySignFixture);
+    const { executorEOA, relayer, entryPoint, target } = fixture;
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const spec = { ...(await specFor(fixture, [data])), nonceKey: NonceKey.PAYMENTS.toString() };
+    const signed = await signSpec(ethers, executorEOA, spec);
+    expect(signed.gaslessTx.nonce).to.equal(encodeNonce({ key: NonceKey.PAYMENTS, sequence: 0n }));
+
+    await entryPoint.connect(relayer).executeTransaction(signed.gaslessTx, signed.signature, false, executorEOA.address);
+
+    // The keyed sequence advanced, the legacy one did not.
+    const executor = await ethers.getContractAt("Tangem7702GaslessExecutor", executorEOA.address);
+    expect(await executor.getNonce(NonceKey.PAYMENTS)).to.equal(encodeNonce({ key: NonceKey.PAYMENTS, sequence: 1n }));
+    expect(await executor.nonce()).to.equal(0n);
+  });
+
+  it("Signs several calls as a batch with an explicit nonce", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySignFixture);
+    const { executorEOA, target } = fixture;
+
+    const data = target.interface.encodeFunctionData("ok", ["0x"]);
+    const signed = await signSpec(ethers, executorEOA, { ...(await specFor(fixture, [data, data])), nonce: "5" });
+
+    expect(signed.gaslessBatchTx.transactions).to.have.length(2);
+    expect(signed.gaslessBatchTx.nonce).to.equal(5n);
+    expect(signed.gaslessTx).to.equal(undefined);
+  });
+
+  it("Rejects specs that cannot be signed", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySignFixture);
+    const [, , , , undelegated] = await ethers.getSigners();
+
+    const spec = await specFor(fixture, ["0x"]);
+    await expect(signSpec(ethers, undelegated, spec)).to.be.rejectedWith(
+      `Executor ${undelegated.address} is not delegated; set the nonce in the spec`
+    );
+    await expect(signSpec(ethers, fixture.executorEOA, { ...spec, calls: [] })).to.be.rejectedWith(
+      "Spec must list at least one call"
+    );
+    await expect(
+      signSpec(ethers, fixture.executorEOA, { ...spec, calls: [{ to: ethers.ZeroAddress }] })
+    ).to.be.rejectedWith("Invalid GaslessTransaction: transaction.to must not be the zero address");
+  });
+
+  it("Resolves the signing account by index or address", async function () {
+    const signers = await ethers.getSigners();
+
+    expect((await resolveAccount(ethers, "1")).address).to.equal(signers[1].address);
+    expect((await resolveAccount(ethers, signers[2].address)).address).to.equal(signers[2].address);
+    await expect(resolveAccount(ethers, "first")).to.be.rejectedWith("Unknown account first");
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { formatAccountStatus, getAccountStatus } from "../../tasks/gaslessStatus.ts";
+import { delegateAccount } from "../../sdk/index.js";
+
+// `layout at` base slot of the executors.
+const EXECUTOR_LAYOUT_BASE = 0x63126cb0ee213fd665c396acd692b9c0a13c8cc8bbd732af4f146bb546be9800n;
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deployStatusFixture() {
+  const [deployer, delegated, undelegated, misdelegated] = await ethers.getSigners();
+
+  const impl = await ethers.deployContract("Tangem7702GaslessExecutorL1", deployer);
+  const otherImpl = await ethers.deployContract("Tangem7702GaslessExecutorOP", deployer);
+  const entryPoint = await ethers.deployContract("Tangem7702GaslessEntryPoint", [await impl.getAddress()], deployer);
+  const token = await ethers.deployContract("ERC20Mock", ["MockFeeToken", "MFT"], deployer);
+
+  await delegateAccount({ authority: delegated, delegateAddress: await impl.getAddress(), sponsor: deployer });
+  await delegateAccount({ authority: misdelegated, delegateAddress: await otherImpl.getAddress(), sponsor: deployer });
+  await token.mint(delegated.address, 1_500_000_000_000_000_000n);
+
+  return { delegated, undelegated, misdelegated, impl, otherImpl, entryPoint, token };
+}
+
+describe("tasks/gaslessStatus", function () {
+  it("Reports a delegated account with its nonce and balances", async function () {
+    const { delegated, impl, entryPoint, token } = await networkHelpers.loadFixture(deployStatusFixture);
+
+    const status = await getAccountStatus(ethers.provider, delegated.address, {
+      entryPointAddress: entryPoint.target,
+      feeTokens: [token.target],
+    });
+
+    expect(status).to.deep.include({
+      account: delegated.address,
+      delegate: impl.target,
+      requiredDelegate: impl.target,
+      nonce: 0n,
+      balance: await ethers.provider.getBalance(delegated.address),
+    });
+    expect(formatAccountStatus(status).slice(1)).to.deep.equal([
+      `  delegate: ${impl.target} (matches the entry point)`,
+      "  nonce: 0",
+      `  native balance: ${ethers.formatEther(status.balance)}`,
+      `  MFT ${token.target}: 1.5`,
+    ]);
+  });
+
+  it("Reports missing and mismatching delegations", async function () {
+    const { undelegated, misdelegated, impl, otherImpl, entryPoint } = await networkHelpers.loadFixture(
+      deployStatusFixture
+    );
+
+    const [none, other] = await Promise.all(
+      [undelegated, misdelegated].map((account) =>
+        getAccountStatus(ethers.provider, account.address, { entryPointAddress: entryPoint.target })
+      )
+    );
+
+    expect(none.delegate).to.equal(ethers.ZeroAddress);
+    expect(formatAccountStatus(none)[1]).to.equal(`  delegate: none, the entry point requires ${impl.target}`);
+    expect(formatAccountStatus(other)[1]).to.equal(
+      `  delegate: ${otherImpl.target} (MISMATCH, the entry point requires ${impl.target})`
+    );
+    expect(none.tokens).to.deep.equal([]);
+  });
+
+  it("Reads the nonce kept in storage while the account is not delegated", async function () {
+    const { undelegated, entryPoint } = await networkHelpers.loadFixture(deployStatusFixture);
+
+    // `nonce` follows the two fallback strings of EIP712 in the executor storage layout, and survives a removed
+    // delegation.
+    await networkHelpers.setStorageAt(undelegated.address, EXECUTOR_LAYOUT_BASE + 2n, 7n);
+
+    const { nonce } = await getAccountStatus(ethers.provider, undelegated.address, {
+      entryPointAddress: entryPoint.target,
+    });
+    expect(nonce).to.equal(7n);
+  });
+});
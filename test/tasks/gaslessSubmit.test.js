@@ -0,0 +1,90 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { toJsonSafe } from "../../relayer/payload.js";
+import { signSpec } from "../../tasks/gaslessSign.ts";
+import { submitSignedPayload } from "../../tasks/gaslessSubmit.ts";
+import { deployGaslessFixture, paidFee } from "../helpers/gaslessFixture.js";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function deploySubmitFixture() {
+  const [, executorEOA, feeReceiver, relayer] = await ethers.getSigners();
+  const { entryPoint, token, target } = await deployGaslessFixture(conn, { executorEOA, mint: 10n ** 24n });
+  return { executorEOA, feeReceiver, relayer, entryPoint, token, target };
+}
+
+// Signs the calls like gasless:sign and returns the payload file contents.
+async function signedPayload({ executorEOA, feeReceiver, token }, calls, nonce) {
+  const signed = await signSpec(ethers, executorEOA, {
+    calls: calls.map(({ to, data }) => ({ to, value: "0", gasLimit: "100000", data })),
+    fee: paidFee(token, feeReceiver.address),
+    nonce,
+  });
+  return toJsonSafe(signed);
+}
+
+describe("tasks/gaslessSubmit", function () {
+  it("Relays a signed payload and decodes its events", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySubmitFixture);
+    const { executorEOA, feeReceiver, relayer, entryPoint, token, target } = fixture;
+
+    const call = { to: target.target, data: target.interface.encodeFunctionData("ok", ["0x"]) };
+    const body = await signedPayload(fixture, [call], 0);
+    const { receipt, report, events } = await submitSignedPayload(ethers, relayer, {
+      body,
+      entryPointAddress: entryPoint.target,
+    });
+
+    expect(receipt.status).to.equal(1);
+    expect(report).to.include({ status: "success", nonce: 0n });
+    expect(events.map(({ name }) => name)).to.include.members([
+      "Transfer",
+      "FeeTransferProcessed",
+      "TransactionExecuted",
+    ]);
+    const transfer = events.find(({ name }) => name === "Transfer");
+    expect(transfer).to.deep.include({ address: token.target });
+    expect(transfer.args).to.include({ from: executorEOA.address, to: feeReceiver.address });
+  });
+
+  it("Reports batch calls that failed in forced mode", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySubmitFixture);
+    const { relayer, entryPoint, target } = fixture;
+
+    const body = await signedPayload(
+      fixture,
+      [
+        { to: target.target, data: target.interface.encodeFunctionData("ok", ["0x"]) },
+        { to: target.target, data: target.interface.encodeFunctionData("fail") },
+      ],
+      0
+    );
+    const { report, events } = await submitSignedPayload(ethers, relayer, {
+      body: { ...body, forced: true },
+      entryPointAddress: entryPoint.target,
+      overrides: { gasLimit: 5_000_000n },
+    });
+
+    expect(report).to.include({ status: "partial", executedCalls: 1n, failedIndex: 1n });
+    expect(events.find(({ name }) => name === "BatchCallFailed").args).to.include({ index: 1n, to: target.target });
+  });
+
+  it("Fails with the decoded revert of the simulation", async function () {
+    const fixture = await networkHelpers.loadFixture(deploySubmitFixture);
+    const { relayer, entryPoint, target } = fixture;
+
+    const call = { to: target.target, data: target.interface.encodeFunctionData("ok", ["0x"]) };
+    const body = await signedPayload(fixture, [call], 3);
+
+    await expect(
+      submitSignedPayload(ethers, relayer, { body, entryPointAddress: entryPoint.target })
+    ).to.be.rejectedWith("Simulation reverted: Nonce 3 is ahead of the executor nonce 0");
+    await expect(
+      submitSignedPayload(ethers, relayer, {
+        body: { ...body, signature: "0x1234" },
+        entryPointAddress: entryPoint.target,
+      })
+    ).to.be.rejectedWith("Invalid signature: ");
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from "chai";
+import { mkdtemp, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import hre from "hardhat";
+import { deployContracts } from "../../tasks/deploy.ts";
+import {
+  DEPLOYMENTS_DIR,
+  README,
+  REGISTRY_MODULE,
+  buildManifest,
+  readEntryPointAddress,
+  readManifest,
+  readManifests,
+  renderRegistryModule,
+  updateReadme,
+  writeManifest,
+} from "../../tasks/manifest.ts";
+import { CREATE2_FACTORY_ADDRESS, CREATE2_FACTORY_RUNTIME_CODE } from "../../tasks/create2.ts";
+
+const conn = await hre.network.connect();
+const { ethers, networkHelpers } = conn;
+
+async function installFactoryFixture() {
+  await networkHelpers.setCode(CREATE2_FACTORY_ADDRESS, CREATE2_FACTORY_RUNTIME_CODE);
+}
+
+function manifestFor(deployed, params = {}) {
+  return buildManifest(hre, ethers, {
+    network: "localhost",
+    chainId: 31337n,
+    executorType: "L1",
+    executorContract: "Tangem7702GaslessExecutorL1",
+    deployed,
+    ...params,
+  });
+}
+
+describe("tasks/manifest", function () {
+  let dir;
+
+  beforeEach(async function () {
+    dir = await mkdtemp(path.join(tmpdir(), "deployments-"));
+  });
+
+  afterEach(async function () {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it("Records addresses, transactions, compiler settings and bytecode hashes", async function () {
+    const deployed = await deployContracts(ethers, { type: "L1" });
+
+    const manifest = await manifestFor(deployed);
+
+    const receipt = await ethers.provider.getTransactionReceipt(deployed.entryPointTxHash);
+    expect(manifest).to.deep.include({
+      version: 1,
+      chainId: 31337,
+      executorType: "L1",
+      executorVersion: "2",
+      salt: null,
+      factory: null,
+    });
+    expect(manifest.compiler).to.deep.include({ evmVersion: "osaka", optimizer: { enabled: true, runs: 5000 } });
+    expect(manifest.compiler.version).to.match(/^0\.8\.33\+commit\./);
+    expect(manifest.contracts.entryPoint).to.deep.equal({
+      name: "Tangem7702GaslessEntryPoint",
+      address: deployed.entryPoint,
+      deployTxHash: deployed.entryPointTxHash,
+      blockNumber: receipt.blockNumber,
+      bytecodeHash: ethers.keccak256((await hre.artifacts.readArtifact("Tangem7702GaslessEntryPoint")).bytecode),
+      deployedBytecodeHash: ethers.keccak256(await ethers.provider.getCode(deployed.entryPoint)),
+    });
+
+    await writeManifest(dir, manifest);
+    expect(await readManifest(dir, 31337n)).to.deep.equal(manifest);
+    expect(await readManifest(dir, 1n)).to.equal(null);
+  });
+
+  it("Keeps the recorded transactions of contracts skipped by a CREATE2 redeploy", async function () {
+    await networkHelpers.loadFixture(installFactoryFixture);
+
+    const salt = "tangem-gasless-v1";
+    const first = await manifestFor(await deployContracts(ethers, { type: "L1", salt }), { salt });
+    const second = await manifestFor(await deployContracts(ethers, { type: "L1", salt }), { salt, previous: first });
+    const unrecorded = await manifestFor(await deployContracts(ethers, { type: "L1", salt }), { salt });
+
+    expect(first.factory).to.equal(CREATE2_FACTORY_ADDRESS);
+    expect(first.contracts.executor.deployTxHash).to.be.a("string");
+    expect(second).to.deep.equal(first);
+    expect(unrecorded.contracts.executor).to.not.have.any.keys("deployTxHash", "blockNumber");
+  });
+
+  it("Generates the README section and the registry module from the manifests", async function () {
+    const base = JSON.parse(await readFile(path.join(DEPLOYMENTS_DIR, "8453.json"), "utf8"));
+    await writeManifest(dir, base);
+    await writeManifest(dir, { ...base, chainId: 84532, network: "baseSepolia" });
+    await writeManifest(dir, { ...base, chainId: 7777 });
+    const manifests = await readManifests(dir);
+
+    const readme = "# Title\n\n<!-- deployments:start -->\nstale\n<!-- deployments:end -->\n\nFooter";
+    const { executor, entryPoint } = base.contracts;
+    expect(updateReadme(readme, manifests)).to.equal(
+      "# Title\n\n<!-- deployments:start -->\n\n" +
+        "### Chain 7777\n\n" +
+        `Tangem7702GaslessExecutor - ${executor.address}\n\n` +
+        `Tangem7702GaslessEntryPoint - ${entryPoint.address}\n\n` +
+        "### Base\n\n" +
+        `Tangem7702GaslessExecutor - [${executor.address}](https://basescan.org/address/${executor.address})\n\n` +
+        `Tangem7702GaslessEntryPoint - [${entryPoint.address}](https://basescan.org/address/${entryPoint.address})\n\n` +
+        "<!-- deployments:end -->\n\nFooter"
+    );
+    expect(() => updateReadme("# Title", manifests)).to.throw("README has no <!-- deployments:start -->");
+
+    const source = renderRegistryModule(manifests);
+    const { DEPLOYMENTS } = await import(`data:text/javascript,${encodeURIComponent(source)}`);
+    expect(Object.keys(DEPLOYMENTS)).to.deep.equal(["7777", "8453", "84532"]);
+    expect(DEPLOYMENTS[84532]).to.deep.equal({
+      executorType: "OP",
+      executorVersion: "1",
+      executor: executor.address,
+      entryPoint: entryPoint.address,
+    });
+  });
+
+  it("Only resolves the entry point of deployments of the current executor version", async function () {
+    const base = JSON.parse(await readFile(path.join(DEPLOYMENTS_DIR, "8453.json"), "utf8"));
+    await writeManifest(dir, base);
+    await writeManifest(dir, { ...base, chainId: 84532, executorVersion: "2" });
+
+    expect(await readEntryPointAddress(dir, 84532)).to.equal(base.contracts.entryPoint.address);
+    await expect(readEntryPointAddress(dir, 8453)).to.be.rejectedWith(
+      "The executor recorded for chain 8453 is version 1, payloads are signed for version 2; pass --entry-point"
+    );
+  });
+
+  it("Keeps the committed registry and README in sync with the manifests", async function () {
+    const manifests = await readManifests(DEPLOYMENTS_DIR);
+
+    expect(await readFile(REGISTRY_MODULE, "utf8")).to.equal(renderRegistryModule(manifests));
+    const readme = await readFile(README, "utf8");
+    expect(updateReadme(readme, manifests)).to.equal(readme);
+  });
+});